@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+"use strict";
+
+var gutil      = require('gulp-util');
+var argv       = require('minimist')(process.argv.slice(2));
+var WebBuilder = require('../index').default;
+
+var command     = argv._[0] || 'build';
+var environment = argv.env || process.env.NODE_ENV || 'development';
+
+if (argv.help || ['build', 'watch'].indexOf(command) < 0) {
+    console.log([
+        'Usage: lightweb [build|watch] [--env=development] [--config=lightweb.config.js]',
+        '',
+        'Commands:',
+        '  build     Build all bundles once (default)',
+        '  watch     Build all bundles and rebuild them on changes',
+        '',
+        'Options:',
+        '  --env     Environment name, selects "env" sections of bundles (NODE_ENV by default)',
+        '  --config  Config file (lightweb.config.js or lightweb.config.json by default)'
+    ].join('\n'));
+
+    process.exit(argv.help ? 0 : 1);
+}
+
+var bundles;
+
+try {
+    bundles = WebBuilder.config(argv.config || null, environment);
+} catch (error) {
+    gutil.log(gutil.colors.red(error.message));
+    process.exit(1);
+}
+
+gutil.log('Using', gutil.colors.cyan(environment), 'environment');
+
+bundles.forEach(function (bundle) {
+    var builder = WebBuilder.fromConfig(bundle, environment);
+    var name    = typeof bundle.output === 'object'
+        ? Object.keys(bundle.output).map(function (kind) { return bundle.output[kind]; }).join(', ')
+        : bundle.output;
+
+    if (command === 'watch') {
+        return builder.watch(bundle.output);
+    }
+
+    builder.build(bundle.output).done().then(function (stats) {
+        gutil.log('Finished', gutil.colors.cyan(name));
+    }, function (error) {
+        gutil.log(gutil.colors.red(error.message));
+        process.exitCode = 1;
+    });
+});
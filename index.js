@@ -3,1454 +3,7174 @@
 Object.defineProperty(exports, "__esModule", {
     value: true
 });
+exports.HtmlCompiler = exports.CssCompiler = exports.JsCompiler = exports.Compiler = undefined;
 
 var _get = function get(object, property, receiver) { if (object === null) object = Function.prototype; var desc = Object.getOwnPropertyDescriptor(object, property); if (desc === undefined) { var parent = Object.getPrototypeOf(object); if (parent === null) { return undefined; } else { return get(parent, property, receiver); } } else if ("value" in desc) { return desc.value; } else { var getter = desc.get; if (getter === undefined) { return undefined; } return getter.call(receiver); } };
 
+var _typeof = typeof Symbol === "function" && typeof Symbol.iterator === "symbol" ? function (obj) { return typeof obj; } : function (obj) { return obj && typeof Symbol === "function" && obj.constructor === Symbol && obj !== Symbol.prototype ? "symbol" : typeof obj; };
+
 var _createClass = function () { function defineProperties(target, props) { for (var i = 0; i < props.length; i++) { var descriptor = props[i]; descriptor.enumerable = descriptor.enumerable || false; descriptor.configurable = true; if ("value" in descriptor) descriptor.writable = true; Object.defineProperty(target, descriptor.key, descriptor); } } return function (Constructor, protoProps, staticProps) { if (protoProps) defineProperties(Constructor.prototype, protoProps); if (staticProps) defineProperties(Constructor, staticProps); return Constructor; }; }();
 
 var _gulp = require("gulp");
 
 var _gulp2 = _interopRequireDefault(_gulp);
 
-var _merge = require("merge2");
+var _merge2 = require("merge2");
 
-var _merge2 = _interopRequireDefault(_merge);
+var _merge3 = _interopRequireDefault(_merge2);
 
 var _gulpDebug = require("gulp-debug");
 
 var _gulpDebug2 = _interopRequireDefault(_gulpDebug);
 
+var _through = require("through2");
+
+var _through2 = _interopRequireDefault(_through);
+
 function _interopRequireDefault(obj) { return obj && obj.__esModule ? obj : { default: obj }; }
 
+function _defineProperty(obj, key, value) { if (key in obj) { Object.defineProperty(obj, key, { value: value, enumerable: true, configurable: true, writable: true }); } else { obj[key] = value; } return obj; }
+
 function _possibleConstructorReturn(self, call) { if (!self) { throw new ReferenceError("this hasn't been initialised - super() hasn't been called"); } return call && (typeof call === "object" || typeof call === "function") ? call : self; }
 
 function _inherits(subClass, superClass) { if (typeof superClass !== "function" && superClass !== null) { throw new TypeError("Super expression must either be null or a function, not " + typeof superClass); } subClass.prototype = Object.create(superClass && superClass.prototype, { constructor: { value: subClass, enumerable: false, writable: true, configurable: true } }); if (superClass) Object.setPrototypeOf ? Object.setPrototypeOf(subClass, superClass) : subClass.__proto__ = superClass; }
 
+function _toConsumableArray(arr) { if (Array.isArray(arr)) { for (var i = 0, arr2 = Array(arr.length); i < arr.length; i++) { arr2[i] = arr[i]; } return arr2; } else { return Array.from(arr); } }
+
 function _classCallCheck(instance, Constructor) { if (!(instance instanceof Constructor)) { throw new TypeError("Cannot call a class as a function"); } }
 
 /**
- * @class Compiler
+ * @param {Function} callback
+ * @param {Function|null} flush
+ * @returns {*}
+ */
+function tap(callback) {
+    var flush = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : null;
+
+    return _through2.default.obj(function (file, encoding, next) {
+        callback(file);
+        next(null, file);
+    }, function (next) {
+        if (flush) {
+            flush();
+        }
+        next();
+    });
+}
+
+/**
+ * @param {Function} predicate
+ * @returns {*}
+ */
+function filter(predicate) {
+    return _through2.default.obj(function (file, encoding, next) {
+        next(null, predicate(file) ? file : undefined);
+    });
+}
+
+/**
+ * Emits copies of files, so next plugins can modify them
+ * without affecting other streams which are reading the same files.
+ *
+ * @returns {*}
+ */
+function cloned() {
+    return _through2.default.obj(function (file, encoding, next) {
+        next(null, file.clone());
+    });
+}
+
+/**
+ * Buffers all files and emits them sorted. Files which are equal
+ * for the comparator keep their original order.
+ *
+ * @param {Function} compare
+ * @returns {*}
+ */
+function sorted(compare) {
+    var files = [];
+
+    return _through2.default.obj(function (file, encoding, next) {
+        files.push(file);
+        next();
+    }, function (next) {
+        var _this = this;
+
+        files.map(function (file, index) {
+            return { file: file, index: index };
+        }).sort(function (a, b) {
+            return compare(a.file, b.file) || a.index - b.index;
+        }).forEach(function (item) {
+            return _this.push(item.file);
+        });
+
+        next();
+    });
+}
+
+/**
+ * Buffers all files and emits them only if check passes after
+ * the last file, so broken bundles are never written.
+ *
+ * @param {Function} check
+ * @returns {*}
+ */
+function guarded(check) {
+    var files = [];
+
+    return _through2.default.obj(function (file, encoding, next) {
+        files.push(file);
+        next();
+    }, function (next) {
+        var _this2 = this;
+
+        if (check()) {
+            files.forEach(function (file) {
+                return _this2.push(file);
+            });
+        }
+
+        next();
+    });
+}
+
+/**
+ * Reads all streams in parallel and emits their files
+ * in order of streams declaration.
+ *
+ * @param {Array} streams
+ * @returns {*}
+ */
+function ordered(streams) {
+    var output = _through2.default.obj();
+    var buffers = streams.map(function () {
+        return [];
+    });
+    var pending = streams.length;
+
+    streams.forEach(function (stream, index) {
+        stream.on('data', function (file) {
+            return buffers[index].push(file);
+        });
+        stream.on('end', function () {
+            if (--pending === 0) {
+                buffers.forEach(function (files) {
+                    return files.forEach(function (file) {
+                        return output.write(file);
+                    });
+                });
+                output.end();
+            }
+        });
+    });
+
+    return output;
+}
+
+/**
+ * Moves remote `@import` rules of stylesheets into the beginning of the bundle,
+ * browsers ignore imports which are placed after other rules.
+ *
+ * @returns {*}
+ */
+function hoisted() {
+    var gutil = require('gulp-util');
+    var path = require('path');
+    var pattern = /@import\s+(?:url\(\s*(['"]?)(?:[a-z]+:)?\/\/[^'")]*\1\s*\)|(['"])(?:[a-z]+:)?\/\/[^'"]*\2)[^;]*;/gi;
+    var imports = [];
+    var files = [];
+
+    return _through2.default.obj(function (file, encoding, next) {
+        file.contents = Buffer.from(file.contents.toString().replace(pattern, function (match) {
+            if (imports.indexOf(match) < 0) {
+                imports.push(match);
+            }
+            return '';
+        }));
+
+        files.push(file);
+        next();
+    }, function (next) {
+        var _this3 = this;
+
+        if (imports.length > 0 && files.length > 0) {
+            var header = new gutil.File({
+                cwd: files[0].cwd,
+                base: files[0].base,
+                path: path.join(files[0].base, 'imports.css'),
+                contents: Buffer.from(imports.join("\n"))
+            });
+
+            if (files.some(function (file) {
+                return file.sourceMap;
+            })) {
+                header.sourceMap = { version: 3, file: header.relative, names: [], mappings: '', sources: [], sourcesContent: [] };
+            }
+
+            this.push(header);
+        }
+
+        files.forEach(function (file) {
+            return _this3.push(file);
+        });
+        next();
+    });
+}
+
+/**
+ * Buffers all files and emits them after the promise is settled
+ *
+ * @param {Promise} promise
+ * @returns {*}
+ */
+function delayed(promise) {
+    var files = [];
+
+    return _through2.default.obj(function (file, encoding, next) {
+        files.push(file);
+        next();
+    }, function (next) {
+        var _this4 = this;
+
+        var flush = function flush() {
+            files.forEach(function (file) {
+                return _this4.push(file);
+            });
+            next();
+        };
+
+        promise.then(flush, flush);
+    });
+}
+
+/**
+ * Buffers all files and emits them after the promise is settled, file
+ * of the factory is inserted before the first file which passes the predicate.
+ *
+ * @param {Promise} promise
+ * @param {Function} predicate
+ * @param {Function} factory Receives all files and returns a new file or null
+ * @returns {*}
+ */
+function inserted(promise, predicate, factory) {
+    var files = [];
+
+    return _through2.default.obj(function (file, encoding, next) {
+        files.push(file);
+        next();
+    }, function (next) {
+        var _this5 = this;
+
+        var flush = function flush() {
+            var file = factory(files);
+            var index = files.findIndex(predicate);
+
+            if (file) {
+                files.splice(index < 0 ? files.length : index, 0, file);
+            }
+
+            files.forEach(function (file) {
+                return _this5.push(file);
+            });
+            next();
+        };
+
+        promise.then(flush, flush);
+    });
+}
+
+/**
+ * Adds short content hash into the file name: "app.js" -> "app.5d41402abc.js"
+ *
+ * @returns {*}
+ */
+function hashed() {
+    var crypto = require('crypto');
+    var path = require('path');
+
+    return tap(function (file) {
+        var hash = crypto.createHash('md5').update(file.contents).digest('hex').substr(0, 10);
+        var extension = path.extname(file.path);
+
+        file.path = file.path.substr(0, file.path.length - extension.length) + '.' + hash + extension;
+    });
+}
+
+/**
+ * Merges entries into json manifest file. Manifest is shared
+ * between all builders which are writing into the same directory.
+ *
+ * @param {string} file
+ * @param {{}} entries
+ */
+function updateManifest(file, entries) {
+    var fs = require('fs');
+    var manifest = {};
+
+    if (fs.existsSync(file)) {
+        manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    Object.keys(entries).forEach(function (key) {
+        return manifest[key] = entries[key];
+    });
+
+    var result = {};
+    Object.keys(manifest).sort().forEach(function (key) {
+        return result[key] = manifest[key];
+    });
+
+    fs.writeFileSync(file, JSON.stringify(result, null, 4) + "\n");
+}
+
+/**
+ * Waits for all promises, even if some of them are rejected
+ *
+ * @param {Array} promises
+ * @returns {Promise}
+ */
+function settled(promises) {
+    return Promise.all(promises.map(function (promise) {
+        return promise.then(function (value) {
+            return { value: value, error: null };
+        }, function (error) {
+            return { value: null, error: error };
+        });
+    }));
+}
+
+/**
+ * @param stream
+ * @returns {Promise}
+ */
+function finished(stream) {
+    return new Promise(function (resolve, reject) {
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+    });
+}
+
+/**
+ * Writes files into the plugin one by one. Unlike `pipe()` it keeps writing
+ * after plugin errors, so a broken file does not stop the other files
+ * and the plugin is ended when the source is ended.
+ *
+ * @param stream
+ * @param plugin
+ * @param {Function} onError
+ * @returns {*} The plugin
+ */
+function fed(stream, plugin, onError) {
+    plugin.on('error', onError);
+
+    stream.pipe(_through2.default.obj(function (file, encoding, next) {
+        plugin.write(file, function () {
+            return next();
+        });
+    }, function (next) {
+        plugin.end();
+        next();
+    }));
+
+    return plugin;
+}
+
+/**
+ * Emits the error on the stream only when it is listened, e.g. by a task
+ * runner which consumes the stream, otherwise it is reported by `done()`.
+ *
+ * @param stream
+ * @param {Error} error
+ */
+function failed(stream, error) {
+    if (stream.listenerCount('error') > 0) {
+        stream.emit('error', error);
+    }
+}
+
+/**
+ * Passes files of the built stream and ends after its `done()` promise is settled,
+ * so the returned stream fails with the build: `return builder.build(...)` in gulp tasks.
+ *
+ * @param stream Stream with `done()` method
+ * @returns {*}
+ */
+function reported(stream) {
+    var promise = stream.done();
+    var result = stream.pipe(_through2.default.obj(function (file, encoding, next) {
+        return next(null, file);
+    }, function (next) {
+        promise.then(function () {
+            return next();
+        }, function (error) {
+            failed(result, error);
+            next();
+        });
+    }));
+
+    result.done = function () {
+        return promise;
+    };
+
+    return result;
+}
+
+/**
+ * Applies source map of the intermediate file to the map of a file which was
+ * generated from it. Positions which are not mapped to sources by the
+ * intermediate map (e.g. module wrappers) are dropped.
+ *
+ * @param {{}} map Map of generated file to the intermediate file
+ * @param {{}} intermediate Map of the intermediate file to sources
+ * @returns {{}}
+ */
+function composeMaps(map, intermediate) {
+    var sourceMap = require('source-map');
+    var sources = new sourceMap.SourceMapConsumer(intermediate);
+    var generator = new sourceMap.SourceMapGenerator({ file: map.file });
+
+    new sourceMap.SourceMapConsumer(map).eachMapping(function (mapping) {
+        if (mapping.originalLine === null) {
+            return;
+        }
+
+        var original = sources.originalPositionFor({ line: mapping.originalLine, column: mapping.originalColumn });
+
+        if (original.source !== null) {
+            generator.addMapping({
+                generated: { line: mapping.generatedLine, column: mapping.generatedColumn },
+                original: { line: original.line, column: original.column },
+                source: original.source,
+                name: original.name || mapping.name || undefined
+            });
+        }
+    });
+
+    sources.sources.forEach(function (source) {
+        var content = sources.sourceContentFor(source, true);
+
+        if (content !== null) {
+            generator.setSourceContent(source, content);
+        }
+    });
+
+    return JSON.parse(generator.toString());
+}
+
+/**
+ * Passes files through the minifier and maps minified files to original sources,
+ * minifiers are mapping their output only to the files which they have received.
+ *
+ * @param stream
+ * @param {Function} minify Receives and returns stream
+ * @returns {*}
+ */
+function remapped(stream, minify) {
+    var maps = {};
+
+    stream = stream.pipe(tap(function (file) {
+        if (file.sourceMap && file.sourceMap.mappings) {
+            maps[file.path] = file.sourceMap;
+            file.sourceMap = { version: 3, file: file.sourceMap.file, names: [], mappings: '', sources: [], sourcesContent: [] };
+        }
+    }));
+
+    return minify(stream).pipe(tap(function (file) {
+        if (maps[file.path] && file.sourceMap) {
+            file.sourceMap = composeMaps(file.sourceMap, maps[file.path]);
+        }
+    }));
+}
+
+/**
+ * Modules graph which is built from `require()`, `import` and
+ * `export ... from` statements of entry points.
+ *
+ * @class DependencyGraph
  * @package lightweb-builder
  */
 
-var Compiler = function () {
+var DependencyGraph = function () {
 
     /**
-     * @param builder
+     * @param {Array} extensions
+     * @param {string} namespace
+     * @param {{}} aliases
+     */
+
+
+    /**
+     * @type {Array}
+     * @private
      */
 
 
     /**
+     * Resolved dependencies of every module: {file: {specifier: file}}
+     *
      * @type {{}}
      * @private
      */
 
 
     /**
-     * @type {WebBuilder}
+     * @type {string}
      * @private
      */
+    function DependencyGraph() {
+        var extensions = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : ['.js'];
+        var namespace = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : '';
+        var aliases = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : {};
+
+        _classCallCheck(this, DependencyGraph);
+
+        this._extensions = [];
+        this._package = '';
+        this._aliases = {};
+        this._modules = {};
+        this._names = {};
+        this._files = [];
+        this._root = null;
+
+        this._extensions = extensions;
+        this._package = namespace;
+        this._aliases = aliases;
+    }
 
-    function Compiler(builder) {
-        _classCallCheck(this, Compiler);
+    /**
+     * Module files, dependencies go before modules which are requiring them
+     *
+     * @returns {Array}
+     */
 
-        this._builder = null;
-        this._syncBuilding = false;
-        this._files = {};
-        this._gulpPaths = [];
 
-        this._builder = builder;
-    }
+    /**
+     * @type {string|null}
+     * @private
+     */
+
 
     /**
-     * @param enabled
-     * @returns {Compiler}
+     * Module files without extensions, so compiled files can be found by path
+     *
+     * @type {{}}
+     * @private
      */
 
 
     /**
-     * @type {Array}
+     * Module name patterns and their locations: {"@app/*": ["/path/to/src/*"]}
+     *
+     * @type {{}}
      * @private
      */
 
 
     /**
-     * @type {boolean}
+     * @type {Array}
      * @private
      */
 
 
-    _createClass(Compiler, [{
-        key: "syncBuilding",
-        value: function syncBuilding() {
-            var enabled = arguments.length <= 0 || arguments[0] === undefined ? false : arguments[0];
+    _createClass(DependencyGraph, [{
+        key: "add",
 
-            this._syncBuilding = !!enabled;
-            return this;
-        }
 
         /**
-         * @returns {boolean}
+         * @param {string} entry
+         * @returns {DependencyGraph}
          */
+        value: function add(entry) {
+            var fs = require('fs');
+            var path = require('path');
+            var file = path.resolve(entry);
 
-    }, {
-        key: "file",
+            if (!fs.existsSync(file)) {
+                throw new Error('Entry point ' + entry + ' not found');
+            }
 
+            this._visit(file);
 
-        /**
-         * @param {string} file
-         * @returns {Compiler}
-         */
-        value: function file(_file) {
-            this._files[_file] = Compiler.TYPE_FILE;
-            this._gulpPaths.push(_file);
             return this;
         }
 
         /**
-         * @param {string} path
-         * @param {string} extension
-         * @returns {Compiler}
+         * @param {string} file
+         * @private
          */
 
     }, {
-        key: "path",
-        value: function path(_path) {
-            var extension = arguments.length <= 1 || arguments[1] === undefined ? '' : arguments[1];
+        key: "_visit",
+        value: function _visit(file) {
+            var _this6 = this;
 
-            var lastChar = _path[_path.length - 1];
-            if (lastChar !== '/' && lastChar !== '\\') {
-                throw new Error('Directory name must be ended at "/" char');
+            var fs = require('fs');
+            var path = require('path');
+
+            if (this._modules[file]) {
+                return;
             }
 
-            this._files[_path] = Compiler.TYPE_DIR;
-            this._gulpPaths.push(_path + '**/*' + extension);
-            return this;
+            var dependencies = this._modules[file] = {};
+
+            DependencyGraph.dependencies(fs.readFileSync(file, 'utf8')).forEach(function (specifier) {
+                if (_this6._isDisabled(specifier, file)) {
+                    return;
+                }
+
+                var resolved = _this6.resolve(specifier, file);
+
+                if (resolved === null && DependencyGraph.isBuiltin(specifier)) {
+                    return;
+                }
+
+                if (resolved === null) {
+                    throw new Error("Cannot resolve module \"" + specifier + "\" from " + path.relative(process.cwd(), file));
+                }
+
+                dependencies[specifier] = resolved;
+                _this6._visit(resolved);
+            });
+
+            this._names[DependencyGraph._stripExtension(file)] = file;
+            this._files.push(file);
+            this._root = null;
         }
 
         /**
-         * @param {Function|null} wrapStream
-         * @returns {*}
+         * @param {string} source
+         * @returns {Array}
          */
 
     }, {
-        key: "createStream",
-        value: function createStream() {
-            var wrapStream = arguments.length <= 0 || arguments[0] === undefined ? null : arguments[0];
+        key: "resolve",
 
-            var stream = _gulp2.default.src(this._gulpPaths);
 
-            if (wrapStream) {
-                stream = wrapStream(stream, this);
+        /**
+         * @param {string} specifier
+         * @param {string} from
+         * @returns {string|null}
+         */
+        value: function resolve(specifier, from) {
+            var fs = require('fs');
+            var path = require('path');
+
+            if (/^(\.{1,2}(\/|$)|\/)/.test(specifier)) {
+                return this._resolveFile(path.resolve(path.dirname(from), specifier));
             }
 
-            return stream.pipe((0, _gulpDebug2.default)({ title: '+' }));
+            var aliased = this.resolveAlias(specifier);
+            if (aliased !== null) {
+                return aliased;
+            }
+
+            var dir = path.dirname(from);
+
+            while (true) {
+                var candidate = path.join(dir, 'node_modules', specifier);
+                var resolved = this._resolveFile(candidate);
+
+                if (resolved === null && fs.existsSync(path.join(candidate, 'package.json'))) {
+                    resolved = this._resolvePackage(candidate);
+                }
+
+                if (resolved !== null || path.dirname(dir) === dir) {
+                    return resolved;
+                }
+
+                dir = path.dirname(dir);
+            }
         }
 
         /**
-         * @param gulp
-         * @param {object} options
-         * @returns {*}
+         * Resolves module name by alias patterns, "*" in pattern
+         * is replaced with the same part of locations.
+         *
+         * @param {string} specifier
+         * @returns {string|null}
          */
 
     }, {
-        key: "minify",
-        value: function minify(gulp) {
-            var options = arguments.length <= 1 || arguments[1] === undefined ? {} : arguments[1];
+        key: "resolveAlias",
+        value: function resolveAlias(specifier) {
+            var patterns = Object.keys(this._aliases);
 
-            return gulp;
+            if (/^(\.{1,2}(\/|$)|\/)/.test(specifier)) {
+                return null;
+            }
+
+            for (var i = 0; i < patterns.length; i++) {
+                var parts = patterns[i].split('*');
+                var match = null;
+
+                if (parts.length === 1) {
+                    match = specifier === parts[0] ? '' : null;
+                } else if (specifier.length >= parts[0].length + parts[1].length && specifier.indexOf(parts[0]) === 0 && specifier.substr(specifier.length - parts[1].length) === parts[1]) {
+                    match = specifier.substr(parts[0].length, specifier.length - parts[0].length - parts[1].length);
+                }
+
+                if (match === null) {
+                    continue;
+                }
+
+                var locations = this._aliases[patterns[i]];
+
+                for (var j = 0; j < locations.length; j++) {
+                    var resolved = this._resolveFile(locations[j].replace('*', match));
+
+                    if (resolved !== null) {
+                        return resolved;
+                    }
+                }
+            }
+
+            return null;
         }
 
         /**
-         * @param {string} name
-         * @param {string} pkg
-         * @param {string} version
-         * @returns {Error}
+         * @param {string} file
+         * @returns {string|null}
+         * @private
          */
 
     }, {
-        key: "compilerError",
-        value: function compilerError(name, pkg, version) {
-            return new Error(name + " compiler not defined. Please add {\"" + pkg + "\": \"" + version + "\"} in your package.json");
-        }
-    }, {
-        key: "synced",
-        get: function get() {
-            return this._syncBuilding;
+        key: "_resolveFile",
+        value: function _resolveFile(file) {
+            var fs = require('fs');
+            var path = require('path');
+
+            var candidates = [file].concat(this._extensions.map(function (extension) {
+                return file + extension;
+            })).concat(this._extensions.map(function (extension) {
+                return path.join(file, 'index' + extension);
+            }));
+
+            for (var i = 0; i < candidates.length; i++) {
+                if (fs.existsSync(candidates[i]) && fs.statSync(candidates[i]).isFile()) {
+                    return candidates[i];
+                }
+            }
+
+            return null;
         }
 
         /**
-         * @returns {{}}
+         * @param {string} dir
+         * @returns {string|null}
+         * @private
          */
 
     }, {
-        key: "files",
-        get: function get() {
-            return this._files;
+        key: "_resolvePackage",
+        value: function _resolvePackage(dir) {
+            var fs = require('fs');
+            var path = require('path');
+            var pkg = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+            var main = typeof pkg.browser === 'string' ? pkg.browser : pkg.main;
+
+            return main ? this._resolveFile(path.resolve(dir, main)) : null;
         }
-    }]);
 
-    return Compiler;
-}();
+        /**
+         * Node.js core modules are left unbundled, unless
+         * a package with the same name is installed
+         *
+         * @param {string} specifier
+         * @returns {boolean}
+         */
 
-/**
- * @class JsCompiler
- * @package lightweb-builder
- */
+    }, {
+        key: "_isDisabled",
 
 
-Compiler.TYPE_FILE = 'file';
-Compiler.TYPE_DIR = 'path';
+        /**
+         * Modules which are replaced with `false` in `browser` field
+         * of package.json are left unbundled: {"fs": false, "./lib/node.js": false}
+         *
+         * @param {string} specifier
+         * @param {string} from
+         * @returns {boolean}
+         * @private
+         */
+        value: function _isDisabled(specifier, from) {
+            var _this7 = this;
 
-var JsCompiler = function (_Compiler) {
-    _inherits(JsCompiler, _Compiler);
+            var fs = require('fs');
+            var path = require('path');
+            var dir = path.dirname(from);
 
-    function JsCompiler() {
-        var _Object$getPrototypeO;
-
-        var _temp, _this, _ret;
+            while (!fs.existsSync(path.join(dir, 'package.json'))) {
+                if (path.dirname(dir) === dir) {
+                    return false;
+                }
+                dir = path.dirname(dir);
+            }
 
-        _classCallCheck(this, JsCompiler);
+            var browser = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8')).browser;
 
-        for (var _len = arguments.length, args = Array(_len), _key = 0; _key < _len; _key++) {
-            args[_key] = arguments[_key];
-        }
+            if (!browser || (typeof browser === "undefined" ? "undefined" : _typeof(browser)) !== 'object') {
+                return false;
+            }
 
-        return _ret = (_temp = (_this = _possibleConstructorReturn(this, (_Object$getPrototypeO = Object.getPrototypeOf(JsCompiler)).call.apply(_Object$getPrototypeO, [this].concat(args))), _this), _this._package = '', _temp), _possibleConstructorReturn(_this, _ret);
-    }
-    /**
-     * @type {{}}
-     * @private
-     */
+            if (browser[specifier] === false) {
+                return true;
+            }
 
+            if (!/^\.{1,2}(\/|$)/.test(specifier)) {
+                return false;
+            }
 
-    _createClass(JsCompiler, [{
-        key: "namespace",
+            var resolved = this._resolveFile(path.resolve(path.dirname(from), specifier));
 
+            return resolved !== null && Object.keys(browser).some(function (key) {
+                return browser[key] === false && /^\./.test(key) && _this7._resolveFile(path.resolve(dir, key)) === resolved;
+            });
+        }
 
         /**
-         * @param {string} name
-         * @returns {JsCompiler}
+         * @param {string} file Source or compiled file path
+         * @returns {boolean}
          */
-        value: function namespace(name) {
-            var lastChar = name[name.length - 1];
-            if (lastChar !== '/') {
-                name += '/';
-            }
-            this._package = name;
-            return this;
+
+    }, {
+        key: "has",
+        value: function has(file) {
+            return this._names.hasOwnProperty(DependencyGraph._stripExtension(file));
         }
 
         /**
-         * @param {string} text
+         * Module name: "Namespace/path/to/file" for project
+         * files and "package/path/to/file" for node_modules packages
+         *
+         * @param {string} file Source or compiled file path
          * @returns {string}
-         * @private
          */
 
     }, {
-        key: "minify",
+        key: "nameOf",
+        value: function nameOf(file) {
+            var path = require('path');
 
+            file = this._names[DependencyGraph._stripExtension(file)] || file;
 
-        /**
-         * @param gulp
-         * @param options
-         * @returns {*}
-         */
-        value: function minify(gulp) {
-            var options = arguments.length <= 1 || arguments[1] === undefined ? {} : arguments[1];
+            var normalized = file.replace(/\\/g, '/');
+            var index = normalized.lastIndexOf('/node_modules/');
 
-            return gulp.pipe(this.uglify(options));
+            var name = index >= 0 ? normalized.substr(index + '/node_modules/'.length) : this._package + path.relative(this.root, file).replace(/\\/g, '/');
+
+            return DependencyGraph._stripExtension(name);
         }
 
         /**
-         * @param {string} path
-         * @param {string} extension
-         * @returns {Compiler}
+         * Replaces relative paths and package names in require
+         * and import statements with names of bundled modules.
+         *
+         * @param {string} file Source or compiled file path
+         * @param {string} source
+         * @returns {string}
          */
 
     }, {
-        key: "path",
-        value: function path(_path2) {
-            var extension = arguments.length <= 1 || arguments[1] === undefined ? '.js' : arguments[1];
+        key: "rewrite",
+        value: function rewrite(file, source) {
+            var _this8 = this;
 
-            return _get(Object.getPrototypeOf(JsCompiler.prototype), "path", this).call(this, _path2, extension);
+            var dependencies = this._modules[this._names[DependencyGraph._stripExtension(file)] || file] || {};
+
+            return DependencyGraph.replace(source, function (specifier) {
+                return dependencies[specifier] ? _this8.nameOf(dependencies[specifier]) : null;
+            });
         }
 
         /**
-         * @param {Function|null} wrapStream
-         * @returns {*}
+         * @param {string} file
+         * @returns {boolean}
+         * @private
          */
 
     }, {
-        key: "createStream",
-        value: function createStream() {
-            var _this2 = this;
+        key: "files",
+        get: function get() {
+            return this._files;
+        }
 
-            var wrapStream = arguments.length <= 0 || arguments[0] === undefined ? null : arguments[0];
+        /**
+         * Common directory of all modules except node_modules packages
+         *
+         * @returns {string}
+         */
 
-            var stream = _get(Object.getPrototypeOf(JsCompiler.prototype), "createStream", this).call(this, wrapStream);
+    }, {
+        key: "root",
+        get: function get() {
+            if (this._root !== null) {
+                return this._root;
+            }
 
-            if (this._package !== '') {
-                stream = stream.pipe(this.wrapper({
-                    pathModifier: function pathModifier(path) {
-                        path = path.replace(/\\/g, '/');
+            var path = require('path');
+            var parts = null;
 
-                        Object.keys(_this2.files).forEach(function (item) {
-                            var type = _this2.files[item];
-                            var isFile = type === Compiler.TYPE_FILE;
-                            var regexp = isFile ? new RegExp('.*?' + _this2.constructor._escapeRegexp(item) + '$', 'g') : new RegExp('.*?' + _this2.constructor._escapeRegexp(item) + '.*?', 'g');
+            this._files.filter(function (file) {
+                return !DependencyGraph._isPackage(file);
+            }).forEach(function (file) {
+                var dirs = path.dirname(file).split(path.sep);
 
-                            if (item.match(regexp)) {
-                                path = path.replace(regexp, isFile ? item.split('/').pop() : '');
-                            }
-                        });
+                if (parts === null) {
+                    return parts = dirs;
+                }
 
-                        var result = _this2._package + path.replace(/\.[a-z0-9]+$/, '');
+                var i = 0;
+                while (i < parts.length && parts[i] === dirs[i]) {
+                    i++;
+                }
+                parts = parts.slice(0, i);
+            });
 
-                        if (result[0] === '/') {
-                            return result.substr(1);
-                        }
+            return this._root = parts === null ? process.cwd() : parts.join(path.sep) || path.sep;
+        }
+    }], [{
+        key: "dependencies",
+        value: function dependencies(source) {
+            return DependencyGraph.specifiers(source).map(function (item) {
+                return item.specifier;
+            }).filter(function (specifier, index, specifiers) {
+                return specifiers.indexOf(specifier) === index;
+            });
+        }
 
-                        return result;
-                    }
-                }));
-            }
+        /**
+         * Module names of require and import statements in order of their positions,
+         * statements inside of strings, templates and comments are skipped.
+         *
+         * @param {string} source
+         * @returns {Array} [{specifier: string, index: number}]
+         */
 
-            return stream;
-        }
     }, {
-        key: "wrapper",
+        key: "specifiers",
+        value: function specifiers(source) {
+            var code = JsCompiler.maskCode(source, true);
+            var result = [];
+
+            DependencyGraph.PATTERNS.forEach(function (pattern) {
+                var match;
+
+                pattern.lastIndex = 0;
+                while ((match = pattern.exec(code)) !== null) {
+                    var index = match.index + match[0].lastIndexOf(match[1] + match[2] + match[1]) + 1;
+
+                    result.push({ specifier: source.substr(index, match[2].length), index: index });
+                }
+            });
 
+            return result.sort(function (a, b) {
+                return a.index - b.index;
+            });
+        }
 
         /**
-         * @returns {*}
+         * Replaces module names in require and import statements
+         *
+         * @param {string} source
+         * @param {Function} callback Returns new name or null to keep it as is
+         * @returns {string}
          */
-        get: function get() {
-            return require('gulp-wrap-commonjs');
+
+    }, {
+        key: "replace",
+        value: function replace(source, callback) {
+            DependencyGraph.specifiers(source).reverse().forEach(function (item) {
+                var name = callback(item.specifier);
+
+                if (name !== null) {
+                    source = source.substr(0, item.index) + name + source.substr(item.index + item.specifier.length);
+                }
+            });
+
+            return source;
+        }
+    }, {
+        key: "isBuiltin",
+        value: function isBuiltin(specifier) {
+            var builtins = require('module').builtinModules;
+
+            return builtins.indexOf(specifier) >= 0 || builtins.indexOf(specifier.split('/')[0]) >= 0;
+        }
+    }, {
+        key: "_isPackage",
+        value: function _isPackage(file) {
+            return file.replace(/\\/g, '/').indexOf('/node_modules/') >= 0;
         }
 
         /**
-         * @returns {*}
+         * @param {string} file
+         * @returns {string}
+         * @private
          */
 
     }, {
-        key: "uglify",
-        get: function get() {
-            return require('gulp-uglify');
-        }
-    }], [{
-        key: "_escapeRegexp",
-        value: function _escapeRegexp(text) {
-            return text.replace(/[\-\[\]\/\{\}\(\)\+\?\*\.\\\^\$\|]/g, "\\$&");
+        key: "_stripExtension",
+        value: function _stripExtension(file) {
+            return file.replace(/\.[a-z0-9]+$/i, '');
         }
     }]);
 
-    return JsCompiler;
-}(Compiler);
+    return DependencyGraph;
+}();
 
 /**
- * @class CssCompiler
+ * On-disk storage of compiled files. Entries are keyed by file
+ * contents, compiler class and compiler options, so cache directory
+ * can be shared between builds and CI jobs.
+ *
+ * @class CompilerCache
  * @package lightweb-builder
  */
 
 
-var CssCompiler = function (_Compiler2) {
-    _inherits(CssCompiler, _Compiler2);
-
-    function CssCompiler() {
-        var _Object$getPrototypeO2;
+DependencyGraph.PATTERNS = [/\brequire\s*\(\s*(['"])([^'"]+)\1\s*\)/g, /\bimport\s+(?:[\w$*{}\s,]+?\s*from\s*)?(['"])([^'"]+)\1/g, /\bexport\s+(?:\*|\{[^}]*\})\s*from\s*(['"])([^'"]+)\1/g, /\brequire\.async\s*\(\s*(['"])([^'"]+)\1\s*\)/g];
 
-        var _temp2, _this3, _ret2;
+var CompilerCache = function () {
 
-        _classCallCheck(this, CssCompiler);
+    /**
+     * @param {string} directory
+     */
+    function CompilerCache(directory) {
+        _classCallCheck(this, CompilerCache);
 
-        for (var _len2 = arguments.length, args = Array(_len2), _key2 = 0; _key2 < _len2; _key2++) {
-            args[_key2] = arguments[_key2];
-        }
+        this._directory = '';
 
-        return _ret2 = (_temp2 = (_this3 = _possibleConstructorReturn(this, (_Object$getPrototypeO2 = Object.getPrototypeOf(CssCompiler)).call.apply(_Object$getPrototypeO2, [this].concat(args))), _this3), _this3._autoPrefixer = false, _this3._autoPrefixerOptions = {}, _temp2), _possibleConstructorReturn(_this3, _ret2);
+        this._directory = directory;
     }
+
     /**
-     * @type {boolean}
-     * @private
+     * @returns {string}
      */
 
-
     /**
-     * @type {{}}
+     * @type {string}
      * @private
      */
 
 
-    _createClass(CssCompiler, [{
-        key: "path",
+    _createClass(CompilerCache, [{
+        key: "key",
 
 
         /**
-         * @param path
-         * @param extension
-         * @returns {Compiler}
+         * @param file
+         * @param {Compiler} compiler
+         * @returns {string}
          */
-        value: function path(_path3) {
-            var extension = arguments.length <= 1 || arguments[1] === undefined ? '.css' : arguments[1];
+        value: function key(file, compiler) {
+            var crypto = require('crypto');
+            var fs = require('fs');
+            var path = require('path');
+
+            var hash = crypto.createHash('md5').update(compiler.constructor.name + "\n").update(JSON.stringify(compiler.identity) + "\n").update((file.sourceMap ? 'map' : '') + "\n").update(path.relative(process.cwd(), file.path).replace(/\\/g, '/') + "\n").update(file.contents);
+
+            compiler.dependenciesOf(file).forEach(function (dependency) {
+                if (fs.existsSync(dependency)) {
+                    hash.update("\n" + path.relative(process.cwd(), dependency).replace(/\\/g, '/') + "\n").update(fs.readFileSync(dependency));
+                }
+            });
 
-            return _get(Object.getPrototypeOf(CssCompiler.prototype), "path", this).call(this, _path3, extension);
+            return hash.digest('hex');
         }
 
         /**
-         * @param enabled
-         * @param options
-         * @returns {CssCompiler}
+         * Replaces file contents, extension and source map with cached ones
+         *
+         * @param {string} key
+         * @param file
+         * @returns {boolean}
          */
 
     }, {
-        key: "autoPrefix",
-        value: function autoPrefix() {
-            var enabled = arguments.length <= 0 || arguments[0] === undefined ? true : arguments[0];
-            var options = arguments.length <= 1 || arguments[1] === undefined ? {} : arguments[1];
+        key: "restore",
+        value: function restore(key, file) {
+            var fs = require('fs');
+            var path = require('path');
+
+            var entry = path.join(this._directory, key + '.json');
+            if (!fs.existsSync(entry)) {
+                return false;
+            }
 
-            this._autoPrefixer = !!enabled;
-            this._autoPrefixerOptions = options;
-            return this;
-        }
+            try {
+                var data = JSON.parse(fs.readFileSync(entry, 'utf8'));
+            } catch (e) {
+                return false;
+            }
 
-        /**
-         * @param gulp
-         * @param options
-         * @returns {*}
-         */
+            var extension = path.extname(file.path);
 
-    }, {
-        key: "minify",
-        value: function minify(gulp) {
-            var options = arguments.length <= 1 || arguments[1] === undefined ? {} : arguments[1];
+            file.contents = Buffer.from(data.contents);
+            file.path = file.path.substr(0, file.path.length - extension.length) + data.extension;
 
-            return gulp.pipe(this.uglify(options));
+            if (file.sourceMap && data.sourceMap) {
+                file.sourceMap = data.sourceMap;
+            }
+
+            return true;
         }
 
         /**
-         * @param wrapStream
-         * @returns {*}
+         * @param {string} key
+         * @param file
+         * @returns {CompilerCache}
          */
 
     }, {
-        key: "createStream",
-        value: function createStream() {
-            var _this4 = this;
-
-            var wrapStream = arguments.length <= 0 || arguments[0] === undefined ? null : arguments[0];
-
-            var build = function build(stream) {
-                var autoprefixes = require('gulp-autoprefixer');
+        key: "save",
+        value: function save(key, file) {
+            var fs = require('fs');
+            var path = require('path');
+            var mkdirp = require('mkdirp');
 
-                if (_this4._autoPrefixer) {
-                    var args = _this4._autoPrefixerOptions;
-                    stream = stream.pipe(autoprefixes(args));
-                }
+            mkdirp.sync(this._directory);
 
-                return stream;
-            };
+            fs.writeFileSync(path.join(this._directory, key + '.json'), JSON.stringify({
+                extension: path.extname(file.path),
+                contents: file.contents.toString(),
+                sourceMap: file.sourceMap || null
+            }));
 
-            return _get(Object.getPrototypeOf(CssCompiler.prototype), "createStream", this).call(this, function (stream) {
-                stream = build(stream);
-                if (wrapStream) {
-                    stream = wrapStream(stream, _this4);
-                }
-                return stream;
-            });
+            return this;
         }
     }, {
-        key: "uglify",
-
-
-        /**
-         * @returns {*}
-         */
+        key: "directory",
         get: function get() {
-            return require('gulp-clean-css');
+            return this._directory;
         }
     }]);
 
-    return CssCompiler;
-}(Compiler);
+    return CompilerCache;
+}();
 
 /**
- * @class SassCompiler
+ * @class Compiler
  * @package lightweb-builder
  */
 
 
-var SassCompiler = function (_CssCompiler) {
-    _inherits(SassCompiler, _CssCompiler);
+var Compiler = function () {
 
-    function SassCompiler() {
-        _classCallCheck(this, SassCompiler);
+    /**
+     * @param builder
+     */
 
-        return _possibleConstructorReturn(this, Object.getPrototypeOf(SassCompiler).apply(this, arguments));
-    }
 
-    _createClass(SassCompiler, [{
-        key: "path",
+    /**
+     * @type {Array}
+     * @private
+     */
 
 
-        /**
-         * @param path
-         * @param extension
-         * @returns {*|Compiler}
-         */
-        value: function path(_path4) {
-            var extension = arguments.length <= 1 || arguments[1] === undefined ? '.sass' : arguments[1];
+    /**
+     * Exclude patterns of path globs: {glob: [patterns]}
+     *
+     * @type {{}}
+     * @private
+     */
 
-            return _get(Object.getPrototypeOf(SassCompiler.prototype), "path", this).call(this, _path4, extension);
-        }
 
-        /**
-         * @param wrapStream
-         * @returns {*}
-         */
+    /**
+     * @type {Array}
+     * @private
+     */
 
-    }, {
-        key: "createStream",
-        value: function createStream() {
-            var _this6 = this;
 
-            var wrapStream = arguments.length <= 0 || arguments[0] === undefined ? null : arguments[0];
+    /**
+     * @type {boolean}
+     * @private
+     */
+    function Compiler(builder) {
+        _classCallCheck(this, Compiler);
 
-            var build = function build(stream) {
-                return stream.pipe(_this6.compiler());
-            };
+        this._builder = null;
+        this._syncBuilding = false;
+        this._files = {};
+        this._gulpPaths = [];
+        this._excludes = [];
+        this._pathExcludes = {};
+        this._order = {};
+        this._errors = [];
+        this._pipes = { before: [], after: [] };
 
-            return _get(Object.getPrototypeOf(SassCompiler.prototype), "createStream", this).call(this, function (stream) {
-                stream = build(stream);
-                if (wrapStream) {
-                    stream = wrapStream(stream, _this6);
-                }
-                return stream;
-            });
-        }
-    }, {
-        key: "compiler",
+        this._builder = builder;
+    }
 
-        /**
-         * @returns {*}
-         */
-        get: function get() {
-            try {
-                return require('gulp-sass');
-            } catch (e) {
-                throw this.compilerError('Sass', 'gulp-sass', '2.2.*');
-            }
-        }
-    }]);
+    /**
+     * @param enabled
+     * @returns {Compiler}
+     */
 
-    return SassCompiler;
-}(CssCompiler);
 
-/**
- * @class ScssCompiler
- * @package lightweb-builder
- */
+    /**
+     * Plugin factories which are applied before and after compilation
+     *
+     * @type {{before: Array, after: Array}}
+     * @private
+     */
 
 
-var ScssCompiler = function (_SassCompiler) {
-    _inherits(ScssCompiler, _SassCompiler);
+    /**
+     * @type {{}}
+     * @private
+     */
 
-    function ScssCompiler() {
-        _classCallCheck(this, ScssCompiler);
 
-        return _possibleConstructorReturn(this, Object.getPrototypeOf(ScssCompiler).apply(this, arguments));
-    }
+    /**
+     * Exclude patterns of all paths
+     *
+     * @type {Array}
+     * @private
+     */
 
-    _createClass(ScssCompiler, [{
-        key: "path",
 
+    /**
+     * @type {{}}
+     * @private
+     */
+
+
+    /**
+     * @type {WebBuilder}
+     * @private
+     */
+
+
+    _createClass(Compiler, [{
+        key: "syncBuilding",
+        value: function syncBuilding() {
+            var enabled = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : false;
+
+            this._syncBuilding = !!enabled;
+            return this;
+        }
 
         /**
-         * @param path
-         * @param extension
-         * @returns {*|Compiler}
+         * @returns {boolean}
          */
-        value: function path(_path5) {
-            var extension = arguments.length <= 1 || arguments[1] === undefined ? '.scss' : arguments[1];
 
-            return _get(Object.getPrototypeOf(ScssCompiler.prototype), "path", this).call(this, _path5, extension);
+    }, {
+        key: "dependenciesOf",
+
+
+        /**
+         * Files which are not in the stream, but change compilation result
+         * of the given file (imported stylesheets, config files, etc)
+         *
+         * @param file
+         * @returns {Array}
+         */
+        value: function dependenciesOf(file) {
+            return [];
         }
+
+        /**
+         * Output kind, compilers of one kind are concatenated into one file
+         *
+         * @returns {string}
+         */
+
     }, {
-        key: "compiler",
+        key: "file",
+
 
         /**
-         * @returns {*}
+         * @param {string} file
+         * @returns {Compiler}
          */
-        get: function get() {
-            try {
-                return require('gulp-sass');
-            } catch (e) {
-                throw this.compilerError('Scss', 'gulp-sass', '2.2.*');
-            }
+        value: function file(_file) {
+            this._files[_file] = Compiler.TYPE_FILE;
+            this._gulpPaths.push(_file);
+            return this;
         }
-    }]);
 
-    return ScssCompiler;
-}(SassCompiler);
+        /**
+         * Adds files of the directory. Exclude patterns are relative to the directory.
+         *
+         * @param {string} path
+         * @param {string|{}} options Extension or {extension, exclude}
+         * @param {string} extension Default extension
+         * @returns {Compiler}
+         */
 
-/**
- * @class LessCompiler
- * @package lightweb-builder
- */
+    }, {
+        key: "path",
+        value: function path(_path) {
+            var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : '';
+            var extension = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : '';
 
+            var lastChar = _path[_path.length - 1];
+            if (lastChar !== '/' && lastChar !== '\\') {
+                throw new Error('Directory name must be ended at "/" char');
+            }
 
-var LessCompiler = function (_CssCompiler2) {
-    _inherits(LessCompiler, _CssCompiler2);
+            if (typeof options === 'string') {
+                options = { extension: options };
+            }
 
-    function LessCompiler() {
-        _classCallCheck(this, LessCompiler);
+            var glob = _path + '**/*' + (options.extension === undefined ? extension : options.extension);
 
-        return _possibleConstructorReturn(this, Object.getPrototypeOf(LessCompiler).apply(this, arguments));
-    }
+            this._files[_path] = Compiler.TYPE_DIR;
+            this._gulpPaths.push(glob);
+            this._pathExcludes[glob] = [].concat(options.exclude || []).map(function (pattern) {
+                return _path + pattern;
+            });
+            return this;
+        }
 
-    _createClass(LessCompiler, [{
-        key: "path",
+        /**
+         * Skips files which match the patterns in all paths of the compiler
+         *
+         * @param {...string} patterns Globs relative to working directory
+         * @returns {Compiler}
+         */
+
+    }, {
+        key: "exclude",
+        value: function exclude() {
+            var _excludes;
 
+            this._excludes = (_excludes = this._excludes).concat.apply(_excludes, arguments);
+            return this;
+        }
 
         /**
-         * @param path
-         * @param extension
-         * @returns {*|Compiler}
+         * Exclude patterns of the path glob
+         *
+         * @param {string} glob
+         * @returns {Array}
          */
-        value: function path(_path6) {
-            var extension = arguments.length <= 1 || arguments[1] === undefined ? '.less' : arguments[1];
 
-            return _get(Object.getPrototypeOf(LessCompiler.prototype), "path", this).call(this, _path6, extension);
+    }, {
+        key: "excludesOf",
+        value: function excludesOf(glob) {
+            return this._excludes.concat(this._pathExcludes[glob] || []);
         }
 
         /**
-         * @param wrapStream
-         * @returns {*}
+         * Checks whether changed file is one of compiler paths and is not excluded
+         *
+         * @param {string} file
+         * @returns {boolean}
          */
 
     }, {
-        key: "createStream",
-        value: function createStream() {
+        key: "watches",
+        value: function watches(file) {
             var _this9 = this;
 
-            var wrapStream = arguments.length <= 0 || arguments[0] === undefined ? null : arguments[0];
+            var minimatch = require('minimatch');
+            var path = require('path');
 
-            var build = function build(stream) {
-                return stream.pipe(_this9.compiler());
+            var relative = function relative(glob) {
+                return path.relative(process.cwd(), path.resolve(glob)).replace(/\\/g, '/');
+            };
+            var matches = function matches(glob) {
+                return minimatch(relative(file), relative(glob));
             };
 
-            return _get(Object.getPrototypeOf(LessCompiler.prototype), "createStream", this).call(this, function (stream) {
-                stream = build(stream);
-                if (wrapStream) {
-                    stream = wrapStream(stream, _this9);
-                }
-                return stream;
+            return this.paths.some(function (glob) {
+                return matches(glob) && !_this9.excludesOf(glob).some(matches);
             });
         }
-    }, {
-        key: "compiler",
 
         /**
-         * @returns {*}
+         * Adds gulp plugin into compiler pipeline. Factory is called
+         * on every build and must return a new plugin stream.
+         *
+         * @param {Function} pluginFactory
+         * @param {string} when "before" or "after" compilation
+         * @returns {Compiler}
          */
-        get: function get() {
-            try {
-                return require('gulp-less');
-            } catch (e) {
-                throw this.compilerError('Less', 'gulp-less', '3.0.*');
-            }
-        }
-    }]);
 
-    return LessCompiler;
-}(CssCompiler);
+    }, {
+        key: "pipe",
+        value: function pipe(pluginFactory) {
+            var when = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : Compiler.PIPE_AFTER;
 
-/**
- * @class StylusCompiler
- * @package lightweb-builder
- */
+            if (typeof pluginFactory !== 'function') {
+                throw new Error('Plugin factory must be a function');
+            }
 
+            if (when !== Compiler.PIPE_BEFORE && when !== Compiler.PIPE_AFTER) {
+                throw new Error("Unknown pipe position \"" + when + "\", expected \"before\" or \"after\"");
+            }
 
-var StylusCompiler = function (_CssCompiler3) {
-    _inherits(StylusCompiler, _CssCompiler3);
+            this._pipes[when].push(pluginFactory);
+            return this;
+        }
 
-    function StylusCompiler() {
-        _classCallCheck(this, StylusCompiler);
+        /**
+         * Identifies source file, files which are imported with
+         * media queries differ from the same files imported without them
+         *
+         * @param file
+         * @returns {string}
+         */
 
-        return _possibleConstructorReturn(this, Object.getPrototypeOf(StylusCompiler).apply(this, arguments));
-    }
+    }, {
+        key: "orderOf",
 
-    _createClass(StylusCompiler, [{
-        key: "path",
 
+        /**
+         * Position of source file in declaration order
+         *
+         * @param file
+         * @returns {number}
+         */
+        value: function orderOf(file) {
+            var index = this._order[Compiler.sourceKey(file)];
+            return index === undefined ? Number.MAX_VALUE : index;
+        }
 
         /**
-         * @param {string} path
-         * @param {string} extension
-         * @returns {*|Compiler}
+         * @param a
+         * @param b
+         * @returns {number}
          */
-        value: function path(_path7) {
-            var extension = arguments.length <= 1 || arguments[1] === undefined ? '.styl' : arguments[1];
 
-            return _get(Object.getPrototypeOf(StylusCompiler.prototype), "path", this).call(this, _path7, extension);
+    }, {
+        key: "compare",
+        value: function compare(a, b) {
+            return this.orderOf(a) - this.orderOf(b);
         }
 
         /**
-         * @param wrapStream
+         * Reads files in order of `file()` and `path()` calls,
+         * files of one directory are sorted by name.
+         *
          * @returns {*}
          */
 
     }, {
-        key: "createStream",
-        value: function createStream() {
-            var _this11 = this;
+        key: "createSource",
+        value: function createSource() {
+            var _this10 = this;
+
+            var index = 0;
+            this._order = {};
+
+            return _merge3.default.apply(undefined, _toConsumableArray(this.sources())).pipe(filter(function (file) {
+                return _this10._order[Compiler.sourceKey(file)] === undefined;
+            })).pipe(tap(function (file) {
+                return _this10._order[Compiler.sourceKey(file)] = index++;
+            }));
+        }
 
-            var wrapStream = arguments.length <= 0 || arguments[0] === undefined ? null : arguments[0];
+        /**
+         * @returns {Array}
+         */
 
-            var build = function build(stream) {
-                return stream.pipe(_this11.compiler());
-            };
+    }, {
+        key: "sources",
+        value: function sources() {
+            var _this11 = this;
 
-            return _get(Object.getPrototypeOf(StylusCompiler.prototype), "createStream", this).call(this, function (stream) {
-                stream = build(stream);
-                if (wrapStream) {
-                    stream = wrapStream(stream, _this11);
-                }
-                return stream;
+            return this._gulpPaths.map(function (glob) {
+                var excludes = _this11.excludesOf(glob).map(function (pattern) {
+                    return '!' + pattern;
+                });
+
+                return _gulp2.default.src([glob].concat(excludes)).pipe(sorted(function (a, b) {
+                    return a.path < b.path ? -1 : a.path > b.path ? 1 : 0;
+                }));
             });
         }
-    }, {
-        key: "compiler",
 
         /**
+         * Creates stream of compiled files. Subclasses pass their transforms
+         * as `wrapStream`: it receives stream of source files (with initialized
+         * source maps) and the compiler and returns stream of compiled files.
+         *
+         * @param {Function|null} wrapStream
          * @returns {*}
          */
-        get: function get() {
-            try {
-                return require('gulp-stylus');
-            } catch (e) {
-                throw this.compilerError('Stylus', 'gulp-stylus', '2.3.*');
-            }
-        }
-    }]);
 
-    return StylusCompiler;
-}(CssCompiler);
+    }, {
+        key: "createStream",
+        value: function createStream() {
+            var _this12 = this;
 
-/**
- * @class BabelCompiler
- * @package lightweb-builder
- */
+            var wrapStream = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : null;
 
+            this._errors = [];
 
-var BabelCompiler = function (_JsCompiler) {
-    _inherits(BabelCompiler, _JsCompiler);
+            var stream = this.createSource();
 
-    function BabelCompiler() {
-        var _Object$getPrototypeO3;
+            if (this._builder.sourceMaps) {
+                var sourcemaps = require('gulp-sourcemaps');
+                stream = stream.pipe(sourcemaps.init({ loadMaps: true }));
+            }
 
-        var _temp3, _this12, _ret3;
+            stream = this._pipes.before.reduce(function (stream, factory) {
+                return _this12.compile(stream, factory());
+            }, stream);
 
-        _classCallCheck(this, BabelCompiler);
+            if (wrapStream) {
+                stream = this._builder.cache && this.cacheable ? this.cached(stream, wrapStream) : wrapStream(stream, this);
+            }
 
-        for (var _len3 = arguments.length, args = Array(_len3), _key3 = 0; _key3 < _len3; _key3++) {
-            args[_key3] = arguments[_key3];
+            stream = this._pipes.after.reduce(function (stream, factory) {
+                return _this12.compile(stream, factory());
+            }, stream);
+
+            return stream.pipe((0, _gulpDebug2.default)({ title: '+' }));
         }
 
-        return _ret3 = (_temp3 = (_this12 = _possibleConstructorReturn(this, (_Object$getPrototypeO3 = Object.getPrototypeOf(BabelCompiler)).call.apply(_Object$getPrototypeO3, [this].concat(args))), _this12), _this12._presets = [], _this12._plugins = [], _this12._options = {}, _temp3), _possibleConstructorReturn(_this12, _ret3);
-    }
-    /**
-     * @type {Array}
-     * @private
-     */
+        /**
+         * Takes files which are found in cache from disk, compiles
+         * the rest and saves their results into cache.
+         *
+         * @param stream
+         * @param {Function} wrapStream
+         * @returns {*}
+         */
 
+    }, {
+        key: "cached",
+        value: function cached(stream, wrapStream) {
+            var _this13 = this;
 
-    /**
-     * @type {Array}
-     * @private
-     */
+            var cache = this._builder.cache;
+            var keys = {};
+            var hits = _through2.default.obj();
 
+            var misses = stream.pipe(_through2.default.obj(function (file, encoding, next) {
+                var key = cache.key(file, _this13);
 
-    /**
-     * @type {{}}
-     * @private
-     */
+                if (cache.restore(key, file)) {
+                    hits.write(file);
+                    return next();
+                }
 
+                keys[Compiler.sourceKey(file)] = key;
+                next(null, file);
+            }, function (next) {
+                hits.end();
+                next();
+            }));
 
-    _createClass(BabelCompiler, [{
-        key: "preset",
+            var compiled = wrapStream(misses, this).pipe(tap(function (file) {
+                var key = keys[Compiler.sourceKey(file)];
 
+                if (key) {
+                    cache.save(key, file);
+                }
+            }));
 
-        /**
-         * @param presets
-         * @returns {BabelCompiler}
+            return (0, _merge3.default)([hits, compiled]);
+        }
+
+        /**
+         * Pipes stream through compiler plugin. Plugin errors are collected
+         * into `errors` list instead of breaking the whole build, files
+         * after a broken one are still compiled and checked.
+         *
+         * @param stream
+         * @param plugin
+         * @returns {*}
          */
-        value: function preset() {
-            for (var _len4 = arguments.length, presets = Array(_len4), _key4 = 0; _key4 < _len4; _key4++) {
-                presets[_key4] = arguments[_key4];
-            }
 
-            this._presets = this._presets.concat(presets);
+    }, {
+        key: "compile",
+        value: function compile(stream, plugin) {
+            var _this14 = this;
+
+            return fed(stream, plugin, function (error) {
+                return _this14.report(error);
+            });
+        }
+
+        /**
+         * @param {Error} error
+         * @returns {Compiler}
+         */
+
+    }, {
+        key: "report",
+        value: function report(error) {
+            this._errors.push(this.createError(error));
             return this;
         }
 
         /**
-         * @param plugins
-         * @returns {BabelCompiler}
+         * Converts errors of babel, coffee, typescript, sass, less
+         * and stylus plugins into errors with same fields:
+         * `compiler`, `plugin`, `file`, `line`, `column`, `code`, `frame`.
+         *
+         * @param {Error} error
+         * @returns {Error}
          */
 
     }, {
-        key: "plugin",
-        value: function plugin() {
-            for (var _len5 = arguments.length, plugins = Array(_len5), _key5 = 0; _key5 < _len5; _key5++) {
-                plugins[_key5] = arguments[_key5];
+        key: "createError",
+        value: function createError(error) {
+            var fs = require('fs');
+            var path = require('path');
+
+            var file = [error.fileName, error.filename, error.file, error.fullFilename].filter(function (item) {
+                return typeof item === 'string';
+            })[0] || null;
+            var position = { line: null, column: null };
+
+            if (error.startPosition) {
+                position = { line: error.startPosition.line, column: error.startPosition.character };
+            } else if (error.loc) {
+                position = { line: error.loc.line, column: error.loc.column + 1 };
+            } else if (error.location) {
+                position = { line: error.location.first_line + 1, column: error.location.first_column + 1 };
+            } else if (error.lineno) {
+                position = { line: error.lineno, column: error.column };
+            } else if (error.lineNumber) {
+                position = { line: error.lineNumber, column: error.column === undefined ? null : error.column + 1 };
+            } else if (error.line) {
+                position = { line: error.line, column: error.column + (error.extract ? 1 : 0) };
             }
 
-            this._plugins = this._plugins.concat(plugins);
-            return this;
+            var frame = error.codeFrame || '';
+            if (!frame && file && position.line && fs.existsSync(file)) {
+                frame = Compiler.codeFrame(fs.readFileSync(file, 'utf8'), position.line, position.column);
+            }
+
+            var message = (error.message || String(error)).split("\n")[0];
+            if (file) {
+                message = message.replace(file + ': ', '');
+            }
+
+            var code = error.diagnostic ? 'TS' + error.diagnostic.code : null;
+            if (code && message.indexOf(code) >= 0) {
+                message = message.substr(message.indexOf(code));
+            }
+
+            var location = file ? path.relative(process.cwd(), file) + (position.line ? ":" + position.line + ":" + (position.column || 1) : '') : null;
+
+            var result = new Error(this.constructor.name + ": " + (location ? location + ": " : '') + message + (frame ? "\n" + frame : ''));
+
+            result.compiler = this.constructor.name;
+            result.plugin = error.plugin || null;
+            result.file = file;
+            result.line = position.line;
+            result.column = position.column;
+            result.code = code;
+            result.frame = frame;
+            result.original = error;
+
+            return result;
         }
+
+        /**
+         * @param {string} source
+         * @param {number} line
+         * @param {number|null} column
+         * @returns {string}
+         */
+
     }, {
-        key: "options",
-        value: function options() {
-            var args = arguments.length <= 0 || arguments[0] === undefined ? {} : arguments[0];
+        key: "relocate",
 
-            this._options = args;
-            return this;
+
+        /**
+         * Prepares compiled files for the output directory
+         *
+         * @param stream
+         * @param {string} directory
+         * @returns {*}
+         */
+        value: function relocate(stream, directory) {
+            return stream;
         }
 
         /**
+         * @param gulp
+         * @param {object} options
          * @returns {*}
          */
 
     }, {
-        key: "createStream",
+        key: "minify",
+        value: function minify(gulp) {
+            var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
 
+            return gulp;
+        }
 
         /**
-         * @param wrapStream
-         * @returns {*}
+         * @param {string} name
+         * @param {string} pkg
+         * @param {string} version
+         * @returns {Error}
          */
-        value: function createStream() {
-            var _this13 = this;
 
-            var wrapStream = arguments.length <= 0 || arguments[0] === undefined ? null : arguments[0];
+    }, {
+        key: "compilerError",
+        value: function compilerError(name, pkg, version) {
+            return new Error(name + " compiler not defined. Please add {\"" + pkg + "\": \"" + version + "\"} in your package.json");
+        }
+    }, {
+        key: "synced",
+        get: function get() {
+            return this._syncBuilding;
+        }
 
-            var build = function build(stream) {
-                var args = {
-                    presets: _this13._presets,
-                    plugins: _this13._plugins
-                };
+        /**
+         * @returns {{}}
+         */
 
-                Object.keys(_this13._options).forEach(function (key) {
-                    args[key] = _this13._options[key];
-                });
+    }, {
+        key: "files",
+        get: function get() {
+            return this._files;
+        }
 
-                return stream.pipe(_this13.compiler(args));
-            };
+        /**
+         * @returns {Array}
+         */
 
-            return _get(Object.getPrototypeOf(BabelCompiler.prototype), "createStream", this).call(this, function (stream) {
-                stream = build(stream);
-                if (wrapStream) {
-                    stream = wrapStream(stream, _this13);
-                }
-                return stream;
-            });
+    }, {
+        key: "paths",
+        get: function get() {
+            return this._gulpPaths;
         }
+
+        /**
+         * Errors of the last compilation
+         *
+         * @returns {Array}
+         */
+
     }, {
-        key: "compiler",
+        key: "errors",
         get: function get() {
-            try {
-                return require('gulp-babel');
-            } catch (e) {
-                throw this.compilerError('Babel', 'gulp-babel', '6.1.*');
+            return this._errors;
+        }
+
+        /**
+         * Options which change compiler output, they are a part of cache keys
+         *
+         * @returns {{}}
+         */
+
+    }, {
+        key: "identity",
+        get: function get() {
+            return {};
+        }
+
+        /**
+         * @returns {boolean}
+         */
+
+    }, {
+        key: "cacheable",
+        get: function get() {
+            return true;
+        }
+    }, {
+        key: "kind",
+        get: function get() {
+            return Compiler.KIND_SCRIPT;
+        }
+    }], [{
+        key: "sourceKey",
+        value: function sourceKey(file) {
+            return file.media ? file.history[0] + " @media " + file.media : file.history[0];
+        }
+    }, {
+        key: "codeFrame",
+        value: function codeFrame(source, line) {
+            var column = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : null;
+
+            var lines = source.split(/\r?\n/);
+            var from = Math.max(line - 3, 0);
+            var to = Math.min(line + 2, lines.length);
+            var width = String(to).length;
+            var result = [];
+
+            for (var i = from; i < to; i++) {
+                var number = String(i + 1);
+                var gutter = (i + 1 === line ? '> ' : '  ') + ' '.repeat(width - number.length) + number + ' | ';
+
+                result.push(gutter + lines[i]);
+
+                if (i + 1 === line && column) {
+                    result.push('  ' + ' '.repeat(width) + ' | ' + lines[i].substr(0, column - 1).replace(/[^\t]/g, ' ') + '^');
+                }
             }
+
+            return result.join("\n");
         }
     }]);
 
-    return BabelCompiler;
-}(JsCompiler);
+    return Compiler;
+}();
 
 /**
- * @class CoffeeCompiler
+ * @class JsCompiler
  * @package lightweb-builder
  */
 
 
-var CoffeeCompiler = function (_JsCompiler2) {
-    _inherits(CoffeeCompiler, _JsCompiler2);
+Compiler.TYPE_FILE = 'file';
+Compiler.TYPE_DIR = 'path';
+Compiler.KIND_SCRIPT = 'js';
+Compiler.KIND_STYLE = 'css';
+Compiler.KIND_PAGE = 'html';
+Compiler.PIPE_BEFORE = 'before';
+Compiler.PIPE_AFTER = 'after';
 
-    function CoffeeCompiler() {
-        var _Object$getPrototypeO4;
+var JsCompiler = function (_Compiler) {
+    _inherits(JsCompiler, _Compiler);
 
-        var _temp4, _this14, _ret4;
+    function JsCompiler() {
+        var _ref;
 
-        _classCallCheck(this, CoffeeCompiler);
+        var _temp, _this15, _ret;
 
-        for (var _len6 = arguments.length, args = Array(_len6), _key6 = 0; _key6 < _len6; _key6++) {
-            args[_key6] = arguments[_key6];
+        _classCallCheck(this, JsCompiler);
+
+        for (var _len = arguments.length, args = Array(_len), _key = 0; _key < _len; _key++) {
+            args[_key] = arguments[_key];
         }
 
-        return _ret4 = (_temp4 = (_this14 = _possibleConstructorReturn(this, (_Object$getPrototypeO4 = Object.getPrototypeOf(CoffeeCompiler)).call.apply(_Object$getPrototypeO4, [this].concat(args))), _this14), _this14._bare = false, _temp4), _possibleConstructorReturn(_this14, _ret4);
+        return _ret = (_temp = (_this15 = _possibleConstructorReturn(this, (_ref = JsCompiler.__proto__ || Object.getPrototypeOf(JsCompiler)).call.apply(_ref, [this].concat(args))), _this15), _this15._package = '', _this15._entries = [], _this15._graph = null, _this15._chunks = {}, _temp), _possibleConstructorReturn(_this15, _ret);
     }
     /**
-     * @type {boolean}
+     * Non-script files which are wrapped into modules: {extension: type}
+     */
+
+
+    /**
+     * @type {{}}
+     * @private
+     */
+
+
+    /**
+     * @type {Array}
+     * @private
+     */
+
+
+    /**
+     * @type {DependencyGraph|null}
+     * @private
+     */
+
+
+    /**
+     * Locations of lazily loaded chunks: {name: [absolute paths]}
+     *
+     * @type {{}}
      * @private
      */
 
 
-    _createClass(CoffeeCompiler, [{
-        key: "bare",
+    _createClass(JsCompiler, [{
+        key: "namespace",
+
+
+        /**
+         * @param {string} name
+         * @returns {JsCompiler}
+         */
+        value: function namespace(name) {
+            var lastChar = name[name.length - 1];
+            if (lastChar !== '/') {
+                name += '/';
+            }
+            this._package = name;
+            return this;
+        }
+
+        /**
+         * Adds entry point: the file and all modules which are required
+         * or imported by it (including node_modules packages) will be bundled.
+         *
+         * @param {string} file
+         * @returns {JsCompiler}
+         */
+
+    }, {
+        key: "entry",
+        value: function entry(file) {
+            this._entries.push(file);
+            return this;
+        }
+
+        /**
+         * Moves modules of the directory (or the file) into separate output file
+         * "<bundle>.<name>.js", which is loaded on first `require.async()` of its modules.
+         *
+         * @param {string} name
+         * @param {string} location Directory ended at "/" char or file
+         * @returns {JsCompiler}
+         */
+
+    }, {
+        key: "chunk",
+        value: function chunk(name, location) {
+            var path = require('path');
+
+            if (!/^[\w-]+$/.test(name)) {
+                throw new Error("Invalid chunk name \"" + name + "\", expected letters, digits, \"_\" and \"-\"");
+            }
+
+            var resolved = path.resolve(location);
+            if (/[\/\\]$/.test(location)) {
+                resolved += path.sep;
+            }
+
+            (this._chunks[name] = this._chunks[name] || []).push(resolved);
+            return this;
+        }
+
+        /**
+         * @returns {Array}
+         */
+
+    }, {
+        key: "chunkOf",
+
+
+        /**
+         * @param {string} file
+         * @returns {string|null}
+         */
+        value: function chunkOf(file) {
+            var _this16 = this;
+
+            var names = this.chunks.filter(function (name) {
+                return _this16._chunks[name].some(function (location) {
+                    return location === file || /[\/\\]$/.test(location) && file.indexOf(location) === 0;
+                });
+            });
+
+            return names.length > 0 ? names[0] : null;
+        }
+
+        /**
+         * @returns {DependencyGraph}
+         */
+
+    }, {
+        key: "graph",
+        value: function graph() {
+            var graph = new DependencyGraph(this.extensions, this._package, this.aliases);
+
+            this._entries.forEach(function (entry) {
+                return graph.add(entry);
+            });
+
+            return this._graph = graph;
+        }
+
+        /**
+         * @param {string} text
+         * @returns {string}
+         * @private
+         */
+
+    }, {
+        key: "minify",
+
+
+        /**
+         * @param gulp
+         * @param options
+         * @returns {*}
+         */
+        value: function minify(gulp) {
+            var _this17 = this;
+
+            var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+
+            return remapped(gulp, function (stream) {
+                return stream.pipe(_this17.uglify(options));
+            });
+        }
+
+        /**
+         * @param {string} path
+         * @param {string|{}} options Extension or {extension, exclude}
+         * @param {string} extension Default extension
+         * @returns {Compiler}
+         */
+
+    }, {
+        key: "path",
+        value: function path(_path2) {
+            var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : '.js';
+            var extension = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : '.js';
+
+            return _get(JsCompiler.prototype.__proto__ || Object.getPrototypeOf(JsCompiler.prototype), "path", this).call(this, _path2, options, extension);
+        }
+
+        /**
+         * @returns {Array}
+         */
+
+    }, {
+        key: "sources",
+        value: function sources() {
+            var sources = _get(JsCompiler.prototype.__proto__ || Object.getPrototypeOf(JsCompiler.prototype), "sources", this).call(this);
+
+            if (this._entries.length > 0) {
+                var graph = this.graph();
+
+                sources.push(_gulp2.default.src(graph.files, { base: graph.root }));
+            }
+
+            return sources;
+        }
+
+        /**
+         * Replaces names of required modules in compiled file
+         * with names of bundled modules.
+         *
+         * @param file
+         * @returns {string}
+         */
+
+    }, {
+        key: "rewrite",
+        value: function rewrite(file) {
+            var _this18 = this;
+
+            var source = file.contents.toString();
+            var graph = this._graph;
+
+            if (this.dataType(file.history[0]) !== null) {
+                return source;
+            }
+
+            if (graph.has(file.history[0])) {
+                return graph.rewrite(file.history[0], source);
+            }
+
+            return DependencyGraph.replace(source, function (specifier) {
+                var resolved = graph.resolveAlias(specifier);
+                return resolved === null ? null : _this18.moduleName(resolved);
+            });
+        }
+
+        /**
+         * Wraps files into CommonJS modules. Source maps of files
+         * are shifted, so they still point to original sources.
+         *
+         * @returns {*}
+         */
+
+    }, {
+        key: "wrap",
+        value: function wrap() {
+            var _this19 = this;
+
+            var Concat = require('concat-with-sourcemaps');
+
+            return tap(function (file) {
+                var name = _this19.moduleName(file.path);
+                var concat = new Concat(!!file.sourceMap, file.relative, "\n");
+
+                file.moduleName = name;
+                file.chunk = _this19.chunkOf(file.history[0]);
+
+                concat.add(null, "require.register(" + JSON.stringify(name) + ", function(exports, require, module){");
+                concat.add(file.relative, file.contents, file.sourceMap);
+                concat.add(null, '});');
+
+                file.contents = concat.content;
+
+                if (file.sourceMap) {
+                    file.sourceMap = JSON.parse(concat.sourceMap);
+                    file.sourceMap.file = file.relative;
+                }
+            });
+        }
+
+        /**
+         * @param {string} path
+         * @returns {string}
+         */
+
+    }, {
+        key: "moduleName",
+        value: function moduleName(path) {
+            var _this20 = this;
+
+            if (this._graph && this._graph.has(path)) {
+                return this._graph.nameOf(path);
+            }
+
+            path = path.replace(/\\/g, '/');
+
+            Object.keys(this.files).forEach(function (item) {
+                var type = _this20.files[item];
+                var isFile = type === Compiler.TYPE_FILE;
+                var regexp = isFile ? new RegExp('.*?' + _this20.constructor._escapeRegexp(item) + '$', 'g') : new RegExp('.*?' + _this20.constructor._escapeRegexp(item) + '.*?', 'g');
+
+                if (item.match(regexp)) {
+                    path = path.replace(regexp, isFile ? item.split('/').pop() : '');
+                }
+            });
+
+            var result = this._package + path.replace(/\.[a-z0-9]+$/, '');
+
+            if (result[0] === '/') {
+                return result.substr(1);
+            }
+
+            return result;
+        }
+
+        /**
+         * Replaces strings, template literals (except `${}` expressions), regular
+         * expressions and comments of the source with spaces, so only code is left
+         * at the same positions. With `quotes` quoted strings keep their quotes
+         * and only their contents are replaced (with dashes).
+         *
+         * @param {string} source
+         * @param {boolean} quotes
+         * @returns {string}
+         */
+
+    }, {
+        key: "substitute",
+
+
+        /**
+         * Replaces defined constants of the builder in code of compiled source.
+         * Properties (`a.__VERSION__`), object keys, strings, comments, declared and
+         * assigned names are not replaced, shorthand properties (`{__VERSION__}`)
+         * are expanded. Longer names are replaced first (`process.env.NODE_ENV`
+         * before `process.env`).
+         *
+         * @param {string} source
+         * @returns {string}
+         */
+        value: function substitute(source) {
+            var _this21 = this;
+
+            var defines = this._builder.defines;
+            var code = JsCompiler.maskCode(source);
+            var found = [];
+
+            Object.keys(defines).sort(function (a, b) {
+                return b.length - a.length;
+            }).forEach(function (name) {
+                var pattern = new RegExp('(^|[^.\\w$])' + _this21.constructor._escapeRegexp(name).replace(/\\\./g, '\\s*\\.\\s*') + '(?![\\w$])', 'g');
+                var match;
+
+                while ((match = pattern.exec(code)) !== null) {
+                    var start = match.index + match[1].length;
+                    var end = match.index + match[0].length;
+                    var head = code.substring(Math.max(0, start - 100), start);
+                    var tail = code.substr(end, 100);
+                    var inList = /[{,]\s*$/.test(head) && code[JsCompiler.enclosingBracket(code, start)] === '{';
+
+                    if (inList && /^\s*:/.test(tail) || found.some(function (item) {
+                        return start < item.end && end > item.start;
+                    })) {
+                        continue;
+                    }
+
+                    if (JsCompiler.isBinding(code, start, end)) {
+                        continue;
+                    }
+
+                    var isShorthand = inList && /^\s*[,}]/.test(tail) && name.indexOf('.') < 0;
+
+                    found.push({ start: start, end: end, value: (isShorthand ? name + ': ' : '') + defines[name] });
+                }
+            });
+
+            return found.sort(function (a, b) {
+                return b.start - a.start;
+            }).reduce(function (result, item) {
+                return result.substr(0, item.start) + item.value + result.substr(item.end);
+            }, source);
+        }
+
+        /**
+         * @param {string} path
+         * @returns {string|null} json, text or null for scripts
+         */
+
+    }, {
+        key: "dataType",
+        value: function dataType(path) {
+            var extension = (path.match(/\.[^.\\/]*$/) || [''])[0].toLowerCase();
+
+            return JsCompiler.DATA_MODULES[extension] || null;
+        }
+
+        /**
+         * Converts json and text files into scripts which export their
+         * contents, scripts are passed to `wrapStream`.
+         *
+         * @param {Function} wrapStream
+         * @returns {Function}
+         */
+
+    }, {
+        key: "dataModules",
+        value: function dataModules(wrapStream) {
+            var _this22 = this;
+
+            return function (stream, compiler) {
+                var scripts = stream.pipe(filter(function (file) {
+                    return _this22.dataType(file.path) === null;
+                }));
+                var data = stream.pipe(filter(function (file) {
+                    return _this22.dataType(file.path) !== null;
+                }));
+
+                data = _this22.compile(data, _through2.default.obj(function (file, encoding, next) {
+                    var source = file.contents.toString();
+
+                    try {
+                        var value = _this22.dataType(file.path) === 'json' ? JSON.stringify(JSON.parse(source)) : JSON.stringify(source);
+                    } catch (error) {
+                        error.fileName = file.path;
+                        return next(error);
+                    }
+
+                    file.contents = Buffer.from("module.exports = " + value + ";");
+                    next(null, file);
+                }));
+
+                return (0, _merge3.default)([wrapStream(scripts, compiler), data]);
+            };
+        }
+
+        /**
+         * @param {Function|null} wrapStream
+         * @returns {*}
+         */
+
+    }, {
+        key: "createStream",
+        value: function createStream() {
+            var _this23 = this;
+
+            var wrapStream = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : null;
+
+            if (this.chunks.length > 0 && !this.modules) {
+                throw new Error('Chunks can be used only with modules, call namespace() or entry()');
+            }
+
+            var stream = _get(JsCompiler.prototype.__proto__ || Object.getPrototypeOf(JsCompiler.prototype), "createStream", this).call(this, this.modules ? this.dataModules(wrapStream || function (stream) {
+                return stream;
+            }) : wrapStream);
+
+            if (Object.keys(this._builder.defines).length > 0) {
+                stream = stream.pipe(tap(function (file) {
+                    if (_this23.dataType(file.history[0]) === null) {
+                        file.contents = Buffer.from(_this23.substitute(file.contents.toString()));
+                    }
+                }));
+            }
+
+            if (this.modules) {
+                if (this._entries.length === 0) {
+                    this.graph();
+                }
+
+                stream = stream.pipe(tap(function (file) {
+                    return file.contents = Buffer.from(_this23.rewrite(file));
+                })).pipe(this.wrap());
+            }
+
+            return stream;
+        }
+    }, {
+        key: "extensions",
+
+
+        /**
+         * Extensions of files which can be required without extension
+         *
+         * @returns {Array}
+         */
+        get: function get() {
+            return ['.js'];
+        }
+
+        /**
+         * Module name patterns and their locations: {"@app/*": ["/path/to/src/*"]}
+         *
+         * @returns {{}}
+         */
+
+    }, {
+        key: "aliases",
+        get: function get() {
+            return {};
+        }
+
+        /**
+         * Entry points and modules of the last successfully built graph,
+         * the graph is not rebuilt here, so broken imports can't throw.
+         *
+         * @returns {Array}
+         */
+
+    }, {
+        key: "paths",
+        get: function get() {
+            if (this._entries.length === 0) {
+                return _get(JsCompiler.prototype.__proto__ || Object.getPrototypeOf(JsCompiler.prototype), "paths", this);
+            }
+
+            return _get(JsCompiler.prototype.__proto__ || Object.getPrototypeOf(JsCompiler.prototype), "paths", this).concat(this._entries, this._graph === null ? [] : this._graph.files);
+        }
+
+        /**
+         * Files are wrapped into CommonJS modules
+         *
+         * @returns {boolean}
+         */
+
+    }, {
+        key: "modules",
+        get: function get() {
+            return this._package !== '' || this._entries.length > 0;
+        }
+
+        /**
+         * @returns {*}
+         */
+
+    }, {
+        key: "uglify",
+        get: function get() {
+            return require('gulp-uglify');
+        }
+    }, {
+        key: "chunks",
+        get: function get() {
+            return Object.keys(this._chunks);
+        }
+    }], [{
+        key: "loader",
+
+
+        /**
+         * Runtime which loads chunks by `require.async(name)`.
+         * Chunk urls are relative to the script of the bundle.
+         *
+         * @param {{}} chunks {url: [module names]}
+         * @returns {string}
+         */
+        value: function loader(chunks) {
+            return "(function () {\n    var require = (typeof window === 'undefined' ? global : window).require;\n    var script  = typeof document !== 'undefined' && document.currentScript;\n    var base    = script ? script.src.replace(/[^\\/]*$/, '') : '';\n    var chunks  = " + JSON.stringify(chunks) + ";\n\n    if (!require.async) {\n        var register = require.register;\n        var loading  = {};\n        var located  = {};\n\n        var wrap = function (definition) {\n            return function (exports, localRequire, module) {\n                localRequire.async = require.async;\n                return definition.call(this, exports, localRequire, module);\n            };\n        };\n\n        require.register = require.define = function (bundle, definition) {\n            if (typeof bundle !== 'object') {\n                return register(bundle, wrap(definition));\n            }\n\n            var result = {};\n            for (var name in bundle) {\n                if (bundle.hasOwnProperty(name)) {\n                    result[name] = wrap(bundle[name]);\n                }\n            }\n            return register(result);\n        };\n\n        require.async = function (name) {\n            var url = located[name];\n\n            if (!url || require.list().indexOf(name) >= 0) {\n                return Promise.resolve().then(function () { return require(name); });\n            }\n\n            if (!loading[url]) {\n                loading[url] = new Promise(function (resolve, reject) {\n                    var element = document.createElement('script');\n                    element.src     = url;\n                    element.async   = true;\n                    element.onload  = resolve;\n                    element.onerror = function () {\n                        delete loading[url];\n                        reject(new Error('Loading chunk ' + url + ' failed'));\n                    };\n                    document.head.appendChild(element);\n                });\n            }\n\n            return loading[url].then(function () { return require(name); });\n        };\n\n        require.async.located = located;\n    }\n\n    for (var url in chunks) {\n        for (var i = 0; i < chunks[url].length; i++) {\n            require.async.located[chunks[url][i]] = base + url;\n        }\n    }\n})();";
+        }
+    }, {
+        key: "_escapeRegexp",
+        value: function _escapeRegexp(text) {
+            return text.replace(/[\-\[\]\/\{\}\(\)\+\?\*\.\\\^\$\|]/g, "\\$&");
+        }
+    }, {
+        key: "maskCode",
+        value: function maskCode(source) {
+            var quotes = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : false;
+
+            var result = '';
+            var templates = [];
+            var i = 0;
+
+            var skip = function skip(end) {
+                var filler = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : ' ';
+
+                result += source.substring(i, end).replace(/[^\n]/g, filler);
+                i = end;
+            };
+
+            var find = function find(pattern, from) {
+                pattern.lastIndex = from;
+                var match = pattern.exec(source);
+                return match === null ? source.length : match.index + match[0].length;
+            };
+
+            while (i < source.length) {
+                var char = source[i];
+                var next = source[i + 1];
+
+                if (char === '/' && next === '/') {
+                    skip(find(/\n/g, i));
+                } else if (char === '/' && next === '*') {
+                    skip(find(/\*\//g, i + 2));
+                } else if (char === '"' || char === "'") {
+                    var close = find(char === '"' ? /(?:[^"\\\n]|\\[\s\S])*("|$)/gm : /(?:[^'\\\n]|\\[\s\S])*('|$)/gm, i + 1);
+
+                    if (quotes && close - 1 > i && source[close - 1] === char) {
+                        result += char;
+                        i++;
+                        skip(close - 1, '-');
+                        result += char;
+                        i++;
+                    } else {
+                        skip(close);
+                    }
+                } else if (char === '`' || char === '}' && templates[templates.length - 1] === 0) {
+                    if (char === '}') {
+                        templates.pop();
+                    }
+
+                    var end = find(/(?:[^`\\$]|\\[\s\S]|\$(?!\{))*(`|\$\{|$)/g, i + 1);
+                    if (source.substr(end - 2, 2) === '${') {
+                        templates.push(0);
+                    }
+
+                    skip(end);
+                } else if (char === '/' && /(^|[(,=:[!&|?{};+\-*%<>~^]|\b(?:return|typeof|case|do|else|in|of|new|delete|void|throw))\s*$/.test(result.slice(-20))) {
+                    var regexp = /(?:[^\/\\\[\n]|\\.|\[(?:[^\]\\\n]|\\.)*\])+\/[a-z]*/g;
+                    regexp.lastIndex = i + 1;
+
+                    var match = regexp.exec(source);
+                    if (match !== null && match.index === i + 1) {
+                        skip(i + 1 + match[0].length);
+                    } else {
+                        result += char;
+                        i++;
+                    }
+                } else {
+                    if (templates.length > 0 && (char === '{' || char === '}')) {
+                        templates[templates.length - 1] += char === '{' ? 1 : -1;
+                    }
+
+                    result += char;
+                    i++;
+                }
+            }
+
+            return result;
+        }
+
+        /**
+         * Position of opening bracket which encloses the position of the code or -1
+         *
+         * @param {string} code
+         * @param {number} position
+         * @returns {number}
+         */
+
+    }, {
+        key: "enclosingBracket",
+        value: function enclosingBracket(code, position) {
+            var depth = 0;
+
+            for (var i = position - 1; i >= 0; i--) {
+                if (')]}'.indexOf(code[i]) >= 0) {
+                    depth++;
+                } else if ('([{'.indexOf(code[i]) >= 0) {
+                    if (depth === 0) {
+                        return i;
+                    }
+                    depth--;
+                }
+            }
+
+            return -1;
+        }
+
+        /**
+         * Position of bracket which closes the opening bracket at the position or -1
+         *
+         * @param {string} code
+         * @param {number} position
+         * @returns {number}
+         */
+
+    }, {
+        key: "closingBracket",
+        value: function closingBracket(code, position) {
+            var depth = 0;
+
+            for (var i = position + 1; i < code.length; i++) {
+                if ('([{'.indexOf(code[i]) >= 0) {
+                    depth++;
+                } else if (')]}'.indexOf(code[i]) >= 0) {
+                    if (depth === 0) {
+                        return i;
+                    }
+                    depth--;
+                }
+            }
+
+            return -1;
+        }
+
+        /**
+         * Checks whether the identifier at the position of the code is declared or assigned:
+         * declarations, parameters, destructuring and assignment targets.
+         *
+         * @param {string} code
+         * @param {number} start
+         * @param {number} end
+         * @returns {boolean}
+         */
+
+    }, {
+        key: "isBinding",
+        value: function isBinding(code, start, end) {
+            var head = code.substring(Math.max(0, start - 100), start);
+            var tail = code.substr(end, 100);
+
+            if (/\b(var|let|const|function|class)\s*\*?\s*$/.test(head) || /(\+\+|--)\s*$/.test(head) || /^\s*(=>|\+\+|--|(\*\*|>>>|<<|>>|[-+*\/%&|^])?=(?![=>]))/.test(tail)) {
+                return true;
+            }
+
+            var position = start;
+
+            while ((position = JsCompiler.enclosingBracket(code, position)) >= 0) {
+                var before = code.substring(Math.max(0, position - 100), position);
+                var after = code.substr(JsCompiler.closingBracket(code, position) + 1, 100);
+
+                if (code[position] === '(') {
+                    return (/\b(function\b[^(]*|catch\s*)$/.test(before) || /^\s*=>/.test(after) || /^\s*\{/.test(after) && /[\w$]\s*$/.test(before) && !/\b(if|for|while|switch|with)\s*$/.test(before)
+                    );
+                }
+
+                // Blocks and member expressions are not patterns
+                if (code[position] === '{' ? !/([=(,:\[?]|\b(var|let|const|return))\s*$/.test(before) : /[\w$)\]]\s*$/.test(before)) {
+                    return false;
+                }
+
+                if (/\b(var|let|const)\s*$/.test(before) || /^\s*=(?![=>])/.test(after)) {
+                    return true;
+                }
+            }
+
+            return false;
+        }
+    }]);
+
+    return JsCompiler;
+}(Compiler);
+
+/**
+ * @class CssCompiler
+ * @package lightweb-builder
+ */
+
+
+JsCompiler.DATA_MODULES = {
+    '.json': 'json',
+    '.txt': 'text',
+    '.html': 'text',
+    '.htm': 'text',
+    '.svg': 'text'
+};
+
+var CssCompiler = function (_Compiler2) {
+    _inherits(CssCompiler, _Compiler2);
+
+    function CssCompiler() {
+        var _ref2;
+
+        var _temp2, _this24, _ret2;
+
+        _classCallCheck(this, CssCompiler);
+
+        for (var _len2 = arguments.length, args = Array(_len2), _key2 = 0; _key2 < _len2; _key2++) {
+            args[_key2] = arguments[_key2];
+        }
+
+        return _ret2 = (_temp2 = (_this24 = _possibleConstructorReturn(this, (_ref2 = CssCompiler.__proto__ || Object.getPrototypeOf(CssCompiler)).call.apply(_ref2, [this].concat(args))), _this24), _this24._autoPrefixer = false, _this24._autoPrefixerOptions = {}, _this24._assets = null, _this24._imports = [], _temp2), _possibleConstructorReturn(_this24, _ret2);
+    }
+    /**
+     * @type {boolean}
+     * @private
+     */
+
+
+    /**
+     * @type {{}}
+     * @private
+     */
+
+
+    /**
+     * @type {{directory: string, hash: boolean}|null}
+     * @private
+     */
+
+
+    /**
+     * Files which were imported by `@import` rules during the last build
+     *
+     * @type {Array}
+     * @private
+     */
+
+
+    _createClass(CssCompiler, [{
+        key: "dependenciesOf",
+
+
+        /**
+         * Stylesheets which are imported by the file, including nested imports
+         *
+         * @param file
+         * @returns {Array}
+         */
+        value: function dependenciesOf(file) {
+            var _this25 = this;
+
+            var fs = require('fs');
+            var path = require('path');
+
+            var result = [];
+            var queue = [file.path];
+
+            while (queue.length > 0) {
+                var current = queue.shift();
+                var source = current === file.path ? file.contents.toString() : fs.readFileSync(current, 'utf8');
+                var pattern = /@(?:import|require)\s+([^;\n]+)/g;
+                var match;
+
+                while ((match = pattern.exec(source)) !== null) {
+                    (match[1].match(/(['"])[^'"]+\1/g) || []).forEach(function (name) {
+                        var resolved = _this25._resolveImport(name.slice(1, -1), path.dirname(current));
+
+                        if (resolved !== null && resolved !== file.path && result.indexOf(resolved) < 0) {
+                            result.push(resolved);
+                            queue.push(resolved);
+                        }
+                    });
+                }
+            }
+
+            return result;
+        }
+
+        /**
+         * @param {string} name
+         * @param {string} directory
+         * @returns {string|null}
+         * @private
+         */
+
+    }, {
+        key: "_resolveImport",
+        value: function _resolveImport(name, directory) {
+            var fs = require('fs');
+            var path = require('path');
+
+            if (/^([a-z]+:)?\/\//i.test(name)) {
+                return null;
+            }
+
+            var file = path.resolve(directory, name);
+            var base = path.basename(file);
+            var candidates = [file];
+
+            this.extensions.forEach(function (extension) {
+                candidates.push(file + extension, path.join(path.dirname(file), '_' + base + extension), path.join(file, 'index' + extension), path.join(file, '_index' + extension));
+            });
+
+            return candidates.filter(function (candidate) {
+                return fs.existsSync(candidate) && fs.statSync(candidate).isFile();
+            })[0] || null;
+        }
+
+        /**
+         * @returns {*}
+         */
+
+    }, {
+        key: "path",
+
+
+        /**
+         * @param path
+         * @param options Extension or {extension, exclude}
+         * @param extension Default extension
+         * @returns {Compiler}
+         */
+        value: function path(_path3) {
+            var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : '.css';
+            var extension = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : '.css';
+
+            return _get(CssCompiler.prototype.__proto__ || Object.getPrototypeOf(CssCompiler.prototype), "path", this).call(this, _path3, options, extension);
+        }
+
+        /**
+         * @returns {Array}
+         */
+
+    }, {
+        key: "sources",
+        value: function sources() {
+            var _this26 = this;
+
+            var sources = _get(CssCompiler.prototype.__proto__ || Object.getPrototypeOf(CssCompiler.prototype), "sources", this).call(this);
+
+            if (!this.inlineImports) {
+                return sources;
+            }
+
+            this._imports = [];
+
+            return sources.map(function (source) {
+                return source.pipe(_this26.imports());
+            });
+        }
+
+        /**
+         * Emits files of local `@import` rules before importing files and removes these rules.
+         * Files which are imported with media queries are wrapped into `@media` blocks.
+         * Repeated imports of a file with the same media are skipped by the source stream,
+         * remote imports are kept.
+         *
+         * @returns {*}
+         */
+
+    }, {
+        key: "imports",
+        value: function imports() {
+            var _this27 = this;
+
+            var fs = require('fs');
+            var path = require('path');
+            var gutil = require('gulp-util');
+            var pattern = /@import\s+(?:url\(\s*(['"]?)([^'")]+)\1\s*\)|(['"])([^'"]+)\3)\s*([^;]*);/g;
+
+            var visit = function visit(stream, file, parents) {
+                var contents = file.contents.toString().replace(pattern, function (match, q1, url1, q2, url2, media) {
+                    var url = url1 || url2;
+
+                    if (/^([a-z]+:)?\/\//i.test(url)) {
+                        return match;
+                    }
+
+                    var imported = _this27._resolveImport(url, path.dirname(file.path));
+
+                    if (imported === null) {
+                        gutil.log(gutil.colors.yellow(_this27.constructor.name + ": " + path.relative(process.cwd(), file.path) + ": " + ("imported file " + url + " not found")));
+                        return match;
+                    }
+
+                    if (parents.indexOf(imported) >= 0 || imported === file.path) {
+                        return '';
+                    }
+
+                    if (_this27._imports.indexOf(imported) < 0) {
+                        _this27._imports.push(imported);
+                    }
+
+                    var child = new gutil.File({
+                        cwd: file.cwd,
+                        base: file.base,
+                        path: imported,
+                        contents: fs.readFileSync(imported)
+                    });
+
+                    if (media.trim()) {
+                        child.media = media.trim();
+                        child.contents = Buffer.from("@media " + child.media + " {" + child.contents.toString() + "\n}");
+                    }
+
+                    visit(stream, child, parents.concat(file.path));
+
+                    return '';
+                });
+
+                file.contents = Buffer.from(contents);
+                stream.push(file);
+            };
+
+            var compiler = this;
+
+            return _through2.default.obj(function (file, encoding, next) {
+                try {
+                    visit(this, file, []);
+                } catch (error) {
+                    compiler.report(error);
+                }
+
+                next();
+            });
+        }
+
+        /**
+         * @param enabled
+         * @param options
+         * @returns {CssCompiler}
+         */
+
+    }, {
+        key: "autoPrefix",
+        value: function autoPrefix() {
+            var enabled = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : true;
+            var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+
+            this._autoPrefixer = !!enabled;
+            this._autoPrefixerOptions = options;
+            return this;
+        }
+
+        /**
+         * Copies files which are referenced by `url()` into the directory
+         * next to output file and rewrites urls to copied files.
+         *
+         * @param {string|boolean} directory
+         * @param {boolean} hash Add content hash into names of copied files
+         * @returns {CssCompiler}
+         */
+
+    }, {
+        key: "assets",
+        value: function assets() {
+            var directory = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : 'assets';
+            var hash = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : false;
+
+            if (directory === true) {
+                directory = 'assets';
+            }
+
+            this._assets = directory ? { directory: directory.replace(/[\/\\]+$/, ''), hash: !!hash } : null;
+            return this;
+        }
+
+        /**
+         * @param stream
+         * @param {string} directory
+         * @returns {*}
+         */
+
+    }, {
+        key: "relocate",
+        value: function relocate(stream, directory) {
+            var _this28 = this;
+
+            if (this._assets === null) {
+                return stream;
+            }
+
+            var copied = {};
+
+            return stream.pipe(tap(function (file) {
+                try {
+                    file.contents = Buffer.from(_this28.rewriteUrls(file, directory, copied));
+                } catch (error) {
+                    _this28.report(error);
+                }
+            }));
+        }
+
+        /**
+         * Urls are resolved relative to source file. Urls of imported stylesheets are
+         * inlined by preprocessors as is, so directories of imported files are checked too.
+         *
+         * @param file
+         * @param {string} output Output directory
+         * @param {{}} copied Copied files: {target: source}
+         * @returns {string}
+         */
+
+    }, {
+        key: "rewriteUrls",
+        value: function rewriteUrls(file, output, copied) {
+            var _this29 = this;
+
+            var fs = require('fs');
+            var path = require('path');
+            var crypto = require('crypto');
+            var mkdirp = require('mkdirp');
+            var gutil = require('gulp-util');
+
+            var source = file.history[0];
+            var directories = [path.dirname(source)];
+
+            if (fs.existsSync(source)) {
+                this.dependenciesOf({ path: source, contents: fs.readFileSync(source) }).forEach(function (dependency) {
+                    if (directories.indexOf(path.dirname(dependency)) < 0) {
+                        directories.push(path.dirname(dependency));
+                    }
+                });
+            }
+
+            var css = file.contents.toString();
+
+            return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, function (match, quote, url, offset) {
+                if (/^([a-z]+:|\/|#)/i.test(url) || /@import\s*$/.test(css.slice(Math.max(offset - 32, 0), offset))) {
+                    return match;
+                }
+
+                var suffix = url.match(/[?#].*$/);
+                var name = suffix ? url.substr(0, url.length - suffix[0].length) : url;
+                var asset = directories.map(function (directory) {
+                    return path.resolve(directory, name);
+                }).filter(function (candidate) {
+                    return fs.existsSync(candidate) && fs.statSync(candidate).isFile();
+                })[0];
+
+                if (!asset) {
+                    gutil.log(gutil.colors.yellow(_this29.constructor.name + ": " + path.relative(process.cwd(), source) + ": " + ("file of url(" + url + ") not found")));
+                    return match;
+                }
+
+                var contents = fs.readFileSync(asset);
+                var extension = path.extname(asset);
+                var hash = crypto.createHash('md5').update(contents).digest('hex').substr(0, 10);
+                var target = path.basename(asset, extension) + (_this29._assets.hash ? '.' + hash : '') + extension;
+
+                // Different files with the same name are not overwritten
+                if (copied[target] && copied[target] !== asset) {
+                    target = path.basename(asset, extension) + '.' + hash + extension;
+                }
+
+                if (!copied[target]) {
+                    mkdirp.sync(path.join(output, _this29._assets.directory));
+                    fs.writeFileSync(path.join(output, _this29._assets.directory, target), contents);
+                    copied[target] = asset;
+                }
+
+                return "url(" + quote + _this29._assets.directory + "/" + target + (suffix ? suffix[0] : '') + quote + ")";
+            });
+        }
+
+        /**
+         * @param gulp
+         * @param options
+         * @returns {*}
+         */
+
+    }, {
+        key: "minify",
+        value: function minify(gulp) {
+            var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+
+            return gulp.pipe(this.uglify(options));
+        }
+
+        /**
+         * @param wrapStream
+         * @returns {*}
+         */
+
+    }, {
+        key: "createStream",
+        value: function createStream() {
+            var _this30 = this;
+
+            var wrapStream = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : null;
+
+            var build = function build(stream) {
+                var autoprefixes = require('gulp-autoprefixer');
+
+                if (_this30._autoPrefixer) {
+                    var args = _this30._autoPrefixerOptions;
+                    stream = _this30.compile(stream, autoprefixes(args));
+                }
+
+                return stream;
+            };
+
+            return _get(CssCompiler.prototype.__proto__ || Object.getPrototypeOf(CssCompiler.prototype), "createStream", this).call(this, function (stream) {
+                stream = build(stream);
+                if (wrapStream) {
+                    stream = wrapStream(stream, _this30);
+                }
+                return stream;
+            });
+        }
+    }, {
+        key: "kind",
+
+
+        /**
+         * @returns {string}
+         */
+        get: function get() {
+            return Compiler.KIND_STYLE;
+        }
+
+        /**
+         * Local `@import` rules are replaced with imported files,
+         * preprocessors are importing files by themselves.
+         *
+         * @returns {boolean}
+         */
+
+    }, {
+        key: "inlineImports",
+        get: function get() {
+            return true;
+        }
+
+        /**
+         * @returns {Array}
+         */
+
+    }, {
+        key: "paths",
+        get: function get() {
+            return _get(CssCompiler.prototype.__proto__ || Object.getPrototypeOf(CssCompiler.prototype), "paths", this).concat(this._imports);
+        }
+
+        /**
+         * Extensions of files which can be imported without extension
+         *
+         * @returns {Array}
+         */
+
+    }, {
+        key: "extensions",
+        get: function get() {
+            return ['.css'];
+        }
+
+        /**
+         * @returns {{}}
+         */
+
+    }, {
+        key: "identity",
+        get: function get() {
+            return {
+                autoPrefixer: this._autoPrefixer,
+                autoPrefixerOptions: this._autoPrefixerOptions
+            };
+        }
+    }, {
+        key: "uglify",
+        get: function get() {
+            return require('gulp-clean-css');
+        }
+    }]);
+
+    return CssCompiler;
+}(Compiler);
+
+/**
+ * @class SassCompiler
+ * @package lightweb-builder
+ */
+
+
+var SassCompiler = function (_CssCompiler) {
+    _inherits(SassCompiler, _CssCompiler);
+
+    function SassCompiler() {
+        _classCallCheck(this, SassCompiler);
+
+        return _possibleConstructorReturn(this, (SassCompiler.__proto__ || Object.getPrototypeOf(SassCompiler)).apply(this, arguments));
+    }
+
+    _createClass(SassCompiler, [{
+        key: "path",
+
+
+        /**
+         * @param path
+         * @param options Extension or {extension, exclude}
+         * @param extension Default extension
+         * @returns {*|Compiler}
+         */
+        value: function path(_path4) {
+            var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : '.sass';
+            var extension = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : '.sass';
+
+            return _get(SassCompiler.prototype.__proto__ || Object.getPrototypeOf(SassCompiler.prototype), "path", this).call(this, _path4, options, extension);
+        }
+
+        /**
+         * @param wrapStream
+         * @returns {*}
+         */
+
+    }, {
+        key: "createStream",
+        value: function createStream() {
+            var _this32 = this;
+
+            var wrapStream = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : null;
+
+            var build = function build(stream) {
+                return _this32.compile(stream, _this32.compiler());
+            };
+
+            return _get(SassCompiler.prototype.__proto__ || Object.getPrototypeOf(SassCompiler.prototype), "createStream", this).call(this, function (stream) {
+                stream = build(stream);
+                if (wrapStream) {
+                    stream = wrapStream(stream, _this32);
+                }
+                return stream;
+            });
+        }
+    }, {
+        key: "compiler",
+
+        /**
+         * @returns {*}
+         */
+        get: function get() {
+            try {
+                return require('gulp-sass');
+            } catch (e) {
+                throw this.compilerError('Sass', 'gulp-sass', '2.2.*');
+            }
+        }
+
+        /**
+         * @returns {boolean}
+         */
+
+    }, {
+        key: "inlineImports",
+        get: function get() {
+            return false;
+        }
+
+        /**
+         * @returns {Array}
+         */
+
+    }, {
+        key: "extensions",
+        get: function get() {
+            return ['.sass', '.scss', '.css'];
+        }
+    }]);
+
+    return SassCompiler;
+}(CssCompiler);
+
+/**
+ * @class ScssCompiler
+ * @package lightweb-builder
+ */
+
+
+var ScssCompiler = function (_SassCompiler) {
+    _inherits(ScssCompiler, _SassCompiler);
+
+    function ScssCompiler() {
+        _classCallCheck(this, ScssCompiler);
+
+        return _possibleConstructorReturn(this, (ScssCompiler.__proto__ || Object.getPrototypeOf(ScssCompiler)).apply(this, arguments));
+    }
+
+    _createClass(ScssCompiler, [{
+        key: "path",
+
+
+        /**
+         * @param path
+         * @param options Extension or {extension, exclude}
+         * @param extension Default extension
+         * @returns {*|Compiler}
+         */
+        value: function path(_path5) {
+            var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : '.scss';
+            var extension = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : '.scss';
+
+            return _get(ScssCompiler.prototype.__proto__ || Object.getPrototypeOf(ScssCompiler.prototype), "path", this).call(this, _path5, options, extension);
+        }
+    }, {
+        key: "compiler",
+
+        /**
+         * @returns {*}
+         */
+        get: function get() {
+            try {
+                return require('gulp-sass');
+            } catch (e) {
+                throw this.compilerError('Scss', 'gulp-sass', '2.2.*');
+            }
+        }
+
+        /**
+         * @returns {Array}
+         */
+
+    }, {
+        key: "extensions",
+        get: function get() {
+            return ['.scss', '.sass', '.css'];
+        }
+    }]);
+
+    return ScssCompiler;
+}(SassCompiler);
+
+/**
+ * @class LessCompiler
+ * @package lightweb-builder
+ */
+
+
+var LessCompiler = function (_CssCompiler2) {
+    _inherits(LessCompiler, _CssCompiler2);
+
+    function LessCompiler() {
+        _classCallCheck(this, LessCompiler);
+
+        return _possibleConstructorReturn(this, (LessCompiler.__proto__ || Object.getPrototypeOf(LessCompiler)).apply(this, arguments));
+    }
+
+    _createClass(LessCompiler, [{
+        key: "path",
+
+
+        /**
+         * @param path
+         * @param options Extension or {extension, exclude}
+         * @param extension Default extension
+         * @returns {*|Compiler}
+         */
+        value: function path(_path6) {
+            var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : '.less';
+            var extension = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : '.less';
+
+            return _get(LessCompiler.prototype.__proto__ || Object.getPrototypeOf(LessCompiler.prototype), "path", this).call(this, _path6, options, extension);
+        }
+
+        /**
+         * @param wrapStream
+         * @returns {*}
+         */
+
+    }, {
+        key: "createStream",
+        value: function createStream() {
+            var _this35 = this;
+
+            var wrapStream = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : null;
+
+            var build = function build(stream) {
+                return _this35.compile(stream, _this35.compiler());
+            };
+
+            return _get(LessCompiler.prototype.__proto__ || Object.getPrototypeOf(LessCompiler.prototype), "createStream", this).call(this, function (stream) {
+                stream = build(stream);
+                if (wrapStream) {
+                    stream = wrapStream(stream, _this35);
+                }
+                return stream;
+            });
+        }
+    }, {
+        key: "compiler",
+
+        /**
+         * @returns {*}
+         */
+        get: function get() {
+            try {
+                return require('gulp-less');
+            } catch (e) {
+                throw this.compilerError('Less', 'gulp-less', '3.0.*');
+            }
+        }
+
+        /**
+         * @returns {boolean}
+         */
+
+    }, {
+        key: "inlineImports",
+        get: function get() {
+            return false;
+        }
+
+        /**
+         * @returns {Array}
+         */
+
+    }, {
+        key: "extensions",
+        get: function get() {
+            return ['.less', '.css'];
+        }
+    }]);
+
+    return LessCompiler;
+}(CssCompiler);
+
+/**
+ * @class StylusCompiler
+ * @package lightweb-builder
+ */
+
+
+var StylusCompiler = function (_CssCompiler3) {
+    _inherits(StylusCompiler, _CssCompiler3);
+
+    function StylusCompiler() {
+        _classCallCheck(this, StylusCompiler);
+
+        return _possibleConstructorReturn(this, (StylusCompiler.__proto__ || Object.getPrototypeOf(StylusCompiler)).apply(this, arguments));
+    }
+
+    _createClass(StylusCompiler, [{
+        key: "path",
+
+
+        /**
+         * @param {string} path
+         * @param {string|{}} options Extension or {extension, exclude}
+         * @param {string} extension Default extension
+         * @returns {*|Compiler}
+         */
+        value: function path(_path7) {
+            var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : '.styl';
+            var extension = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : '.styl';
+
+            return _get(StylusCompiler.prototype.__proto__ || Object.getPrototypeOf(StylusCompiler.prototype), "path", this).call(this, _path7, options, extension);
+        }
+
+        /**
+         * @param wrapStream
+         * @returns {*}
+         */
+
+    }, {
+        key: "createStream",
+        value: function createStream() {
+            var _this37 = this;
+
+            var wrapStream = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : null;
+
+            var build = function build(stream) {
+                return _this37.compile(stream, _this37.compiler());
+            };
+
+            return _get(StylusCompiler.prototype.__proto__ || Object.getPrototypeOf(StylusCompiler.prototype), "createStream", this).call(this, function (stream) {
+                stream = build(stream);
+                if (wrapStream) {
+                    stream = wrapStream(stream, _this37);
+                }
+                return stream;
+            });
+        }
+    }, {
+        key: "compiler",
+
+        /**
+         * @returns {*}
+         */
+        get: function get() {
+            try {
+                return require('gulp-stylus');
+            } catch (e) {
+                throw this.compilerError('Stylus', 'gulp-stylus', '2.3.*');
+            }
+        }
+
+        /**
+         * @returns {boolean}
+         */
+
+    }, {
+        key: "inlineImports",
+        get: function get() {
+            return false;
+        }
+
+        /**
+         * @returns {Array}
+         */
+
+    }, {
+        key: "extensions",
+        get: function get() {
+            return ['.styl', '.css'];
+        }
+    }]);
+
+    return StylusCompiler;
+}(CssCompiler);
+
+/**
+ * @class BabelCompiler
+ * @package lightweb-builder
+ */
+
+
+var BabelCompiler = function (_JsCompiler) {
+    _inherits(BabelCompiler, _JsCompiler);
+
+    function BabelCompiler() {
+        var _ref3;
+
+        var _temp3, _this38, _ret3;
+
+        _classCallCheck(this, BabelCompiler);
+
+        for (var _len3 = arguments.length, args = Array(_len3), _key3 = 0; _key3 < _len3; _key3++) {
+            args[_key3] = arguments[_key3];
+        }
+
+        return _ret3 = (_temp3 = (_this38 = _possibleConstructorReturn(this, (_ref3 = BabelCompiler.__proto__ || Object.getPrototypeOf(BabelCompiler)).call.apply(_ref3, [this].concat(args))), _this38), _this38._presets = [], _this38._plugins = [], _this38._options = {}, _this38._config = null, _this38._configOptions = null, _temp3), _possibleConstructorReturn(_this38, _ret3);
+    }
+    /**
+     * Config files which are looked up in working directory
+     */
+
+
+    /**
+     * @type {Array}
+     * @private
+     */
+
+
+    /**
+     * @type {Array}
+     * @private
+     */
+
+
+    /**
+     * @type {{}}
+     * @private
+     */
+
+
+    /**
+     * @type {string|null}
+     * @private
+     */
+
+
+    /**
+     * Options of config file, they are read once per build
+     *
+     * @type {{}|null}
+     * @private
+     */
+
+
+    _createClass(BabelCompiler, [{
+        key: "preset",
+
+
+        /**
+         * @param presets
+         * @returns {BabelCompiler}
+         */
+        value: function preset() {
+            for (var _len4 = arguments.length, presets = Array(_len4), _key4 = 0; _key4 < _len4; _key4++) {
+                presets[_key4] = arguments[_key4];
+            }
+
+            this._presets = this._presets.concat(presets);
+            return this;
+        }
+
+        /**
+         * @param plugins
+         * @returns {BabelCompiler}
+         */
+
+    }, {
+        key: "plugin",
+        value: function plugin() {
+            for (var _len5 = arguments.length, plugins = Array(_len5), _key5 = 0; _key5 < _len5; _key5++) {
+                plugins[_key5] = arguments[_key5];
+            }
+
+            this._plugins = this._plugins.concat(plugins);
+            return this;
+        }
+    }, {
+        key: "options",
+        value: function options() {
+            var args = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+
+            this._options = args;
+            return this;
+        }
+
+        /**
+         * Takes options from babel config file (.babelrc, .babelrc.js, babel.config.js or "babel"
+         * section of package.json). Section of `env` for builder environment is merged into them.
+         * Presets, plugins and options of the compiler are added over options of the file.
+         *
+         * @param {string|null} file
+         * @returns {BabelCompiler}
+         */
+
+    }, {
+        key: "config",
+        value: function config() {
+            var file = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : null;
+
+            var fs = require('fs');
+            var path = require('path');
+
+            if (file === null || file === true) {
+                file = BabelCompiler.CONFIG_FILES.filter(function (name) {
+                    var candidate = path.resolve(name);
+
+                    return fs.existsSync(candidate) && (name !== 'package.json' || JSON.parse(fs.readFileSync(candidate, 'utf8')).babel);
+                })[0];
+
+                if (!file) {
+                    throw new Error('Babel config file not found. Expected one of: ' + BabelCompiler.CONFIG_FILES.join(', '));
+                }
+            }
+
+            if (!fs.existsSync(file)) {
+                throw new Error('Babel config file ' + file + ' not found');
+            }
+
+            this._config = path.resolve(file);
+            this._configOptions = null;
+            return this;
+        }
+
+        /**
+         * Options of babel config file, `env` section is merged for builder environment
+         *
+         * @returns {{}}
+         */
+
+    }, {
+        key: "readConfig",
+        value: function readConfig() {
+            var fs = require('fs');
+            var path = require('path');
+
+            var environment = this._builder.environment;
+            var file = this._config;
+            var config;
+
+            if (/\.js$/.test(file)) {
+                delete require.cache[file];
+                config = require(file);
+
+                if (typeof config === 'function') {
+                    var cache = function cache() {};
+                    cache.forever = cache.never = cache.using = cache.invalidate = function () {};
+
+                    config = config({
+                        cache: cache,
+                        env: function env() {
+                            var name = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : null;
+                            return name === null ? environment : [].concat(name).indexOf(environment) >= 0;
+                        }
+                    });
+                }
+            } else {
+                var text = fs.readFileSync(file, 'utf8');
+
+                try {
+                    config = require('json5').parse(text);
+                } catch (e) {
+                    config = JSON.parse(text);
+                }
+
+                if (path.basename(file) === 'package.json') {
+                    config = config.babel;
+                }
+            }
+
+            var result = {};
+            var env = ((config || {}).env || {})[environment] || {};
+
+            // Relative presets and plugins are resolved from config file directory
+            var resolve = function resolve(item) {
+                if (item instanceof Array) {
+                    return [resolve(item[0])].concat(item.slice(1));
+                }
+
+                return typeof item === 'string' && /^\.{1,2}\//.test(item) ? path.resolve(path.dirname(file), item) : item;
+            };
+
+            [config || {}, env].forEach(function (options) {
+                return Object.keys(options).forEach(function (key) {
+                    if (key === 'env') {
+                        return;
+                    }
+
+                    result[key] = key === 'presets' || key === 'plugins' ? (result[key] || []).concat(options[key].map(resolve)) : options[key];
+                });
+            });
+
+            return result;
+        }
+
+        /**
+         * Options which are passed into babel
+         *
+         * @returns {{}}
+         */
+
+    }, {
+        key: "dependenciesOf",
+
+
+        /**
+         * Config file or nearest .babelrc file, babel reads it in addition to compiler options
+         *
+         * @param file
+         * @returns {Array}
+         */
+        value: function dependenciesOf(file) {
+            var fs = require('fs');
+            var path = require('path');
+
+            if (this._config !== null) {
+                return [this._config];
+            }
+
+            var directory = path.dirname(file.path);
+
+            while (true) {
+                var config = path.join(directory, '.babelrc');
+
+                if (fs.existsSync(config)) {
+                    return [config];
+                }
+
+                if (path.dirname(directory) === directory) {
+                    return [];
+                }
+
+                directory = path.dirname(directory);
+            }
+        }
+
+        /**
+         * @param wrapStream
+         * @returns {*}
+         */
+
+    }, {
+        key: "createStream",
+        value: function createStream() {
+            var _this39 = this;
+
+            var wrapStream = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : null;
+
+            this._configOptions = null;
+
+            var build = function build(stream) {
+                return _this39.compile(stream, _this39.compiler(_this39.settings));
+            };
+
+            return _get(BabelCompiler.prototype.__proto__ || Object.getPrototypeOf(BabelCompiler.prototype), "createStream", this).call(this, function (stream) {
+                stream = build(stream);
+                if (wrapStream) {
+                    stream = wrapStream(stream, _this39);
+                }
+                return stream;
+            });
+        }
+    }, {
+        key: "settings",
+        get: function get() {
+            var _this40 = this;
+
+            var args = {
+                presets: this._presets,
+                plugins: this._plugins
+            };
+
+            if (this._config !== null) {
+                var config = this._configOptions || (this._configOptions = this.readConfig());
+
+                Object.keys(config).forEach(function (key) {
+                    if (key !== 'presets' && key !== 'plugins') {
+                        args[key] = config[key];
+                    }
+                });
+
+                args.presets = BabelCompiler._merge(config.presets || [], this._presets, 'babel-preset-');
+                args.plugins = BabelCompiler._merge(config.plugins || [], this._plugins, 'babel-plugin-');
+
+                // Config file is already applied, do not let babel read .babelrc files again
+                args.babelrc = false;
+            }
+
+            Object.keys(this._options).forEach(function (key) {
+                args[key] = _this40._options[key];
+            });
+
+            return args;
+        }
+
+        /**
+         * Adds items which are not in the list yet: "es2015" and
+         * "babel-preset-es2015" are the same presets.
+         *
+         * @param {Array} list
+         * @param {Array} items
+         * @param {string} prefix
+         * @returns {Array}
+         * @private
+         */
+
+    }, {
+        key: "compiler",
+
+
+        /**
+         * @returns {*}
+         */
+        get: function get() {
+            try {
+                return require('gulp-babel');
+            } catch (e) {
+                throw this.compilerError('Babel', 'gulp-babel', '6.1.*');
+            }
+        }
+
+        /**
+         * Config file is watched too, so changes of babel options rebuild the bundle
+         *
+         * @returns {Array}
+         */
+
+    }, {
+        key: "paths",
+        get: function get() {
+            return this._config === null ? _get(BabelCompiler.prototype.__proto__ || Object.getPrototypeOf(BabelCompiler.prototype), "paths", this) : _get(BabelCompiler.prototype.__proto__ || Object.getPrototypeOf(BabelCompiler.prototype), "paths", this).concat(this._config);
+        }
+
+        /**
+         * @returns {{}}
+         */
+
+    }, {
+        key: "identity",
+        get: function get() {
+            return this.settings;
+        }
+    }], [{
+        key: "_merge",
+        value: function _merge(list, items, prefix) {
+            var nameOf = function nameOf(item) {
+                var name = item instanceof Array ? item[0] : item;
+                return typeof name === 'string' ? name.replace(prefix, '') : name;
+            };
+
+            var names = list.map(nameOf);
+
+            return list.concat(items.filter(function (item) {
+                return names.indexOf(nameOf(item)) < 0;
+            }));
+        }
+    }]);
+
+    return BabelCompiler;
+}(JsCompiler);
+
+/**
+ * @class CoffeeCompiler
+ * @package lightweb-builder
+ */
+
+
+BabelCompiler.CONFIG_FILES = ['.babelrc', '.babelrc.js', 'babel.config.js', 'package.json'];
+
+var CoffeeCompiler = function (_JsCompiler2) {
+    _inherits(CoffeeCompiler, _JsCompiler2);
+
+    function CoffeeCompiler() {
+        var _ref4;
+
+        var _temp4, _this41, _ret4;
+
+        _classCallCheck(this, CoffeeCompiler);
+
+        for (var _len6 = arguments.length, args = Array(_len6), _key6 = 0; _key6 < _len6; _key6++) {
+            args[_key6] = arguments[_key6];
+        }
+
+        return _ret4 = (_temp4 = (_this41 = _possibleConstructorReturn(this, (_ref4 = CoffeeCompiler.__proto__ || Object.getPrototypeOf(CoffeeCompiler)).call.apply(_ref4, [this].concat(args))), _this41), _this41._bare = false, _temp4), _possibleConstructorReturn(_this41, _ret4);
+    }
+    /**
+     * @type {boolean}
+     * @private
+     */
+
+
+    _createClass(CoffeeCompiler, [{
+        key: "bare",
+
+
+        /**
+         * @param enabled
+         * @returns {CoffeeCompiler}
+         */
+        value: function bare() {
+            var enabled = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : true;
+
+            this._bare = enabled;
+            return this;
+        }
+
+        /**
+         * @returns {*}
+         */
+
+    }, {
+        key: "path",
+
+
+        /**
+         * @param {string} path
+         * @param {string|{}} options Extension or {extension, exclude}
+         * @param {string} extension Default extension
+         * @returns {Compiler}
+         */
+        value: function path(_path8) {
+            var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : '.coffee';
+            var extension = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : '.coffee';
+
+            return _get(CoffeeCompiler.prototype.__proto__ || Object.getPrototypeOf(CoffeeCompiler.prototype), "path", this).call(this, _path8, options, extension);
+        }
+
+        /**
+         * @param wrapStream
+         * @returns {*}
+         */
+
+    }, {
+        key: "createStream",
+        value: function createStream() {
+            var _this42 = this;
+
+            var wrapStream = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : null;
+
+            var build = function build(stream) {
+                var args = {};
+
+                if (_this42._bare) {
+                    args['bare'] = true;
+                }
+
+                return _this42.compile(stream, _this42.compiler(args));
+            };
+
+            return _get(CoffeeCompiler.prototype.__proto__ || Object.getPrototypeOf(CoffeeCompiler.prototype), "createStream", this).call(this, function (stream) {
+                stream = build(stream);
+                if (wrapStream) {
+                    stream = wrapStream(stream, _this42);
+                }
+                return stream;
+            });
+        }
+    }, {
+        key: "compiler",
+        get: function get() {
+            try {
+                return require('gulp-coffee');
+            } catch (e) {
+                throw this.compilerError('CoffeeScript', 'gulp-coffee', '2.3.*');
+            }
+        }
+
+        /**
+         * @returns {{}}
+         */
+
+    }, {
+        key: "identity",
+        get: function get() {
+            return { bare: this._bare };
+        }
+
+        /**
+         * @returns {Array}
+         */
+
+    }, {
+        key: "extensions",
+        get: function get() {
+            return ['.coffee', '.js'];
+        }
+    }]);
+
+    return CoffeeCompiler;
+}(JsCompiler);
+
+/**
+ * @class TypeScriptCompiler
+ * @package lightweb-builder
+ */
+
+
+var TypeScriptCompiler = function (_JsCompiler3) {
+    _inherits(TypeScriptCompiler, _JsCompiler3);
+
+    function TypeScriptCompiler() {
+        var _ref5;
+
+        var _temp5, _this43, _ret5;
+
+        _classCallCheck(this, TypeScriptCompiler);
+
+        for (var _len7 = arguments.length, args = Array(_len7), _key7 = 0; _key7 < _len7; _key7++) {
+            args[_key7] = arguments[_key7];
+        }
+
+        return _ret5 = (_temp5 = (_this43 = _possibleConstructorReturn(this, (_ref5 = TypeScriptCompiler.__proto__ || Object.getPrototypeOf(TypeScriptCompiler)).call.apply(_ref5, [this].concat(args))), _this43), _this43._options = {}, _this43._typeCheck = TypeScriptCompiler.TYPE_CHECK_WARN, _this43._project = null, _this43._warnings = [], _this43._tsconfig = null, _this43._declarations = null, _temp5), _possibleConstructorReturn(_this43, _ret5);
+    }
+
+    /**
+     * @type {{}}
+     * @private
+     */
+
+
+    /**
+     * @type {string}
+     * @private
+     */
+
+
+    /**
+     * @type {*}
+     * @private
+     */
+
+
+    /**
+     * @type {Array}
+     * @private
+     */
+
+
+    /**
+     * @type {string|null}
+     * @private
+     */
+
+
+    /**
+     * @type {string|null}
+     * @private
+     */
+
+
+    _createClass(TypeScriptCompiler, [{
+        key: "options",
+
+
+        /**
+         * Compiler options, they override options of tsconfig file
+         *
+         * @param {{}} args
+         * @returns {TypeScriptCompiler}
+         */
+        value: function options() {
+            var args = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+
+            this._options = args;
+            this._project = null;
+            return this;
+        }
+
+        /**
+         * Takes compiler options from tsconfig file. Files of tsconfig
+         * are not used, declare them by `file()`, `path()` or `entry()`.
+         *
+         * @param {string} file
+         * @returns {TypeScriptCompiler}
+         */
+
+    }, {
+        key: "tsconfig",
+        value: function tsconfig() {
+            var file = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : 'tsconfig.json';
+
+            var fs = require('fs');
+
+            if (!fs.existsSync(file)) {
+                throw new Error('TypeScript config file ' + file + ' not found');
+            }
+
+            this._tsconfig = file;
+            this._project = null;
+            return this;
+        }
+
+        /**
+         * Writes declaration files (.d.ts) into the directory
+         *
+         * @param {string} directory
+         * @returns {TypeScriptCompiler}
+         */
+
+    }, {
+        key: "declarations",
+        value: function declarations(directory) {
+            this._declarations = directory;
+            this._project = null;
+            return this;
+        }
+
+        /**
+         * Type checking of all compiled files: "error" breaks the build on type errors,
+         * "warn" only shows them and "off" transpiles files one by one without checking.
+         *
+         * @param {string|boolean} mode
+         * @returns {TypeScriptCompiler}
+         */
+
+    }, {
+        key: "typeCheck",
+        value: function typeCheck() {
+            var mode = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : TypeScriptCompiler.TYPE_CHECK_WARN;
+
+            if (mode === true || mode === false) {
+                mode = mode ? TypeScriptCompiler.TYPE_CHECK_ERROR : TypeScriptCompiler.TYPE_CHECK_OFF;
+            }
+
+            var modes = [TypeScriptCompiler.TYPE_CHECK_OFF, TypeScriptCompiler.TYPE_CHECK_WARN, TypeScriptCompiler.TYPE_CHECK_ERROR];
+
+            if (modes.indexOf(mode) < 0) {
+                throw new Error("Unknown type check mode \"" + mode + "\", expected \"off\", \"warn\" or \"error\"");
+            }
+
+            this._typeCheck = mode;
+            this._project = null;
+            return this;
+        }
+
+        /**
+         * Type errors of the last compilation in "warn" mode
+         *
+         * @returns {Array}
+         */
+
+    }, {
+        key: "_readConfig",
+
+
+        /**
+         * Reads compiler options of tsconfig file and files which are extended by it
+         *
+         * @param {string} file
+         * @returns {{}}
+         * @private
+         */
+        value: function _readConfig(file) {
+            var fs = require('fs');
+            var path = require('path');
+
+            try {
+                var ts = require('typescript');
+            } catch (e) {
+                throw this.compilerError('TypeScriptCompiler', 'typescript', '2.0.*');
+            }
+
+            var parsed = ts.parseConfigFileTextToJson(file, fs.readFileSync(file, 'utf8'));
+            if (parsed.error) {
+                throw new Error('Invalid TypeScript config file ' + file + ': ' + ts.flattenDiagnosticMessageText(parsed.error.messageText, "\n"));
+            }
+
+            var config = parsed.config || {};
+            var options = config.extends ? this._readConfig(path.resolve(path.dirname(file), config.extends.replace(/(\.json)?$/, '.json'))) : {};
+
+            Object.keys(config.compilerOptions || {}).forEach(function (key) {
+                options[key] = config.compilerOptions[key];
+            });
+
+            if (config.compilerOptions && config.compilerOptions.baseUrl) {
+                options.baseUrl = path.resolve(path.dirname(file), config.compilerOptions.baseUrl);
+            }
+
+            return options;
+        }
+
+        /**
+         * @param {string} path
+         * @param {string|{}} options Extension or {extension, exclude}
+         * @param {string} extension Default extension
+         * @returns {Compiler}
+         */
+
+    }, {
+        key: "path",
+        value: function path(_path9) {
+            var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : '.ts';
+            var extension = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : '.ts';
+
+            return _get(TypeScriptCompiler.prototype.__proto__ || Object.getPrototypeOf(TypeScriptCompiler.prototype), "path", this).call(this, _path9, options, extension);
+        }
+
+        /**
+         * gulp-typescript project. It is reused by next builds, so
+         * unchanged files are not parsed and checked again.
+         *
+         * @returns {*}
+         */
+
+    }, {
+        key: "project",
+        value: function project() {
+            var _this44 = this;
+
+            if (this._project !== null) {
+                return this._project;
+            }
+
+            var ts = this.compiler;
+            var settings = this.settings;
+            var args = {};
+
+            Object.keys(this._options).forEach(function (key) {
+                args[key] = _this44._options[key];
+            });
+
+            // Use project compiler version instead of bundled into gulp-typescript
+            if (!args.typescript) {
+                try {
+                    args['typescript'] = require('typescript');
+                } catch (e) {
+                    // Not installed, bundled version is used
+                }
+            }
+
+            // gulp-typescript passes these options as is, but compiler
+            // expects absolute "baseUrl" and file names of "lib" option
+            if (settings.baseUrl) {
+                args['baseUrl'] = settings.baseUrl;
+            }
+
+            if (settings.lib) {
+                args['lib'] = settings.lib.map(function (lib) {
+                    return (/^lib\..*\.d\.ts$/.test(lib) ? lib : "lib." + lib.toLowerCase() + ".d.ts"
+                    );
+                });
+            }
+
+            if (this._declarations) {
+                args['declaration'] = true;
+            }
+
+            // Files are transpiled one by one without type information
+            if (this._typeCheck === TypeScriptCompiler.TYPE_CHECK_OFF) {
+                args['isolatedModules'] = true;
+            }
+
+            return this._project = this._tsconfig ? ts.createProject(this._tsconfig, args) : ts.createProject(args);
+        }
+
+        /**
+         * Type errors are warnings in "warn" mode,
+         * syntax errors (TS1xxx) always break the build.
+         *
+         * @param {Error} error
+         * @returns {TypeScriptCompiler}
+         */
+
+    }, {
+        key: "diagnostic",
+        value: function diagnostic(error) {
+            var gutil = require('gulp-util');
+            var code = error.diagnostic ? error.diagnostic.code : null;
+
+            if (this._typeCheck !== TypeScriptCompiler.TYPE_CHECK_WARN || code === null || code < 2000) {
+                return this.report(error);
+            }
+
+            var warning = this.createError(error);
+
+            this._warnings.push(warning);
+            gutil.log(gutil.colors.yellow(warning.message));
+
+            return this;
+        }
+
+        /**
+         * @param wrapStream
+         * @returns {*}
+         */
+
+    }, {
+        key: "createStream",
+        value: function createStream() {
+            var _this45 = this;
+
+            var wrapStream = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : null;
+
+            this._warnings = [];
+
+            var build = function build(stream) {
+                // Diagnostics are reported by the builder instead of gulp-typescript reporter
+                var plugin = _this45.compiler(_this45.project(), undefined, {});
+                var output = fed(stream, plugin, function (error) {
+                    return _this45.diagnostic(error);
+                });
+
+                if (!_this45._declarations) {
+                    return output;
+                }
+
+                // Declarations are not bundled, compiled stream ends after they are written
+                var declarations = plugin.dts.pipe(_gulp2.default.dest(_this45._declarations)).on('error', function (error) {
+                    return _this45.report(error);
+                }).pipe(filter(function () {
+                    return false;
+                }));
+
+                return (0, _merge3.default)([output, declarations]);
+            };
+
+            return _get(TypeScriptCompiler.prototype.__proto__ || Object.getPrototypeOf(TypeScriptCompiler.prototype), "createStream", this).call(this, function (stream) {
+                stream = build(stream);
+                if (wrapStream) {
+                    stream = wrapStream(stream, _this45);
+                }
+                return stream;
+            });
+        }
+    }, {
+        key: "warnings",
+        get: function get() {
+            return this._warnings;
+        }
+
+        /**
+         * @returns {*}
+         */
+
+    }, {
+        key: "compiler",
+        get: function get() {
+            try {
+                return require('gulp-typescript');
+            } catch (e) {
+                throw this.compilerError('TypeScriptCompiler', 'gulp-typescript', '2.12.*');
+            }
+        }
+
+        /**
+         * Files of TypeScript project are compiled together,
+         * so they can not be taken from cache one by one.
+         *
+         * @returns {boolean}
+         */
+
+    }, {
+        key: "cacheable",
+        get: function get() {
+            return false;
+        }
+
+        /**
+         * @returns {Array}
+         */
+
+    }, {
+        key: "extensions",
+        get: function get() {
+            return ['.ts', '.tsx', '.js'];
+        }
+
+        /**
+         * Compiler options of tsconfig file merged with `options()`,
+         * "baseUrl" is resolved to absolute path.
+         *
+         * @returns {{}}
+         */
+
+    }, {
+        key: "settings",
+        get: function get() {
+            var _this46 = this;
+
+            var path = require('path');
+            var settings = this._tsconfig ? this._readConfig(this._tsconfig) : {};
+
+            Object.keys(this._options).forEach(function (key) {
+                settings[key] = key === 'baseUrl' ? path.resolve(_this46._options[key]) : _this46._options[key];
+            });
+
+            return settings;
+        }
+
+        /**
+         * "paths" option with absolute locations
+         *
+         * @returns {{}}
+         */
+
+    }, {
+        key: "aliases",
+        get: function get() {
+            var path = require('path');
+            var settings = this.settings;
+            var paths = settings.paths || {};
+            var base = settings.baseUrl || process.cwd();
+            var result = {};
+
+            Object.keys(paths).forEach(function (pattern) {
+                result[pattern] = paths[pattern].map(function (location) {
+                    return path.resolve(base, location);
+                });
+            });
+
+            return result;
+        }
+    }]);
+
+    return TypeScriptCompiler;
+}(JsCompiler);
+
+/**
+ * Precompiles template files into CommonJS modules
+ * which export render functions.
+ *
+ * @class TemplatesCompiler
+ * @package lightweb-builder
+ */
+
+
+TypeScriptCompiler.TYPE_CHECK_OFF = 'off';
+TypeScriptCompiler.TYPE_CHECK_WARN = 'warn';
+TypeScriptCompiler.TYPE_CHECK_ERROR = 'error';
+
+var TemplatesCompiler = function (_JsCompiler4) {
+    _inherits(TemplatesCompiler, _JsCompiler4);
+
+    function TemplatesCompiler() {
+        var _ref6;
+
+        var _temp6, _this47, _ret6;
+
+        _classCallCheck(this, TemplatesCompiler);
+
+        for (var _len8 = arguments.length, args = Array(_len8), _key8 = 0; _key8 < _len8; _key8++) {
+            args[_key8] = arguments[_key8];
+        }
+
+        return _ret6 = (_temp6 = (_this47 = _possibleConstructorReturn(this, (_ref6 = TemplatesCompiler.__proto__ || Object.getPrototypeOf(TemplatesCompiler)).call.apply(_ref6, [this].concat(args))), _this47), _this47._engine = 'handlebars', _this47._engineOptions = {}, _temp6), _possibleConstructorReturn(_this47, _ret6);
+    }
+    /**
+     * Supported engines: {name: {package, version, extensions}}
+     */
+
+
+    /**
+     * @type {string}
+     * @private
+     */
+
+
+    /**
+     * @type {{}}
+     * @private
+     */
+
+
+    _createClass(TemplatesCompiler, [{
+        key: "engine",
+
+
+        /**
+         * Call it before `path()`, so default extension of the engine is used
+         *
+         * @param {string} name handlebars, mustache or lodash
+         * @param {{}} options Options of engine compiler
+         * @returns {TemplatesCompiler}
+         */
+        value: function engine(name) {
+            var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+
+            if (!TemplatesCompiler.ENGINES[name]) {
+                throw new Error("Unknown template engine \"" + name + "\", expected one of: " + Object.keys(TemplatesCompiler.ENGINES).join(', '));
+            }
+
+            this._engine = name;
+            this._engineOptions = options;
+            return this;
+        }
+
+        /**
+         * @returns {*}
+         */
+
+    }, {
+        key: "path",
+
+
+        /**
+         * Adds files with all extensions of the engine by default
+         *
+         * @param {string} path
+         * @param {string|{}|null} options Extension or {extension, exclude}
+         * @returns {Compiler}
+         */
+        value: function path(_path10) {
+            var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : null;
+
+            var extensions = this.extensions.map(function (extension) {
+                return extension.substr(1);
+            });
+
+            return _get(TemplatesCompiler.prototype.__proto__ || Object.getPrototypeOf(TemplatesCompiler.prototype), "path", this).call(this, _path10, options === null ? {} : options, extensions.length > 1 ? ".{" + extensions.join(',') + "}" : "." + extensions[0]);
+        }
+
+        /**
+         * Module code of the template, global runtime of
+         * the engine is used if it is loaded on the page.
+         *
+         * @param {string} source
+         * @returns {string}
+         */
+
+    }, {
+        key: "precompile",
+        value: function precompile(source) {
+            var engine = this.compiler;
+            var options = this._engineOptions;
+
+            switch (this._engine) {
+                case 'handlebars':
+                    return ["var Handlebars = typeof window !== 'undefined' && window.Handlebars", "    ? window.Handlebars : require('handlebars/runtime')['default'];", "module.exports = Handlebars.template(" + engine.precompile(source, options) + ");"].join("\n");
+
+                case 'mustache':
+                    var settings = { asString: true };
+                    Object.keys(options).forEach(function (key) {
+                        return settings[key] = options[key];
+                    });
+
+                    return ["var Hogan = typeof window !== 'undefined' && window.Hogan ? window.Hogan : require('hogan.js');", "var template = new Hogan.Template(" + engine.compile(source, settings) + ");", 'module.exports = function (context, partials) { return template.render(context, partials); };'].join("\n");
+
+                case 'lodash':
+                    return ["var _ = typeof window !== 'undefined' && window._ ? window._ : require('lodash');", "module.exports = " + engine.template(source, options).source + ";"].join("\n");
+            }
+        }
+
+        /**
+         * @param wrapStream
+         * @returns {*}
+         */
+
+    }, {
+        key: "createStream",
+        value: function createStream() {
+            var _this48 = this;
+
+            var wrapStream = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : null;
+
+            var build = function build(stream) {
+                return _this48.compile(stream, _through2.default.obj(function (file, encoding, next) {
+                    try {
+                        file.contents = Buffer.from(_this48.precompile(file.contents.toString()));
+                        file.path = file.path.replace(/\.[^.\\/]*$/, '') + '.js';
+                    } catch (error) {
+                        error.fileName = file.path;
+                        return next(error);
+                    }
+
+                    next(null, file);
+                }));
+            };
+
+            return _get(TemplatesCompiler.prototype.__proto__ || Object.getPrototypeOf(TemplatesCompiler.prototype), "createStream", this).call(this, function (stream) {
+                stream = build(stream);
+                if (wrapStream) {
+                    stream = wrapStream(stream, _this48);
+                }
+                return stream;
+            });
+        }
+    }, {
+        key: "compiler",
+        get: function get() {
+            var engine = TemplatesCompiler.ENGINES[this._engine];
+
+            try {
+                return require(engine.package);
+            } catch (e) {
+                throw this.compilerError("Templates (" + this._engine + ")", engine.package, engine.version);
+            }
+        }
+
+        /**
+         * Templates are always wrapped into modules
+         *
+         * @returns {boolean}
+         */
+
+    }, {
+        key: "modules",
+        get: function get() {
+            return true;
+        }
+
+        /**
+         * @returns {Array}
+         */
+
+    }, {
+        key: "extensions",
+        get: function get() {
+            return TemplatesCompiler.ENGINES[this._engine].extensions;
+        }
+
+        /**
+         * @returns {{}}
+         */
+
+    }, {
+        key: "identity",
+        get: function get() {
+            return {
+                engine: this._engine,
+                options: this._engineOptions
+            };
+        }
+    }]);
+
+    return TemplatesCompiler;
+}(JsCompiler);
+
+/**
+ * Copies html pages into output directory and replaces bundle
+ * markers with paths of built (and hashed) bundles.
+ *
+ * @class HtmlCompiler
+ * @package lightweb-builder
+ */
+
+
+TemplatesCompiler.ENGINES = {
+    handlebars: { package: 'handlebars', version: '4.0.*', extensions: ['.hbs', '.handlebars'] },
+    mustache: { package: 'hogan.js', version: '3.0.*', extensions: ['.mustache'] },
+    lodash: { package: 'lodash', version: '4.*', extensions: ['.tpl'] }
+};
+
+var HtmlCompiler = function (_Compiler3) {
+    _inherits(HtmlCompiler, _Compiler3);
+
+    function HtmlCompiler() {
+        var _ref7;
+
+        var _temp7, _this49, _ret7;
+
+        _classCallCheck(this, HtmlCompiler);
+
+        for (var _len9 = arguments.length, args = Array(_len9), _key9 = 0; _key9 < _len9; _key9++) {
+            args[_key9] = arguments[_key9];
+        }
+
+        return _ret7 = (_temp7 = (_this49 = _possibleConstructorReturn(this, (_ref7 = HtmlCompiler.__proto__ || Object.getPrototypeOf(HtmlCompiler)).call.apply(_ref7, [this].concat(args))), _this49), _this49._manifest = 'manifest.json', _temp7), _possibleConstructorReturn(_this49, _ret7);
+    }
+    /**
+     * @type {string}
+     * @private
+     */
+
+
+    _createClass(HtmlCompiler, [{
+        key: "manifest",
+
+
+        /**
+         * Manifest file name of hashed bundles, see `withHash()`
+         *
+         * @param {string} name
+         * @returns {HtmlCompiler}
+         */
+        value: function manifest() {
+            var name = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : 'manifest.json';
+
+            this._manifest = name;
+            return this;
+        }
+
+        /**
+         * @param {string} path
+         * @param {string|{}} options Extension or {extension, exclude}
+         * @param {string} extension Default extension
+         * @returns {Compiler}
+         */
+
+    }, {
+        key: "path",
+        value: function path(_path11) {
+            var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : '.html';
+            var extension = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : '.html';
+
+            return _get(HtmlCompiler.prototype.__proto__ || Object.getPrototypeOf(HtmlCompiler.prototype), "path", this).call(this, _path11, options, extension);
+        }
+
+        /**
+         * @param gulp
+         * @param options
+         * @returns {*}
+         */
+
+    }, {
+        key: "minify",
+        value: function minify(gulp) {
+            var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+
+            return gulp.pipe(this.uglify(Object.keys(options).length > 0 ? options : { collapseWhitespace: true }));
+        }
+
+        /**
+         * @param stream
+         * @param {string} directory
+         * @returns {*}
+         */
+
+    }, {
+        key: "relocate",
+        value: function relocate(stream, directory) {
+            var _this50 = this;
+
+            return stream.pipe(tap(function (file) {
+                file.contents = Buffer.from(_this50.inject(file, directory));
+            }));
+        }
+
+        /**
+         * Replaces `<script data-bundle="js/app.js"></script>`, `<link data-bundle="css/app.css">`
+         * and `<!-- bundle: js/app.js -->` markers with tags of bundles. Bundle names are
+         * paths relative to output directory, hashed names are taken from manifest files.
+         *
+         * @param file
+         * @param {string} directory
+         * @returns {string}
+         */
+
+    }, {
+        key: "inject",
+        value: function inject(file, directory) {
+            var _this51 = this;
+
+            var path = require('path');
+
+            var page = path.dirname(path.join(directory, file.relative));
+            var url = function url(name) {
+                var bundle = _this51.resolveBundle(name, directory);
+
+                if (bundle === null) {
+                    var error = new Error("Bundle " + name + " not found in " + directory);
+                    error.fileName = file.history[0];
+                    _this51.report(error);
+
+                    return name;
+                }
+
+                return path.relative(page, bundle).replace(/\\/g, '/');
+            };
+
+            return file.contents.toString().replace(/<script\b([^>]*?)\s+data-bundle=(["'])([^"']+)\2([^>]*)>\s*<\/script>/gi, function (match, before, quote, name, after) {
+                var attributes = (before + after).replace(/\s+src=(["'])[^"']*\1/gi, '');
+
+                return "<script" + attributes + " src=\"" + url(name) + "\"></script>";
+            }).replace(/<link\b([^>]*?)\s+data-bundle=(["'])([^"']+)\2([^>]*?)\s*\/?>/gi, function (match, before, quote, name, after) {
+                var attributes = (before + after).replace(/\s+href=(["'])[^"']*\1/gi, '');
+
+                if (!/\srel=/i.test(attributes)) {
+                    attributes = ' rel="stylesheet"' + attributes;
+                }
+
+                return "<link" + attributes + " href=\"" + url(name) + "\">";
+            }).replace(/<!--\s*bundle:\s*(\S+)\s*-->/gi, function (match, name) {
+                return path.extname(name) === '.css' ? "<link rel=\"stylesheet\" href=\"" + url(name) + "\">" : "<script src=\"" + url(name) + "\"></script>";
+            });
+        }
+
+        /**
+         * @param {string} name
+         * @param {string} directory
+         * @returns {string|null}
+         */
+
+    }, {
+        key: "resolveBundle",
+        value: function resolveBundle(name, directory) {
+            var fs = require('fs');
+            var path = require('path');
+
+            var file = path.join(directory, name);
+            var manifest = path.join(path.dirname(file), this._manifest);
+
+            if (fs.existsSync(manifest)) {
+                var entries = JSON.parse(fs.readFileSync(manifest, 'utf8'));
+
+                if (entries[path.basename(file)]) {
+                    file = path.join(path.dirname(file), entries[path.basename(file)]);
+                }
+            }
+
+            return fs.existsSync(file) ? file : null;
+        }
+    }, {
+        key: "kind",
+
+
+        /**
+         * @returns {string}
+         */
+        get: function get() {
+            return Compiler.KIND_PAGE;
+        }
+
+        /**
+         * @returns {*}
+         */
+
+    }, {
+        key: "uglify",
+        get: function get() {
+            try {
+                return require('gulp-htmlmin');
+            } catch (e) {
+                throw this.compilerError('HTML minifier', 'gulp-htmlmin', '2.0.*');
+            }
+        }
+    }]);
+
+    return HtmlCompiler;
+}(Compiler);
+
+/**
+ * @class BuildStats
+ * @package lightweb-builder
+ */
+
+
+var BuildStats = function () {
+
+    /**
+     * @type {Array}
+     * @private
+     */
+
+
+    /**
+     * @type {number}
+     * @private
+     */
+    function BuildStats() {
+        _classCallCheck(this, BuildStats);
+
+        this._started = 0;
+        this._time = 0;
+        this._outputs = [];
+        this._compilers = [];
+        this._size = { original: 0, minified: 0, gzip: 0 };
+
+        this._started = Date.now();
+    }
+
+    /**
+     * Written files: bundle, source map and gzip archive
+     *
+     * @returns {Array}
+     */
+
+
+    /**
+     * @type {{original: number, minified: number, gzip: number}}
+     * @private
+     */
+
+
+    /**
+     * @type {Array}
+     * @private
+     */
+
+    /**
+     * @type {number}
+     * @private
+     */
+
+
+    _createClass(BuildStats, [{
+        key: "track",
+
+
+        /**
+         * @param {Compiler} compiler
+         * @returns {*}
+         */
+        value: function track(compiler) {
+            var _this52 = this;
+
+            var path = require('path');
+            var entry = { name: compiler.constructor.name, files: [], time: 0 };
+
+            this._compilers.push(entry);
+
+            return tap(function (file) {
+                entry.files.push(path.relative(process.cwd(), file.history[0]));
+            }, function () {
+                entry.time = Date.now() - _this52._started;
+            });
+        }
+
+        /**
+         * @param {string} type
+         * @returns {*}
+         */
+
+    }, {
+        key: "measure",
+        value: function measure(type) {
+            var _this53 = this;
+
+            var path = require('path');
+
+            return tap(function (file) {
+                if (path.extname(file.path) !== '.map') {
+                    _this53._size[type] += file.contents.length;
+                }
+            });
+        }
+
+        /**
+         * @param {string} dist
+         * @returns {*}
+         */
+
+    }, {
+        key: "output",
+        value: function output(dist) {
+            var _this54 = this;
+
+            var path = require('path');
+
+            return tap(function (file) {
+                _this54._outputs.push({
+                    path: path.join(dist, file.relative),
+                    size: file.contents.length
+                });
+            });
+        }
+
+        /**
+         * @returns {BuildStats}
+         */
+
+    }, {
+        key: "finish",
+        value: function finish() {
+            this._time = Date.now() - this._started;
+            return this;
+        }
+
+        /**
+         * @returns {string}
+         */
+
+    }, {
+        key: "toString",
+        value: function toString() {
+            var result = this._outputs.map(function (output) {
+                return output.path + ": " + output.size + " bytes";
+            });
+
+            this._compilers.forEach(function (compiler) {
+                result.push(compiler.name + ": " + compiler.files.length + " files in " + compiler.time + " ms");
+            });
+
+            result.push("Total: " + this._time + " ms");
+
+            return result.join("\n");
+        }
+    }, {
+        key: "outputs",
+        get: function get() {
+            return this._outputs;
+        }
+
+        /**
+         * Per compiler files list and elapsed time
+         *
+         * @returns {Array}
+         */
+
+    }, {
+        key: "compilers",
+        get: function get() {
+            return this._compilers;
+        }
+
+        /**
+         * Bundle size in bytes after concatenation, minification and gzip
+         *
+         * @returns {{original: number, minified: number, gzip: number}}
+         */
+
+    }, {
+        key: "size",
+        get: function get() {
+            return this._size;
+        }
+
+        /**
+         * @returns {number}
+         */
+
+    }, {
+        key: "time",
+        get: function get() {
+            return this._time;
+        }
+
+        /**
+         * Converts result of `build()` into list of stats
+         *
+         * @param {BuildStats|{}} stats
+         * @returns {Array}
+         */
+
+    }], [{
+        key: "list",
+        value: function list(stats) {
+            return stats instanceof BuildStats ? [stats] : Object.keys(stats).map(function (kind) {
+                return stats[kind];
+            });
+        }
+    }]);
+
+    return BuildStats;
+}();
+
+/**
+ * Static http server which notifies connected pages about rebuilds
+ * through EventSource.
+ *
+ * @class DevServer
+ * @package lightweb-builder
+ */
+
+
+var DevServer = function () {
+    _createClass(DevServer, null, [{
+        key: "get",
+
+
+        /**
+         * Builders with the same port share one server
+         *
+         * @param {number} port
+         * @param {string} root
+         * @returns {DevServer}
+         */
+
+
+        /**
+         * @type {Array}
+         * @private
+         */
+
+
+        /**
+         * @type {string}
+         * @private
+         */
+        value: function get(port, root) {
+            if (!DevServer._servers[port]) {
+                DevServer._servers[port] = new DevServer(port, root);
+            }
+
+            return DevServer._servers[port];
+        }
+
+        /**
+         * @param {number} port
+         * @param {string} root
+         */
+
+
+        /**
+         * @type {*}
+         * @private
+         */
+
+
+        /**
+         * @type {Array}
+         * @private
+         */
+
+
+        /**
+         * @type {{}}
+         * @private
+         */
+
+    }]);
+
+    function DevServer(port, root) {
+        var _this55 = this;
+
+        _classCallCheck(this, DevServer);
+
+        this._root = '';
+        this._clients = [];
+        this._watchers = [];
+        this._server = null;
+
+        var http = require('http');
+        var path = require('path');
+        var gutil = require('gulp-util');
+
+        this._root = path.resolve(root);
+        this._server = http.createServer(function (request, response) {
+            return _this55.handle(request, response);
+        });
+        this._server.on('error', function (error) {
+            gutil.log(gutil.colors.red("Server at port " + port + " failed: " + error.message));
+        });
+        this._server.listen(port);
+
+        gutil.log('Serving', gutil.colors.cyan(root), 'at', gutil.colors.magenta('http://localhost:' + port));
+    }
+
+    /**
+     * @param request
+     * @param response
+     */
+
+
+    _createClass(DevServer, [{
+        key: "handle",
+        value: function handle(request, response) {
+            var _this56 = this;
+
+            var fs = require('fs');
+            var path = require('path');
+            var url;
+
+            try {
+                url = decodeURIComponent(require('url').parse(request.url).pathname);
+            } catch (error) {
+                response.writeHead(400, { 'Content-Type': DevServer.TYPES['.txt'] });
+                return response.end('Bad request: ' + request.url);
+            }
+
+            if (url === DevServer.EVENTS_URL) {
+                return this.subscribe(request, response);
+            }
+
+            if (url === DevServer.CLIENT_URL) {
+                response.writeHead(200, { 'Content-Type': DevServer.TYPES['.js'] });
+                return response.end(DevServer.CLIENT);
+            }
+
+            var file = path.join(this._root, url);
+            var relative = path.relative(this._root, file);
+
+            if (relative.split(path.sep)[0] === '..' || path.isAbsolute(relative)) {
+                response.writeHead(403);
+                return response.end();
+            }
+
+            if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+                file = path.join(file, 'index.html');
+            }
+
+            fs.readFile(file, function (error, contents) {
+                if (error) {
+                    response.writeHead(404, { 'Content-Type': DevServer.TYPES['.txt'] });
+                    return response.end('Not found: ' + url);
+                }
+
+                var extension = path.extname(file).toLowerCase();
+
+                if (DevServer.TYPES[extension] === DevServer.TYPES['.html']) {
+                    contents = _this56.inject(contents.toString());
+                }
+
+                response.writeHead(200, {
+                    'Content-Type': DevServer.TYPES[extension] || 'application/octet-stream',
+                    'Cache-Control': 'no-cache'
+                });
+                response.end(contents);
+            });
+        }
+
+        /**
+         * @param {string} html
+         * @returns {string}
+         */
+
+    }, {
+        key: "inject",
+        value: function inject(html) {
+            var script = "<script src=\"" + DevServer.CLIENT_URL + "\"></script>";
+            var index = html.lastIndexOf('</body>');
+
+            return index < 0 ? html + script : html.substr(0, index) + script + html.substr(index);
+        }
+
+        /**
+         * @param request
+         * @param response
+         */
+
+    }, {
+        key: "subscribe",
+        value: function subscribe(request, response) {
+            var _this57 = this;
+
+            response.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive'
+            });
+            response.write("retry: 1000\n\n");
+
+            this._clients.push(response);
+
+            request.on('close', function () {
+                _this57._clients = _this57._clients.filter(function (client) {
+                    return client !== response;
+                });
+            });
+        }
+
+        /**
+         * @param {{}} event
+         */
+
+    }, {
+        key: "notify",
+        value: function notify(event) {
+            var message = 'data: ' + JSON.stringify(event) + "\n\n";
+            this._clients.forEach(function (client) {
+                return client.write(message);
+            });
+        }
+
+        /**
+         * Reloads stylesheets in place for css only builds and whole page otherwise
+         *
+         * @param {BuildStats|{}} stats
+         * @param {boolean} stylesOnly
+         */
+
+    }, {
+        key: "reload",
+        value: function reload(stats) {
+            var _this58 = this;
+
+            var stylesOnly = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : false;
+
+            var path = require('path');
+
+            if (!stylesOnly) {
+                return this.notify({ type: 'reload' });
+            }
+
+            var files = BuildStats.list(stats).reduce(function (outputs, item) {
+                return outputs.concat(item.outputs);
+            }, []).filter(function (output) {
+                return path.extname(output.path) === '.css';
+            }).map(function (output) {
+                return {
+                    name: path.basename(output.path).replace(/\.[0-9a-f]{10}(\.css)$/, '$1'),
+                    url: '/' + path.relative(_this58._root, path.resolve(output.path)).replace(/\\/g, '/')
+                };
+            });
+
+            this.notify({ type: 'css', files: files });
+        }
+
+        /**
+         * Watcher is closed together with the server
+         *
+         * @param {*} watcher
+         * @returns {DevServer}
+         */
+
+    }, {
+        key: "watch",
+        value: function watch(watcher) {
+            this._watchers.push(watcher);
+            return this;
+        }
+
+        /**
+         * @returns {DevServer}
+         */
+
+    }, {
+        key: "close",
+        value: function close() {
+            var _this59 = this;
+
+            this._watchers.forEach(function (watcher) {
+                return watcher.end();
+            });
+            this._watchers = [];
+            this._clients.forEach(function (client) {
+                return client.end();
+            });
+            this._server.close();
+
+            Object.keys(DevServer._servers).forEach(function (port) {
+                if (DevServer._servers[port] === _this59) {
+                    delete DevServer._servers[port];
+                }
+            });
+
+            return this;
+        }
+    }]);
+
+    return DevServer;
+}();
+
+/**
+ * Builders which are built together. Files which are included by
+ * several builders can be moved into one shared bundle.
+ *
+ * @class BuilderGroup
+ * @package lightweb-builder
+ */
+
+
+DevServer.CLIENT_URL = '/__lightweb/client.js';
+DevServer.EVENTS_URL = '/__lightweb/events';
+DevServer.CLIENT = "(function () {\n    var source = new EventSource('" + DevServer.EVENTS_URL + "');\n\n    source.onmessage = function (event) {\n        var data = JSON.parse(event.data);\n        if (data.type !== 'css') {\n            return window.location.reload();\n        }\n\n        var links = document.querySelectorAll('link[rel=\"stylesheet\"]');\n        for (var i = 0; i < links.length; i++) {\n            var name = links[i].href.split('?')[0].split('/').pop().replace(/\\.[0-9a-f]{10}(\\.css)$/, '$1');\n\n            for (var j = 0; j < data.files.length; j++) {\n                if (data.files[j].name === name) {\n                    links[i].href = data.files[j].url + '?' + Date.now();\n                }\n            }\n        }\n    };\n})();";
+DevServer.TYPES = {
+    '.html': 'text/html',
+    '.htm': 'text/html',
+    '.js': 'application/javascript',
+    '.css': 'text/css',
+    '.json': 'application/json',
+    '.map': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.ico': 'image/x-icon',
+    '.woff': 'application/font-woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'application/x-font-ttf',
+    '.eot': 'application/vnd.ms-fontobject',
+    '.txt': 'text/plain'
+};
+DevServer._servers = {};
+
+var BuilderGroup = function () {
+
+    /**
+     * @param {Array} builders
+     */
+
+
+    /**
+     * Outputs of shared bundles by kind: {js: 'vendor.js'}
+     *
+     * @type {{}}
+     * @private
+     */
+    function BuilderGroup(builders) {
+        _classCallCheck(this, BuilderGroup);
+
+        this._builders = [];
+        this._common = {};
+        this._minUsage = 2;
+
+        if (!(builders instanceof Array) || builders.length === 0) {
+            throw new Error('Builders group must contain at least one builder');
+        }
+
+        this._builders = builders;
+    }
+
+    /**
+     * @returns {Array}
+     */
+
+
+    /**
+     * @type {number}
+     * @private
+     */
+
+    /**
+     * @type {Array}
+     * @private
+     */
+
+
+    _createClass(BuilderGroup, [{
+        key: "extractCommon",
+
+
+        /**
+         * Moves files which are included by at least `minUsage` builders
+         * into the output (`{js: '...', css: '...'}` for several kinds)
+         *
+         * @param {string|{}} output
+         * @param {{minUsage: number}} options
+         * @returns {BuilderGroup}
+         */
+        value: function extractCommon(output) {
+            var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+
+            this._common = (typeof output === "undefined" ? "undefined" : _typeof(output)) === 'object' ? output : _defineProperty({}, Compiler.KIND_SCRIPT, output);
+            this._minUsage = options.minUsage || 2;
+            return this;
+        }
+
+        /**
+         * Files of shared bundles: {kind: [files]}
+         *
+         * @returns {Promise}
+         */
+
+    }, {
+        key: "commonFiles",
+        value: function commonFiles() {
+            var _this60 = this;
+
+            return Promise.all(this._builders.map(function (builder) {
+                return builder.sourceFiles();
+            })).then(function (lists) {
+                var result = {};
+
+                Object.keys(_this60._common).forEach(function (kind) {
+                    var usage = {};
+
+                    lists.forEach(function (files) {
+                        return (files[kind] || []).forEach(function (file) {
+                            return usage[file] = (usage[file] || 0) + 1;
+                        });
+                    });
+
+                    result[kind] = Object.keys(usage).filter(function (file) {
+                        return usage[file] >= _this60._minUsage;
+                    });
+                });
+
+                return result;
+            });
+        }
+
+        /**
+         * Builds every builder into output with the same index and writes shared bundles.
+         * The promise is resolved with `{common: {kind: BuildStats}, builds: [stats]}`.
+         *
+         * @param {Array} outputs
+         * @returns {*}
+         */
+
+    }, {
+        key: "build",
+        value: function build(outputs) {
+            var _this61 = this;
+
+            if (!(outputs instanceof Array) || outputs.length !== this._builders.length) {
+                throw new Error('Building error. Output must be defined for every builder of the group');
+            }
+
+            var stream = _through2.default.obj();
+            var collected = [];
+
+            var promise = this.commonFiles().then(function (common) {
+                _this61._builders.forEach(function (builder, index) {
+                    return builder.share(common, function (kind, file) {
+                        collected.push({ kind: kind, index: index, order: collected.length, file: file });
+                    });
+                });
+
+                return settled(_this61._builders.map(function (builder, index) {
+                    return new Promise(function (resolve) {
+                        return resolve(builder.build(outputs[index]).done());
+                    });
+                }));
+            }).then(function (results) {
+                _this61._builders.forEach(function (builder) {
+                    return builder.share(null);
+                });
+
+                var failures = results.filter(function (result) {
+                    return result.error;
+                });
+
+                if (failures.length === 1) {
+                    throw failures[0].error;
+                }
+
+                if (failures.length > 1) {
+                    var error = new Error("Building failed with " + failures.length + " failed builder(s)");
+                    error.errors = failures.reduce(function (errors, result) {
+                        return errors.concat(result.error.errors || [result.error]);
+                    }, []);
+                    throw error;
+                }
+
+                var kinds = Object.keys(_this61._common);
+
+                return Promise.all(kinds.map(function (kind) {
+                    return _this61._writeCommon(kind, collected);
+                })).then(function (stats) {
+                    var common = {};
+                    kinds.forEach(function (kind, index) {
+                        return common[kind] = stats[index];
+                    });
+
+                    return { common: common, builds: results.map(function (result) {
+                            return result.value;
+                        }) };
+                });
+            });
+
+            promise.then(function () {
+                return stream.end();
+            }, function (error) {
+                failed(stream, error);
+                stream.end();
+            });
+
+            stream.done = function () {
+                return promise;
+            };
+
+            return stream;
+        }
+
+        /**
+         * Writes collected files of the kind in order of builders,
+         * builder of the first file writes the bundle with its options.
+         *
+         * @param {string} kind
+         * @param {Array} collected
+         * @returns {Promise}
+         * @private
+         */
+
+    }, {
+        key: "_writeCommon",
+        value: function _writeCommon(kind, collected) {
+            var written = {};
+            var files = collected.filter(function (item) {
+                return item.kind === kind;
+            }).sort(function (a, b) {
+                return a.index - b.index || a.order - b.order;
+            }).filter(function (item) {
+                return written[Compiler.sourceKey(item.file)] ? false : written[Compiler.sourceKey(item.file)] = true;
+            });
+
+            if (files.length === 0) {
+                return Promise.resolve(null);
+            }
+
+            return this._builders[files[0].index].buildFiles(files.map(function (item) {
+                return item.file;
+            }), this._common[kind], kind).done();
+        }
+    }, {
+        key: "builders",
+        get: function get() {
+            return this._builders;
+        }
+    }]);
+
+    return BuilderGroup;
+}();
+
+/**
+ * @class WebBuilder
+ * @package lightweb-builder
+ */
+
+
+var WebBuilder = function () {
+    function WebBuilder() {
+        _classCallCheck(this, WebBuilder);
+
+        this._compilers = [];
+        this._environment = process.env.NODE_ENV || 'development';
+        this._sourceMaps = false;
+        this._minify = false;
+        this._minifyOptions = {};
+        this._compress = false;
+        this._syncBuildingNext = false;
+        this._randomOrder = false;
+        this._hash = false;
+        this._manifest = 'manifest.json';
+        this._cache = null;
+        this._pipes = [];
+        this._defines = {};
+        this._shared = null;
+    }
+    /**
+     * Config file names which are looked up in working directory
+     */
+
+
+    /**
+     * Compiler types of config files
+     */
+
+
+    /**
+     * Builder options of config files: {option: method}
+     */
+
+
+    /**
+     * Compiler options of config files which are lists: {option: method}
+     */
+
+
+    /**
+     * @type {Array}
+     * @private
+     */
+
+
+    /**
+     * @type {string}
+     * @private
+     */
+
+
+    /**
+     * @type {boolean}
+     * @private
+     */
+
+
+    /**
+     * @type {boolean}
+     * @private
+     */
+
+
+    /**
+     * @type {{}}
+     * @private
+     */
+
+
+    /**
+     * @type {boolean}
+     * @private
+     */
+
+
+    /**
+     * @type {boolean}
+     * @private
+     */
+
+
+    /**
+     * @type {boolean}
+     * @private
+     */
+
+
+    /**
+     * @type {boolean}
+     * @private
+     */
+
+
+    /**
+     * @type {string}
+     * @private
+     */
+
+
+    /**
+     * @type {CompilerCache|null}
+     * @private
+     */
+
+
+    /**
+     * Plugin factories which are applied to concatenated file
+     *
+     * @type {Array}
+     * @private
+     */
+
+
+    /**
+     * Constants which replace expressions of compiled scripts: {expression: code}
+     *
+     * @type {{}}
+     * @private
+     */
+
+
+    /**
+     * Files which are moved into shared bundle of builders group
+     *
+     * @type {{files: {}, collect: Function}|null}
+     * @private
+     */
+
+
+    _createClass(WebBuilder, [{
+        key: "sourceFiles",
+
+
+        /**
+         * Source files of all compilers by kind: {js: [files], css: [files]}
+         *
+         * @returns {Promise}
+         */
+        value: function sourceFiles() {
+            var files = {};
+
+            return Promise.all(this._compilers.map(function (compiler) {
+                return new Promise(function (resolve, reject) {
+                    var list = files[compiler.kind] = files[compiler.kind] || [];
+                    var stream = compiler.createSource();
+
+                    stream.on('data', function (file) {
+                        return list.indexOf(file.path) < 0 && list.push(file.path);
+                    });
+                    stream.on('end', resolve);
+                    stream.on('error', reject);
+                });
+            })).then(function () {
+                return files;
+            });
+        }
+
+        /**
+         * Files of the kind which are listed in `files` are not written into bundles,
+         * compiled files are passed to the callback instead.
+         *
+         * @param {{}|null} files {kind: [files]}
+         * @param {Function} collect Receives kind and compiled file
+         * @returns {WebBuilder}
+         */
+
+    }, {
+        key: "share",
+        value: function share(files) {
+            var collect = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : function () {};
+
+            this._shared = files === null ? null : { files: files, collect: collect };
+            return this;
+        }
+
+        /**
+         * @returns {string}
+         */
+
+    }, {
+        key: "babel",
+
+
+        /**
+         * @param {Function} callback
+         * @returns {WebBuilder}
+         */
+        value: function babel() {
+            var callback = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : function () {};
+
+            return this._make(BabelCompiler, callback);
+        }
+
+        /**
+         * @param {Function} callback
+         * @returns {WebBuilder}
+         */
+
+    }, {
+        key: "es6",
+        value: function es6() {
+            var callback = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : function () {};
+
+            return this._make(BabelCompiler, callback, function (compiler) {
+                return compiler.preset('es2015');
+            });
+        }
+
+        /**
+         * @param {Function} callback
+         * @returns {WebBuilder}
+         */
+
+    }, {
+        key: "es7",
+        value: function es7() {
+            var callback = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : function () {};
+
+            return this._make(BabelCompiler, callback, function (compiler) {
+                return compiler.preset('es2015', 'stage-0');
+            });
+        }
+
+        /**
+         * @param {Function} callback
+         * @returns {WebBuilder}
+         */
+
+    }, {
+        key: "coffee",
+        value: function coffee() {
+            var callback = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : function () {};
+
+            return this._make(CoffeeCompiler, callback);
+        }
+
+        /**
+         * @param {Function} callback
+         * @returns {WebBuilder}
+         */
+
+    }, {
+        key: "js",
+        value: function js() {
+            var callback = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : function () {};
+
+            return this._make(JsCompiler, callback);
+        }
+
+        /**
+         * @param {Function} callback
+         * @returns {WebBuilder}
+         */
+
+    }, {
+        key: "ts",
+        value: function ts() {
+            var callback = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : function () {};
+
+            return this._make(TypeScriptCompiler, callback);
+        }
+
+        /**
+         * Options object is applied like compiler definition of config files,
+         * engine is selected first: `{engine: 'handlebars', namespace: 'App', paths: 'src/templates/'}`
+         *
+         * @param {Function|{}} callback
+         * @returns {WebBuilder}
+         */
+
+    }, {
+        key: "templates",
+        value: function templates() {
+            var callback = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : function () {};
+
+            if (callback !== null && (typeof callback === "undefined" ? "undefined" : _typeof(callback)) === 'object' && !(callback instanceof Array)) {
+                var options = callback.engine === undefined ? callback : Object.assign({ engine: callback.engine }, callback);
+
+                callback = function callback(compiler) {
+                    return WebBuilder._configure(compiler, 'templates', options);
+                };
+            }
+
+            return this._make(TemplatesCompiler, callback);
+        }
+
+        /**
+         * @param {Function} callback
+         * @returns {WebBuilder}
+         */
+
+    }, {
+        key: "sass",
+        value: function sass() {
+            var callback = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : function () {};
+
+            return this._make(SassCompiler, callback);
+        }
+
+        /**
+         * @param {Function} callback
+         * @returns {WebBuilder}
+         */
+
+    }, {
+        key: "scss",
+        value: function scss() {
+            var callback = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : function () {};
+
+            return this._make(ScssCompiler, callback);
+        }
+
+        /**
+         * @param {Function} callback
+         * @returns {WebBuilder}
+         */
+
+    }, {
+        key: "less",
+        value: function less() {
+            var callback = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : function () {};
+
+            return this._make(LessCompiler, callback);
+        }
+
+        /**
+         * @param {Function} callback
+         * @returns {WebBuilder}
+         */
+
+    }, {
+        key: "stylus",
+        value: function stylus() {
+            var callback = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : function () {};
+
+            return this._make(StylusCompiler, callback);
+        }
+
+        /**
+         * @param {Function} callback
+         * @returns {WebBuilder}
+         */
+
+    }, {
+        key: "css",
+        value: function css() {
+            var callback = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : function () {};
+
+            return this._make(CssCompiler, callback);
+        }
+
+        /**
+         * @param {Function} callback
+         * @returns {WebBuilder}
+         */
+
+    }, {
+        key: "html",
+        value: function html() {
+            var callback = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : function () {};
+
+            return this._make(HtmlCompiler, callback);
+        }
+
+        /**
+         * @param {Function} compilerClass
+         * @param {Function|string|Array} callback
+         * @param {Function|null} before
+         * @returns {WebBuilder}
+         * @private
+         */
+
+    }, {
+        key: "_make",
+        value: function _make(compilerClass) {
+            var callback = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : function () {};
+            var before = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : null;
+
+            var compiler = new compilerClass(this);
+
+            if (this._syncBuildingNext) {
+                compiler.syncBuilding(true);
+                this._syncBuildingNext = false;
+            }
+
+            if (typeof callback === 'string') {
+                var file = callback;
+                callback = function callback(compiler) {
+                    return compiler.file(file);
+                };
+            } else if (callback instanceof Array) {
+                var files = callback;
+                callback = function callback(compiler) {
+                    for (var i = 0; i < files.length; i++) {
+                        compiler.file(files[i]);
+                    }
+                };
+            }
+
+            if (before) {
+                compiler = before(compiler);
+            }
+
+            this._compilers.push(compiler);
+
+            callback(compiler);
+
+            return this;
+        }
+
+        /**
+         * @returns {WebBuilder}
+         */
+
+    }, {
+        key: "withCommonJs",
+        value: function withCommonJs() {
+            return this.then.js(function (compiler) {
+                compiler.file(require.resolve('commonjs-require/commonjs-require'));
+            });
+        }
+
+        /**
+         * @returns {WebBuilder}
+         */
+
+    }, {
+        key: "withPolyfill",
+        value: function withPolyfill() {
+            return this.then.js(function (compiler) {
+                compiler.file(require.resolve('babel-polyfill/dist/polyfill'));
+            });
+        }
+
+        /**
+         * @param {string} name
+         * @returns {WebBuilder}
+         */
+
+    }, {
+        key: "withEnvironment",
+        value: function withEnvironment(name) {
+            this._environment = name;
+            return this;
+        }
+
+        /**
+         * @param {boolean} enabled
+         * @returns {WebBuilder}
+         */
+
+    }, {
+        key: "withSourceMaps",
+        value: function withSourceMaps() {
+            var enabled = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : true;
+
+            this._sourceMaps = !!enabled;
+            return this;
+        }
+
+        /**
+         * @param {boolean} enabled
+         * @param {object} options
+         * @returns {WebBuilder}
+         */
+
+    }, {
+        key: "withMinify",
+        value: function withMinify() {
+            var enabled = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : true;
+            var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+
+            this._minify = !!enabled;
+            this._minifyOptions = options;
+            return this;
+        }
+
+        /**
+         * @param {boolean} enabled
+         * @returns {WebBuilder}
+         */
+
+    }, {
+        key: "withGzip",
+        value: function withGzip() {
+            var enabled = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : true;
+
+            this._compress = !!enabled;
+            return this;
+        }
+
+        /**
+         * Add content hash into output file names and write
+         * names mapping into manifest file of output directory
+         *
+         * @param {boolean} enabled
+         * @param {string} manifest
+         * @returns {WebBuilder}
+         */
+
+    }, {
+        key: "withHash",
+        value: function withHash() {
+            var enabled = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : true;
+            var manifest = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : 'manifest.json';
+
+            this._hash = !!enabled;
+            this._manifest = manifest;
+            return this;
+        }
+
+        /**
+         * Store compiled files in the directory, so unchanged files
+         * are not compiled again by next builds
+         *
+         * @param {string|boolean} directory
+         * @returns {WebBuilder}
+         */
+
+    }, {
+        key: "withCache",
+        value: function withCache() {
+            var directory = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : '.lightweb-cache';
+
+            if (directory === true) {
+                directory = '.lightweb-cache';
+            }
+
+            this._cache = directory ? new CompilerCache(directory) : null;
+            return this;
+        }
+
+        /**
+         * Replaces identifiers and member expressions (`__VERSION__`, `process.env.NODE_ENV`)
+         * in compiled scripts. String values are inserted as code, other values as JSON.
+         *
+         * @param {{}} definitions
+         * @returns {WebBuilder}
+         */
+
+    }, {
+        key: "define",
+        value: function define(definitions) {
+            var _this62 = this;
+
+            Object.keys(definitions).forEach(function (name) {
+                if (!/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(name)) {
+                    throw new Error("Invalid define \"" + name + "\", expected identifier or member expression");
+                }
+
+                var value = definitions[name];
+
+                _this62._defines[name] = typeof value === 'string' ? value : JSON.stringify(value);
+            });
+
+            return this;
+        }
+
+        /**
+         * Defines `process.env.NAME` with values of environment variables.
+         * Object argument contains default values of variables.
+         *
+         * @param {Array|{}} names
+         * @returns {WebBuilder}
+         */
+
+    }, {
+        key: "env",
+        value: function env(names) {
+            var defaults = names instanceof Array ? {} : names;
+            var result = {};
+
+            Object.keys(defaults).concat(names instanceof Array ? names : []).forEach(function (name) {
+                var value = process.env[name] === undefined ? defaults[name] : process.env[name];
+
+                if (value === undefined) {
+                    throw new Error("Environment variable \"" + name + "\" is not defined");
+                }
+
+                result['process.env.' + name] = JSON.stringify(String(value));
+            });
+
+            return this.define(result);
+        }
+
+        /**
+         * Adds gulp plugin which is applied to concatenated file before minification.
+         * Factory is called on every build and must return a new plugin stream.
+         *
+         * @param {Function} pluginFactory
+         * @returns {WebBuilder}
+         */
+
+    }, {
+        key: "pipe",
+        value: function pipe(pluginFactory) {
+            if (typeof pluginFactory !== 'function') {
+                throw new Error('Plugin factory must be a function');
+            }
+
+            this._pipes.push(pluginFactory);
+            return this;
+        }
+
+        /**
+         * Concatenate files in order of compilation instead of declaration order
+         *
+         * @param {boolean} enabled
+         * @returns {WebBuilder}
+         */
+
+    }, {
+        key: "withRandomOrder",
+        value: function withRandomOrder() {
+            var enabled = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : true;
+
+            this._randomOrder = !!enabled;
+            return this;
+        }
+
+        /**
+         * @param {string} output
+         * @param {object} options
+         * @returns {*}
+         */
+
+    }, {
+        key: "watch",
+        value: function watch() {
+            var _this63 = this;
+
+            var output = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : './compiled';
+            var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+
+            var gutil = require('gulp-util');
+            var path = require('path');
+
+            var delay = options.delay || 100;
+            var changes = {};
+            var timer = null;
+            var building = false;
+            var watcher = null;
+            var paths = this._watchPaths();
+
+            var names = function names(kinds) {
+                return (typeof output === "undefined" ? "undefined" : _typeof(output)) === 'object' ? Object.keys(output).filter(function (kind) {
+                    return !kinds || kinds.indexOf(kind) >= 0;
+                }).map(function (kind) {
+                    return output[kind];
+                }).join(', ') : output;
+            };
+
+            var build = function build() {
+                var kinds = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : null;
+
+                building = true;
+
+                return new Promise(function (resolve) {
+                    return resolve(_this63._build(output, kinds).done());
+                }).then(function (stats) {
+                    var added = _this63._watchPaths().filter(function (path) {
+                        return paths.indexOf(path) < 0;
+                    });
+                    if (added.length > 0) {
+                        paths = paths.concat(added);
+                        watcher.add(added);
+                    }
+
+                    var time = Math.max.apply(Math, _toConsumableArray(BuildStats.list(stats).map(function (item) {
+                        return item.time;
+                    })));
+
+                    gutil.log('Finished', gutil.colors.cyan(names(kinds)), 'after', gutil.colors.magenta(time + ' ms'));
+
+                    if (options.onBuild) {
+                        options.onBuild(stats);
+                    }
+                }, function (error) {
+                    gutil.log(gutil.colors.red(error.message));
+                }).then(function () {
+                    return building = false;
+                });
+            };
+
+            var rebuild = function rebuild() {
+                if (building) {
+                    timer = setTimeout(rebuild, delay);
+                    return;
+                }
+
+                var files = changes;
+                changes = {};
+                timer = null;
+
+                var kinds = null;
+
+                if ((typeof output === "undefined" ? "undefined" : _typeof(output)) === 'object') {
+                    kinds = _this63._compilers.filter(function (compiler) {
+                        return Object.keys(files).some(function (file) {
+                            return compiler.watches(file);
+                        });
+                    }).map(function (compiler) {
+                        return compiler.kind;
+                    }).filter(function (kind, index, all) {
+                        return all.indexOf(kind) === index;
+                    });
+
+                    // Pages refer to hashed names of rebuilt bundles
+                    if (_this63._hash && kinds.indexOf(Compiler.KIND_PAGE) < 0) {
+                        kinds.push(Compiler.KIND_PAGE);
+                    }
+                }
+
+                gutil.log('Rebuilding', gutil.colors.cyan(names(kinds)), 'after changes in:');
+                Object.keys(files).forEach(function (file) {
+                    gutil.log('  ' + files[file] + ' ' + gutil.colors.magenta(path.relative(process.cwd(), file)));
+                });
+
+                build(kinds);
+            };
+
+            watcher = _gulp2.default.watch(paths, function (event) {
+                if (!_this63._compilers.some(function (compiler) {
+                    return compiler.watches(event.path);
+                })) {
+                    return;
+                }
+
+                changes[event.path] = event.type;
+
+                clearTimeout(timer);
+                timer = setTimeout(rebuild, delay);
+            });
+
+            build();
+
+            return watcher;
+        }
+
+        /**
+         * Errors of all compilers of the last build
+         *
+         * @returns {Array}
+         */
+
+    }, {
+        key: "_buildError",
+
+
+        /**
+         * Logs compiler errors and creates one error for all of them
+         *
+         * @param {string} output
+         * @param {Array} errors
+         * @returns {Error}
+         * @private
+         */
+        value: function _buildError(output, errors) {
+            var gutil = require('gulp-util');
+
+            errors.forEach(function (error) {
+                return gutil.log(gutil.colors.red(error.message));
+            });
+
+            var result = new Error("Building " + output + " failed with " + errors.length + " error(s)");
+            result.errors = errors;
 
+            return result;
+        }
 
         /**
-         * @param enabled
-         * @returns {CoffeeCompiler}
+         * @returns {Array}
+         * @private
          */
-        value: function bare() {
-            var enabled = arguments.length <= 0 || arguments[0] === undefined ? true : arguments[0];
 
-            this._bare = enabled;
-            return this;
+    }, {
+        key: "_watchPaths",
+        value: function _watchPaths() {
+            var paths = [];
+
+            for (var i = 0; i < this._compilers.length; i++) {
+                paths = paths.concat(this._compilers[i].paths);
+            }
+
+            return paths;
         }
 
         /**
-         * @returns {*}
+         * Serves output directory (or `options.root`) over http and reloads
+         * connected pages after every rebuild
+         *
+         * @param {string} output
+         * @param {object} options
+         * @returns {DevServer}
          */
 
     }, {
-        key: "path",
+        key: "serve",
+        value: function serve() {
+            var _this64 = this;
+
+            var output = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : './compiled';
+            var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+
+            var path = require('path');
+
+            var first = (typeof output === "undefined" ? "undefined" : _typeof(output)) === 'object' ? output[Object.keys(output)[0]] : output;
+            var pages = (typeof output === "undefined" ? "undefined" : _typeof(output)) === 'object' ? output[Compiler.KIND_PAGE] : this._compilers.every(function (compiler) {
+                return compiler.kind === Compiler.KIND_PAGE;
+            }) ? output : null;
+            var root = options.root || (pages ? pages.toString() : path.dirname(first.toString()));
+            var server = DevServer.get(options.port || 3000, root);
+
+            // Stylesheets are reloaded in place when no other output group is rebuilt
+            var styles = function styles(stats) {
+                return (typeof output === "undefined" ? "undefined" : _typeof(output)) === 'object' ? Object.keys(stats).every(function (kind) {
+                    return kind === Compiler.KIND_STYLE;
+                }) : _this64._compilers.every(function (compiler) {
+                    return compiler.kind === Compiler.KIND_STYLE;
+                });
+            };
 
+            return server.watch(this.watch(output, {
+                delay: options.delay,
+                onBuild: function onBuild(stats) {
+                    return server.reload(stats, styles(stats));
+                }
+            }));
+        }
 
         /**
-         * @param {string} path
-         * @param {string} extension
-         * @returns {Compiler}
+         * Returns gulp stream. Call `.done()` on it to get a promise
+         * which is resolved with {@see BuildStats} after all files are written.
+         * If any compiler fails nothing is written, errors are logged and
+         * the promise is rejected with error which contains `errors` list,
+         * the stream emits this error when it is listened (gulp tasks).
+         *
+         * Scripts and stylesheets can be built into separate files with
+         * `{js: 'app.js', css: 'app.css'}` output, the promise is resolved with
+         * `{js: BuildStats, css: BuildStats}` in this case. Html pages are
+         * written into `html` directory after other files are built.
+         *
+         * @param {string|{}} output
+         * @returns {*}
          */
-        value: function path(_path8) {
-            var extension = arguments.length <= 1 || arguments[1] === undefined ? '.coffee' : arguments[1];
 
-            return _get(Object.getPrototypeOf(CoffeeCompiler.prototype), "path", this).call(this, _path8, extension);
+    }, {
+        key: "build",
+        value: function build() {
+            var output = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : './compiled';
+
+            return this._build(output);
         }
 
         /**
-         * @param wrapStream
+         * Builds only groups of given kinds when output is an object
+         *
+         * @param {string|{}} output
+         * @param {Array|null} kinds
          * @returns {*}
+         * @private
          */
 
     }, {
-        key: "createStream",
-        value: function createStream() {
-            var _this15 = this;
-
-            var wrapStream = arguments.length <= 0 || arguments[0] === undefined ? null : arguments[0];
-
-            var build = function build(stream) {
-                var args = {};
+        key: "_build",
+        value: function _build(output) {
+            var _this65 = this;
 
-                if (_this15._bare) {
-                    args['bare'] = true;
-                }
+            var kinds = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : null;
 
-                return stream.pipe(_this15.compiler(args));
-            };
+            if (this._compilers.length === 0) {
+                throw new Error('Building error. Empty sources list');
+            }
 
-            return _get(Object.getPrototypeOf(CoffeeCompiler.prototype), "createStream", this).call(this, function (stream) {
-                stream = build(stream);
-                if (wrapStream) {
-                    stream = wrapStream(stream, _this15);
-                }
-                return stream;
+            var groups = this._groups(output).filter(function (group) {
+                return !kinds || kinds.indexOf(group.kind) >= 0;
             });
-        }
-    }, {
-        key: "compiler",
-        get: function get() {
-            try {
-                return require('gulp-coffee');
-            } catch (e) {
-                throw this.compilerError('CoffeeScript', 'gulp-coffee', '2.3.*');
+
+            if ((typeof output === "undefined" ? "undefined" : _typeof(output)) !== 'object') {
+                return reported(this._bundle(groups[0].compilers, groups[0].output));
             }
-        }
-    }]);
 
-    return CoffeeCompiler;
-}(JsCompiler);
+            var built = [];
+            var bundles = groups.map(function (group) {
+                if (group.kind === Compiler.KIND_PAGE) {
+                    return _this65._bundle(group.compilers, group.output, settled(built));
+                }
 
-/**
- * @class TypeScriptCompiler
- * @package lightweb-builder
- */
+                var bundle = _this65._bundle(group.compilers, group.output);
+                built.push(bundle.done());
 
+                return bundle;
+            });
+            var stream = (0, _merge3.default)(bundles);
 
-var TypeScriptCompiler = function (_JsCompiler3) {
-    _inherits(TypeScriptCompiler, _JsCompiler3);
+            var promise = settled(bundles.map(function (bundle) {
+                return bundle.done();
+            })).then(function (results) {
+                var failures = results.filter(function (result) {
+                    return result.error;
+                });
 
-    function TypeScriptCompiler() {
-        _classCallCheck(this, TypeScriptCompiler);
+                if (failures.length === 1) {
+                    throw failures[0].error;
+                }
 
-        return _possibleConstructorReturn(this, Object.getPrototypeOf(TypeScriptCompiler).apply(this, arguments));
-    }
+                if (failures.length > 1) {
+                    var errors = groups.reduce(function (errors, group) {
+                        return errors.concat.apply(errors, _toConsumableArray(group.compilers.map(function (compiler) {
+                            return compiler.errors;
+                        })));
+                    }, []);
+                    var error = new Error("Building failed with " + errors.length + " error(s)");
+                    error.errors = errors;
+                    throw error;
+                }
 
-    _createClass(TypeScriptCompiler, [{
-        key: "path",
+                var stats = {};
+                results.forEach(function (result, index) {
+                    return stats[groups[index].kind] = result.value;
+                });
 
+                return stats;
+            });
 
-        /**
-         * @param {string} path
-         * @param {string} extension
-         * @returns {Compiler}
-         */
-        value: function path(_path9) {
-            var extension = arguments.length <= 1 || arguments[1] === undefined ? '.ts' : arguments[1];
+            stream.done = function () {
+                return promise;
+            };
 
-            return _get(Object.getPrototypeOf(TypeScriptCompiler.prototype), "path", this).call(this, _path9, extension);
+            return reported(stream);
         }
 
         /**
-         * @param wrapStream
-         * @returns {*}
+         * Groups compilers by output kind
+         *
+         * @param {string|{}} output
+         * @returns {Array}
+         * @private
          */
 
     }, {
-        key: "createStream",
-        value: function createStream() {
-            var _this17 = this;
+        key: "_groups",
+        value: function _groups(output) {
+            var groups = {};
 
-            var wrapStream = arguments.length <= 0 || arguments[0] === undefined ? null : arguments[0];
+            this._compilers.forEach(function (compiler) {
+                (groups[compiler.kind] = groups[compiler.kind] || []).push(compiler);
+            });
 
-            var build = function build(stream) {
-                var args = {};
+            // Pages are built after bundles which they are referencing
+            var kinds = Object.keys(groups).sort(function (a, b) {
+                return (a === Compiler.KIND_PAGE) - (b === Compiler.KIND_PAGE);
+            });
 
-                return stream.pipe(_this17.compiler(args));
-            };
+            if ((typeof output === "undefined" ? "undefined" : _typeof(output)) === 'object') {
+                return kinds.map(function (kind) {
+                    if (!output[kind]) {
+                        throw new Error("Building error. Output file for " + kind + " compilers is not defined");
+                    }
 
-            return _get(Object.getPrototypeOf(TypeScriptCompiler.prototype), "createStream", this).call(this, function (stream) {
-                stream = build(stream);
-                if (wrapStream) {
-                    stream = wrapStream(stream, _this17);
-                }
-                return stream;
-            });
+                    return { kind: kind, output: output[kind], compilers: groups[kind] };
+                });
+            }
+
+            if (kinds.length > 1) {
+                throw new Error("Building error. Can not build " + kinds.join(' and ') + " compilers into one file " + output + ". " + 'Use separate outputs: build({' + kinds.map(function (kind) {
+                    return kind + ": '...'";
+                }).join(', ') + '})');
+            }
+
+            return [{ kind: kinds[0], output: output, compilers: this._compilers }];
         }
-    }, {
-        key: "compiler",
 
         /**
+         * @param {Array} compilers
+         * @param {string} output
+         * @param {Promise} after
          * @returns {*}
+         * @private
          */
-        get: function get() {
-            try {
-                return require('gulp-typescript');
-            } catch (e) {
-                throw this.compilerError('TypeScriptCompiler', 'gulp-typescript', '2.12.*');
-            }
-        }
-    }]);
-
-    return TypeScriptCompiler;
-}(JsCompiler);
-
-/**
- * @class WebBuilder
- * @package lightweb-builder
- */
 
+    }, {
+        key: "_bundle",
+        value: function _bundle(compilers, output) {
+            var _this66 = this;
 
-var WebBuilder = function () {
-    function WebBuilder() {
-        _classCallCheck(this, WebBuilder);
+            var after = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : Promise.resolve();
 
-        this._compilers = [];
-        this._sourceMaps = false;
-        this._minify = false;
-        this._minifyOptions = {};
-        this._compress = false;
-        this._syncBuildingNext = false;
-    }
-    /**
-     * @type {Array}
-     * @private
-     */
+            if (compilers[0].kind === Compiler.KIND_PAGE) {
+                return this._pages(compilers, output, after);
+            }
 
+            var stats = new BuildStats();
+            var streams = [];
+            var asyncStreams = [];
+            var sources = [];
+
+            var target = this._target(output);
+            var fileName = target.fileName;
+            var dist = target.dist;
+
+            for (var i = 0; i < compilers.length; i++) {
+                var compiler = compilers[i];
+                var compilerStream;
+
+                try {
+                    compilerStream = compiler.createStream();
+                } catch (error) {
+                    compiler.report(error);
+                    compilerStream = _through2.default.obj();
+                    compilerStream.end();
+                }
 
-    /**
-     * @type {boolean}
-     * @private
-     */
+                sources.push(compilerStream);
+                compilerStream = compiler.relocate(compilerStream, dist).pipe(stats.track(compiler)).pipe(sorted(compiler.compare.bind(compiler)));
 
+                if (compiler.synced || !this._randomOrder) {
+                    streams.push(compilerStream);
+                } else {
+                    asyncStreams.push(compilerStream);
+                }
+            }
 
-    /**
-     * @type {boolean}
-     * @private
-     */
+            var stream = (this._randomOrder ? _merge3.default.apply(undefined, streams.concat([asyncStreams])) : ordered(streams)).pipe(guarded(function () {
+                return compilers.every(function (compiler) {
+                    return compiler.errors.length === 0;
+                });
+            }));
 
+            var kind = compilers[0].kind;
+            var shared = this._shared;
 
-    /**
-     * @type {{}}
-     * @private
-     */
+            if (shared !== null && shared.files[kind]) {
+                stream = stream.pipe(filter(function (file) {
+                    if (shared.files[kind].indexOf(file.history[0]) < 0) {
+                        return true;
+                    }
 
+                    shared.collect(kind, file);
+                    return false;
+                }));
+            }
 
-    /**
-     * @type {boolean}
-     * @private
-     */
+            if (kind === Compiler.KIND_STYLE) {
+                stream = stream.pipe(hoisted());
+            }
 
+            var pipeErrors = [];
+            var chunks = kind !== Compiler.KIND_SCRIPT ? [] : compilers.reduce(function (names, compiler) {
+                return names.concat((compiler.chunks || []).filter(function (name) {
+                    return names.indexOf(name) < 0;
+                }));
+            }, []);
+
+            var chunkFiles = chunks.map(function (name) {
+                var modules = [];
+                var result = _this66._write(stream.pipe(filter(function (file) {
+                    return file.chunk === name;
+                })).pipe(tap(function (file) {
+                    return modules.push(file.moduleName);
+                })), fileName.replace(/(\.[^.]*)?$/, "." + name + "$1"), dist, compilers[0], stats, pipeErrors);
+
+                result.modules = modules;
+                return result;
+            });
 
-    /**
-     * @type {boolean}
-     * @private
-     */
+            if (chunkFiles.length > 0) {
+                var chunksWritten = Promise.all(chunkFiles.map(function (result) {
+                    return result.done;
+                }));
 
+                stream = stream.pipe(filter(function (file) {
+                    return !file.chunk;
+                })).pipe(inserted(chunksWritten, function (file) {
+                    return !!file.moduleName;
+                }, function (files) {
+                    return _this66._loader(files, chunkFiles);
+                }));
+            }
 
-    _createClass(WebBuilder, [{
-        key: "babel",
+            var written = [this._write(stream, fileName, dist, compilers[0], stats, pipeErrors)].concat(chunkFiles);
 
+            var promise = new Promise(function (resolve, reject) {
+                sources.forEach(function (source) {
+                    return source.on('error', reject);
+                });
 
-        /**
-         * @param {Function} callback
-         * @returns {WebBuilder}
-         */
-        value: function babel() {
-            var callback = arguments.length <= 0 || arguments[0] === undefined ? function () {} : arguments[0];
+                Promise.all(written.map(function (result) {
+                    return result.done;
+                })).then(function () {
+                    var errors = compilers.reduce(function (errors, compiler) {
+                        return errors.concat(compiler.errors);
+                    }, []).concat(pipeErrors);
 
-            return this._make(BabelCompiler, callback);
-        }
+                    if (errors.length > 0) {
+                        return reject(_this66._buildError(output, errors));
+                    }
 
-        /**
-         * @param {Function} callback
-         * @returns {WebBuilder}
-         */
+                    if (_this66._hash) {
+                        var entries = {};
+                        written.forEach(function (result) {
+                            return entries[result.fileName] = result.outputName();
+                        });
 
-    }, {
-        key: "es6",
-        value: function es6() {
-            var callback = arguments.length <= 0 || arguments[0] === undefined ? function () {} : arguments[0];
+                        updateManifest(dist + _this66._manifest, entries);
+                    }
 
-            return this._make(BabelCompiler, callback, function (compiler) {
-                return compiler.preset('es2015');
+                    resolve(stats.finish());
+                }).catch(reject);
             });
-        }
 
-        /**
-         * @param {Function} callback
-         * @returns {WebBuilder}
-         */
+            promise.catch(function () {});
 
-    }, {
-        key: "es7",
-        value: function es7() {
-            var callback = arguments.length <= 0 || arguments[0] === undefined ? function () {} : arguments[0];
+            stream = written.length > 1 ? (0, _merge3.default)(written.map(function (result) {
+                return result.stream;
+            })) : written[0].stream;
 
-            return this._make(BabelCompiler, callback, function (compiler) {
-                return compiler.preset('es2015', 'stage-0');
-            });
+            stream.done = function () {
+                return promise;
+            };
+
+            return stream;
         }
 
         /**
-         * @param {Function} callback
-         * @returns {WebBuilder}
+         * Writes already compiled files into the output with options of the builder
+         *
+         * @param {Array} files
+         * @param {string} output
+         * @param {string} kind
+         * @returns {*}
          */
 
     }, {
-        key: "coffee",
-        value: function coffee() {
-            var callback = arguments.length <= 0 || arguments[0] === undefined ? function () {} : arguments[0];
+        key: "buildFiles",
+        value: function buildFiles(files, output) {
+            var _this67 = this;
 
-            return this._make(CoffeeCompiler, callback);
-        }
+            var kind = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : Compiler.KIND_SCRIPT;
 
-        /**
-         * @param {Function} callback
-         * @returns {WebBuilder}
-         */
+            var compiler = this._compilers.filter(function (compiler) {
+                return compiler.kind === kind;
+            })[0];
 
-    }, {
-        key: "js",
-        value: function js() {
-            var callback = arguments.length <= 0 || arguments[0] === undefined ? function () {} : arguments[0];
+            if (!compiler) {
+                throw new Error("Building error. Builder has no " + kind + " compilers for " + output);
+            }
 
-            return this._make(JsCompiler, callback);
-        }
+            var target = this._target(output);
+            var fileName = target.fileName;
+            var dist = target.dist;
 
-        /**
-         * @param {Function} callback
-         * @returns {WebBuilder}
-         */
+            var stats = new BuildStats();
+            var pipeErrors = [];
+            var stream = _through2.default.obj();
 
-    }, {
-        key: "ts",
-        value: function ts() {
-            var callback = arguments.length <= 0 || arguments[0] === undefined ? function () {} : arguments[0];
+            files.forEach(function (file) {
+                return stream.write(file);
+            });
+            stream.end();
 
-            return this._make(TypeScriptCompiler, callback);
-        }
+            if (kind === Compiler.KIND_STYLE) {
+                stream = stream.pipe(hoisted());
+            }
 
-        /**
-         * @param {Function} callback
-         * @returns {WebBuilder}
-         */
+            var result = this._write(stream, fileName, dist, compiler, stats, pipeErrors);
+            var promise = result.done.then(function () {
+                if (pipeErrors.length > 0) {
+                    throw _this67._buildError(output, pipeErrors);
+                }
 
-    }, {
-        key: "sass",
-        value: function sass() {
-            var callback = arguments.length <= 0 || arguments[0] === undefined ? function () {} : arguments[0];
+                if (_this67._hash) {
+                    updateManifest(dist + _this67._manifest, _defineProperty({}, fileName, result.outputName()));
+                }
+
+                return stats.finish();
+            });
+
+            promise.catch(function () {});
 
-            return this._make(SassCompiler, callback);
+            result.stream.done = function () {
+                return promise;
+            };
+
+            return result.stream;
         }
 
         /**
-         * @param {Function} callback
-         * @returns {WebBuilder}
+         * @param {string} output
+         * @returns {{fileName: string, dist: string}}
+         * @private
          */
 
     }, {
-        key: "scss",
-        value: function scss() {
-            var callback = arguments.length <= 0 || arguments[0] === undefined ? function () {} : arguments[0];
+        key: "_target",
+        value: function _target(output) {
+            var parts = output.toString().split('/');
+            var fileName = parts.pop();
+            var dist = (parts.length > 0 ? parts.join('/') : '.') + '/';
 
-            return this._make(ScssCompiler, callback);
+            if (!fileName.trim()) {
+                throw new Error('Invalid output path ' + output);
+            }
+
+            return { fileName: fileName, dist: dist };
         }
 
         /**
-         * @param {Function} callback
-         * @returns {WebBuilder}
+         * Concatenates files into the output file, applies builder plugins,
+         * minification and hash, writes the file with source map and gzip archive.
+         *
+         * @param stream
+         * @param {string} fileName
+         * @param {string} dist
+         * @param {Compiler} compiler
+         * @param {BuildStats} stats
+         * @param {Array} pipeErrors
+         * @returns {{stream: *, done: Promise, fileName: string, outputName: Function}}
+         * @private
          */
 
     }, {
-        key: "less",
-        value: function less() {
-            var callback = arguments.length <= 0 || arguments[0] === undefined ? function () {} : arguments[0];
+        key: "_write",
+        value: function _write(stream, fileName, dist, compiler, stats, pipeErrors) {
+            var sourcemaps = require('gulp-sourcemaps');
+            var concat = require('gulp-concat');
+            var gzip = require('gulp-gzip');
 
-            return this._make(LessCompiler, callback);
-        }
+            stream = stream.pipe(concat(fileName));
 
-        /**
-         * @param {Function} callback
-         * @returns {WebBuilder}
-         */
+            this._pipes.forEach(function (factory) {
+                stream = fed(stream, factory(), function (error) {
+                    return pipeErrors.push(error);
+                });
+            });
 
-    }, {
-        key: "stylus",
-        value: function stylus() {
-            var callback = arguments.length <= 0 || arguments[0] === undefined ? function () {} : arguments[0];
+            stream = stream.pipe(stats.measure('original'));
 
-            return this._make(StylusCompiler, callback);
+            if (this._minify) {
+                stream = compiler.minify(stream, this._minifyOptions).pipe(stats.measure('minified'));
+            }
+
+            var _outputName = fileName;
+
+            if (this._hash) {
+                stream = stream.pipe(hashed()).pipe(tap(function (file) {
+                    return _outputName = file.relative;
+                }));
+            }
+
+            if (this._sourceMaps) {
+                stream = stream.pipe(sourcemaps.write('.'));
+            }
+
+            var destinations = [];
+
+            if (this._compress) {
+                destinations.push(stream.pipe(filter(function (file) {
+                    return file.relative === _outputName;
+                })).pipe(cloned()).pipe(gzip()).pipe(stats.measure('gzip')).pipe(stats.output(dist)).pipe(_gulp2.default.dest(dist)));
+            }
+
+            stream = stream.pipe(stats.output(dist)).pipe(_gulp2.default.dest(dist));
+
+            destinations.push(stream);
+
+            return {
+                stream: stream,
+                done: Promise.all(destinations.map(finished)),
+                fileName: fileName,
+                outputName: function outputName() {
+                    return _outputName;
+                }
+            };
         }
 
         /**
-         * @param {Function} callback
-         * @returns {WebBuilder}
+         * Creates file with chunks loader for the main bundle
+         *
+         * @param {Array} files Files of the main bundle
+         * @param {Array} chunks Written chunks
+         * @returns {*}
+         * @private
          */
 
     }, {
-        key: "css",
-        value: function css() {
-            var callback = arguments.length <= 0 || arguments[0] === undefined ? function () {} : arguments[0];
+        key: "_loader",
+        value: function _loader(files, chunks) {
+            var gutil = require('gulp-util');
+            var path = require('path');
+
+            var urls = {};
+            chunks.filter(function (chunk) {
+                return chunk.modules.length > 0;
+            }).forEach(function (chunk) {
+                return urls[chunk.outputName()] = chunk.modules;
+            });
 
-            return this._make(CssCompiler, callback);
+            if (files.length === 0) {
+                return null;
+            }
+
+            var loader = new gutil.File({
+                cwd: files[0].cwd,
+                base: files[0].base,
+                path: path.join(files[0].base, 'chunks.js'),
+                contents: Buffer.from(JsCompiler.loader(urls))
+            });
+
+            if (files.some(function (file) {
+                return file.sourceMap;
+            })) {
+                loader.sourceMap = { version: 3, file: loader.relative, names: [], mappings: '', sources: [], sourcesContent: [] };
+            }
+
+            return loader;
         }
 
         /**
-         * @param {Function} compilerClass
-         * @param {Function|string|Array} callback
-         * @param {Function|null} before
-         * @returns {WebBuilder}
+         * Writes html pages into output directory, pages are not concatenated.
+         * Pages are processed after the promise is settled.
+         *
+         * @param {Array} compilers
+         * @param {string} output Directory
+         * @param {Promise} after
+         * @returns {*}
          * @private
          */
 
     }, {
-        key: "_make",
-        value: function _make(compilerClass) {
-            var callback = arguments.length <= 1 || arguments[1] === undefined ? function () {} : arguments[1];
-            var before = arguments.length <= 2 || arguments[2] === undefined ? null : arguments[2];
+        key: "_pages",
+        value: function _pages(compilers, output) {
+            var _this68 = this;
 
-            var compiler = new compilerClass(this);
+            var after = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : Promise.resolve();
 
-            if (this._syncBuildingNext) {
-                compiler.syncBuilding(true);
-                this._syncBuildingNext = false;
-            }
+            var gzip = require('gulp-gzip');
 
-            if (typeof callback === 'string') {
-                (function () {
-                    var file = callback;
-                    callback = function callback(compiler) {
-                        return compiler.file(file);
-                    };
-                })();
-            } else if (callback instanceof Array) {
-                (function () {
-                    var files = callback;
-                    callback = function callback(compiler) {
-                        for (var i = 0; i < files.length; i++) {
-                            compiler.file(files[i]);
-                        }
-                    };
-                })();
+            var stats = new BuildStats();
+            var sources = [];
+            var dist = output.toString().replace(/[\/\\]*$/, '/');
+
+            var streams = compilers.map(function (compiler) {
+                var compilerStream;
+
+                try {
+                    compilerStream = compiler.createStream();
+                } catch (error) {
+                    compiler.report(error);
+                    compilerStream = _through2.default.obj();
+                    compilerStream.end();
+                }
+
+                sources.push(compilerStream);
+
+                return compiler.relocate(compilerStream.pipe(delayed(after)), dist).pipe(stats.track(compiler));
+            });
+
+            var stream = (0, _merge3.default)(streams).pipe(guarded(function () {
+                return compilers.every(function (compiler) {
+                    return compiler.errors.length === 0;
+                });
+            })).pipe(stats.measure('original'));
+
+            if (this._minify) {
+                stream = compilers[0].minify(stream, this._minifyOptions).pipe(stats.measure('minified'));
             }
 
-            if (before) {
-                compiler = before(compiler);
+            var destinations = [];
+
+            if (this._compress) {
+                destinations.push(stream.pipe(cloned()).pipe(gzip()).pipe(stats.measure('gzip')).pipe(stats.output(dist)).pipe(_gulp2.default.dest(dist)));
             }
 
-            this._compilers.push(compiler);
+            stream = stream.pipe(stats.output(dist)).pipe(_gulp2.default.dest(dist));
 
-            callback(compiler);
+            destinations.push(stream);
 
-            return this;
+            var promise = new Promise(function (resolve, reject) {
+                sources.forEach(function (source) {
+                    return source.on('error', reject);
+                });
+
+                Promise.all(destinations.map(finished)).then(function () {
+                    var errors = compilers.reduce(function (errors, compiler) {
+                        return errors.concat(compiler.errors);
+                    }, []);
+
+                    if (errors.length > 0) {
+                        return reject(_this68._buildError(output, errors));
+                    }
+
+                    resolve(stats.finish());
+                }).catch(reject);
+            });
+
+            promise.catch(function () {});
+
+            stream.done = function () {
+                return promise;
+            };
+
+            return stream;
+        }
+    }, {
+        key: "environment",
+        get: function get() {
+            return this._environment;
         }
 
         /**
-         * @returns {WebBuilder}
+         * @returns {boolean}
          */
 
     }, {
-        key: "withCommonJs",
-        value: function withCommonJs() {
-            return this.then.js(function (compiler) {
-                compiler.file(require.resolve('commonjs-require/commonjs-require'));
-            });
+        key: "sourceMaps",
+        get: function get() {
+            return this._sourceMaps;
         }
 
         /**
-         * @returns {WebBuilder}
+         * @returns {CompilerCache|null}
          */
 
     }, {
-        key: "withPolyfill",
-        value: function withPolyfill() {
-            return this.then.js(function (compiler) {
-                compiler.file(require.resolve('babel-polyfill/dist/polyfill'));
-            });
+        key: "cache",
+        get: function get() {
+            return this._cache;
         }
 
         /**
-         * @param {boolean} enabled
-         * @returns {WebBuilder}
+         * @returns {{}}
          */
 
     }, {
-        key: "withSourceMaps",
-        value: function withSourceMaps() {
-            var enabled = arguments.length <= 0 || arguments[0] === undefined ? true : arguments[0];
-
-            this._sourceMaps = !!enabled;
-            return this;
+        key: "defines",
+        get: function get() {
+            return this._defines;
         }
 
         /**
-         * @param {boolean} enabled
-         * @param {object} options
          * @returns {WebBuilder}
          */
 
     }, {
-        key: "withMinify",
-        value: function withMinify() {
-            var enabled = arguments.length <= 0 || arguments[0] === undefined ? true : arguments[0];
-            var options = arguments.length <= 1 || arguments[1] === undefined ? {} : arguments[1];
+        key: "then",
+        get: function get() {
+            this._syncBuildingNext = true;
+
+            if (this._compilers.length > 0) {
+                var lastCompiler = this._compilers[this._compilers.length - 1];
+                lastCompiler.syncBuilding(true);
+            }
 
-            this._minify = !!enabled;
-            this._minifyOptions = options;
             return this;
         }
+    }, {
+        key: "errors",
+        get: function get() {
+            return this._compilers.reduce(function (errors, compiler) {
+                return errors.concat(compiler.errors);
+            }, []);
+        }
+    }], [{
+        key: "group",
+
 
         /**
-         * @param {boolean} enabled
-         * @returns {WebBuilder}
+         * Creates group of builders, see `BuilderGroup.extractCommon()`
+         *
+         * @param {Array} builders
+         * @returns {BuilderGroup}
          */
-
-    }, {
-        key: "withGzip",
-        value: function withGzip() {
-            var enabled = arguments.length <= 0 || arguments[0] === undefined ? true : arguments[0];
-
-            this._compress = !!enabled;
-            return this;
+        value: function group(builders) {
+            return new BuilderGroup(builders);
         }
 
         /**
-         * @param output
-         * @returns {*}
+         * Loads bundle definitions from config file. Config exports bundles array,
+         * `{bundles: [...]}` object or function which receives environment name
+         * and returns one of them. Bundle `env` sections are merged into bundle
+         * for the given environment.
+         *
+         * @param {string|null} file
+         * @param {string} environment
+         * @returns {Array}
          */
 
     }, {
-        key: "build",
-        value: function build() {
-            var output = arguments.length <= 0 || arguments[0] === undefined ? './compiled' : arguments[0];
+        key: "config",
+        value: function config() {
+            var file = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : null;
+            var environment = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : 'development';
 
-            if (this._compilers.length === 0) {
-                throw new Error('Building error. Empty sources list');
+            var fs = require('fs');
+            var path = require('path');
+
+            if (file === null) {
+                file = WebBuilder.CONFIG_FILES.filter(function (name) {
+                    return fs.existsSync(path.resolve(name));
+                })[0];
+
+                if (!file) {
+                    throw new Error('Config file not found. Expected one of: ' + WebBuilder.CONFIG_FILES.join(', '));
+                }
             }
 
-            var sourcemaps = require('gulp-sourcemaps');
-            var concat = require('gulp-concat');
-            var gzip = require('gulp-gzip');
+            var config = require(path.resolve(file));
 
-            var streams = [];
-            var asyncStreams = [];
+            if (typeof config === 'function') {
+                config = config(environment);
+            }
 
-            for (var i = 0; i < this._compilers.length; i++) {
-                var compiler = this._compilers[i];
-                var compilerStream = compiler.createStream();
+            var bundles = config instanceof Array ? config : config.bundles || [];
 
-                if (compiler.synced) {
-                    streams.push(compilerStream);
-                } else {
-                    asyncStreams.push(compilerStream);
+            return bundles.map(function (bundle) {
+                var result = {};
+                var env = (bundle.env || {})[environment] || {};
+
+                Object.keys(bundle).forEach(function (key) {
+                    return result[key] = bundle[key];
+                });
+                Object.keys(env).forEach(function (key) {
+                    return result[key] = env[key];
+                });
+                delete result.env;
+
+                if (!result.output) {
+                    throw new Error('Bundle output is not defined in ' + file);
                 }
-            }
 
-            var stream = _merge2.default.apply(undefined, streams.concat([asyncStreams]));
+                return result;
+            });
+        }
 
-            if (this._sourceMaps) {
-                stream = stream.pipe(sourcemaps.init());
-            }
+        /**
+         * Adds builder method for the compiler class: after `WebBuilder.register('pug', PugCompiler)`
+         * compiler can be declared by `.pug(...)` call or by `{type: 'pug'}` in config files.
+         * Built-in compilers can be replaced the same way.
+         *
+         * @param {string} name
+         * @param {Function} compilerClass
+         * @returns {WebBuilder}
+         */
 
-            var parts = output.toString().split('/');
-            var fileName = parts.pop();
-            var dist = (parts.length > 0 ? parts.join('/') : '.') + '/';
-            if (!fileName.trim()) {
-                throw new Error('Invalid output path ' + output);
+    }, {
+        key: "register",
+        value: function register(name, compilerClass) {
+            if (typeof name !== 'string' || !/^[a-z_$][\w$]*$/i.test(name)) {
+                throw new Error('Invalid compiler name "' + name + '"');
             }
 
-            stream = stream.pipe(concat(fileName));
-
-            if (this._minify) {
-                stream = this._compilers[0].minify(stream, this._minifyOptions);
+            if (typeof compilerClass !== 'function' || !(compilerClass.prototype instanceof Compiler)) {
+                throw new Error('Compiler "' + name + '" must extend Compiler class');
             }
 
-            if (this._sourceMaps) {
-                stream = stream.pipe(sourcemaps.write('.'));
+            if (name in WebBuilder.prototype && WebBuilder.CONFIG_COMPILERS.indexOf(name) < 0) {
+                throw new Error('Can not register compiler "' + name + '", builder method with this name already exists');
             }
 
-            if (this._compress) {
-                stream.pipe(concat(fileName)).pipe(gzip()).pipe(_gulp2.default.dest(dist));
+            WebBuilder.prototype[name] = function () {
+                var callback = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : function () {};
+
+                return this._make(compilerClass, callback);
+            };
+
+            if (WebBuilder.CONFIG_COMPILERS.indexOf(name) < 0) {
+                WebBuilder.CONFIG_COMPILERS.push(name);
             }
 
-            return stream.pipe(_gulp2.default.dest(dist));
+            return WebBuilder;
         }
+
+        /**
+         * @param {{}} bundle
+         * @param {string} environment
+         * @returns {WebBuilder}
+         */
+
     }, {
-        key: "then",
+        key: "fromConfig",
+        value: function fromConfig(bundle) {
+            var environment = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : 'development';
+
+            var builder = new WebBuilder().withEnvironment(environment);
+
+            Object.keys(WebBuilder.CONFIG_OPTIONS).forEach(function (option) {
+                var method = WebBuilder.CONFIG_OPTIONS[option];
+                var value = bundle[option];
 
+                if (value === undefined || value === null) {
+                    return;
+                }
+
+                if (option === 'commonJs' || option === 'polyfill') {
+                    if (value) {
+                        builder[method]();
+                    }
+                } else if (option === 'cache' || option === 'define') {
+                    builder[method](value);
+                } else if (typeof value === 'boolean') {
+                    builder[method](value);
+                } else {
+                    builder[method](true, value);
+                }
+            });
+
+            (bundle.compilers || []).forEach(function (definition) {
+                if (WebBuilder.CONFIG_COMPILERS.indexOf(definition.type) < 0) {
+                    throw new Error('Unknown compiler type "' + definition.type + '"');
+                }
+
+                if (definition.then) {
+                    builder = builder.then;
+                }
+
+                builder[definition.type](function (compiler) {
+                    return WebBuilder._configure(compiler, definition.type, definition);
+                });
+            });
+
+            return builder;
+        }
 
         /**
-         * @returns {WebBuilder}
+         * Calls methods of the compiler with options of compiler definition
+         *
+         * @param {Compiler} compiler
+         * @param {string} type
+         * @param {{}} definition
+         * @private
          */
-        get: function get() {
-            this._syncBuildingNext = true;
 
-            if (this._compilers.length > 0) {
-                var lastCompiler = this._compilers[this._compilers.length - 1];
-                lastCompiler.syncBuilding(true);
-            }
+    }, {
+        key: "_configure",
+        value: function _configure(compiler, type, definition) {
+            Object.keys(definition).forEach(function (option) {
+                if (option === 'type' || option === 'then') {
+                    return;
+                }
 
-            return this;
+                var value = definition[option];
+                var method = WebBuilder.CONFIG_LISTS[option] || option;
+
+                if (typeof compiler[method] !== 'function') {
+                    throw new Error('Unknown option "' + option + '" of "' + type + '" compiler');
+                }
+
+                if (WebBuilder.CONFIG_LISTS[option]) {
+                    (value instanceof Array ? value : [value]).forEach(function (item) {
+                        compiler[method].apply(compiler, _toConsumableArray(item instanceof Array ? item : [item]));
+                    });
+                } else {
+                    compiler[method].apply(compiler, _toConsumableArray(value instanceof Array ? value : [value]));
+                }
+            });
         }
     }]);
 
     return WebBuilder;
 }();
 
-exports.default = WebBuilder;
\ No newline at end of file
+WebBuilder.CONFIG_FILES = ['lightweb.config.js', 'lightweb.config.json'];
+WebBuilder.CONFIG_COMPILERS = ['babel', 'es6', 'es7', 'coffee', 'js', 'ts', 'templates', 'sass', 'scss', 'less', 'stylus', 'css', 'html'];
+WebBuilder.CONFIG_OPTIONS = {
+    commonJs: 'withCommonJs',
+    polyfill: 'withPolyfill',
+    sourceMaps: 'withSourceMaps',
+    minify: 'withMinify',
+    gzip: 'withGzip',
+    hash: 'withHash',
+    randomOrder: 'withRandomOrder',
+    cache: 'withCache',
+    define: 'define'
+};
+WebBuilder.CONFIG_LISTS = {
+    files: 'file',
+    paths: 'path',
+    entry: 'entry',
+    presets: 'preset',
+    plugins: 'plugin'
+};
+exports.default = WebBuilder;
+exports.Compiler = Compiler;
+exports.JsCompiler = JsCompiler;
+exports.CssCompiler = CssCompiler;
+exports.HtmlCompiler = HtmlCompiler;
+
+//# sourceMappingURL=index.js.map
\ No newline at end of file
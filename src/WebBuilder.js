@@ -3,962 +3,5728 @@
 import gulp from "gulp";
 import merge from "merge2";
 import debug from "gulp-debug";
+import through from "through2";
 
 
+/**
+ * @param {Function} callback
+ * @param {Function|null} flush
+ * @returns {*}
+ */
+function tap(callback, flush = null) {
+    return through.obj((file, encoding, next) => {
+        callback(file);
+        next(null, file);
+    }, next => {
+        if (flush) {
+            flush();
+        }
+        next();
+    });
+}
+
+/**
+ * @param {Function} predicate
+ * @returns {*}
+ */
+function filter(predicate) {
+    return through.obj((file, encoding, next) => {
+        next(null, predicate(file) ? file : undefined);
+    });
+}
+
+/**
+ * Emits copies of files, so next plugins can modify them
+ * without affecting other streams which are reading the same files.
+ *
+ * @returns {*}
+ */
+function cloned() {
+    return through.obj((file, encoding, next) => {
+        next(null, file.clone());
+    });
+}
+
+/**
+ * Buffers all files and emits them sorted. Files which are equal
+ * for the comparator keep their original order.
+ *
+ * @param {Function} compare
+ * @returns {*}
+ */
+function sorted(compare) {
+    var files = [];
+
+    return through.obj((file, encoding, next) => {
+        files.push(file);
+        next();
+    }, function (next) {
+        files
+            .map((file, index) => ({file, index}))
+            .sort((a, b) => compare(a.file, b.file) || a.index - b.index)
+            .forEach(item => this.push(item.file));
+
+        next();
+    });
+}
+
+/**
+ * Buffers all files and emits them only if check passes after
+ * the last file, so broken bundles are never written.
+ *
+ * @param {Function} check
+ * @returns {*}
+ */
+function guarded(check) {
+    var files = [];
+
+    return through.obj((file, encoding, next) => {
+        files.push(file);
+        next();
+    }, function (next) {
+        if (check()) {
+            files.forEach(file => this.push(file));
+        }
+
+        next();
+    });
+}
+
+/**
+ * Reads all streams in parallel and emits their files
+ * in order of streams declaration.
+ *
+ * @param {Array} streams
+ * @returns {*}
+ */
+function ordered(streams) {
+    var output  = through.obj();
+    var buffers = streams.map(() => []);
+    var pending = streams.length;
+
+    streams.forEach((stream, index) => {
+        stream.on('data', file => buffers[index].push(file));
+        stream.on('end', () => {
+            if (--pending === 0) {
+                buffers.forEach(files => files.forEach(file => output.write(file)));
+                output.end();
+            }
+        });
+    });
+
+    return output;
+}
+
+/**
+ * Moves remote `@import` rules of stylesheets into the beginning of the bundle,
+ * browsers ignore imports which are placed after other rules.
+ *
+ * @returns {*}
+ */
+function hoisted() {
+    var gutil   = require('gulp-util');
+    var path    = require('path');
+    var pattern = /@import\s+(?:url\(\s*(['"]?)(?:[a-z]+:)?\/\/[^'")]*\1\s*\)|(['"])(?:[a-z]+:)?\/\/[^'"]*\2)[^;]*;/gi;
+    var imports = [];
+    var files   = [];
+
+    return through.obj((file, encoding, next) => {
+        file.contents = Buffer.from(file.contents.toString().replace(pattern, match => {
+            if (imports.indexOf(match) < 0) {
+                imports.push(match);
+            }
+            return '';
+        }));
+
+        files.push(file);
+        next();
+    }, function (next) {
+        if (imports.length > 0 && files.length > 0) {
+            var header = new gutil.File({
+                cwd:      files[0].cwd,
+                base:     files[0].base,
+                path:     path.join(files[0].base, 'imports.css'),
+                contents: Buffer.from(imports.join("\n"))
+            });
+
+            if (files.some(file => file.sourceMap)) {
+                header.sourceMap = {version: 3, file: header.relative, names: [], mappings: '', sources: [], sourcesContent: []};
+            }
+
+            this.push(header);
+        }
+
+        files.forEach(file => this.push(file));
+        next();
+    });
+}
+
+/**
+ * Buffers all files and emits them after the promise is settled
+ *
+ * @param {Promise} promise
+ * @returns {*}
+ */
+function delayed(promise) {
+    var files = [];
+
+    return through.obj((file, encoding, next) => {
+        files.push(file);
+        next();
+    }, function (next) {
+        var flush = () => {
+            files.forEach(file => this.push(file));
+            next();
+        };
+
+        promise.then(flush, flush);
+    });
+}
+
+/**
+ * Buffers all files and emits them after the promise is settled, file
+ * of the factory is inserted before the first file which passes the predicate.
+ *
+ * @param {Promise} promise
+ * @param {Function} predicate
+ * @param {Function} factory Receives all files and returns a new file or null
+ * @returns {*}
+ */
+function inserted(promise, predicate, factory) {
+    var files = [];
+
+    return through.obj((file, encoding, next) => {
+        files.push(file);
+        next();
+    }, function (next) {
+        var flush = () => {
+            var file  = factory(files);
+            var index = files.findIndex(predicate);
+
+            if (file) {
+                files.splice(index < 0 ? files.length : index, 0, file);
+            }
+
+            files.forEach(file => this.push(file));
+            next();
+        };
+
+        promise.then(flush, flush);
+    });
+}
+
+/**
+ * Adds short content hash into the file name: "app.js" -> "app.5d41402abc.js"
+ *
+ * @returns {*}
+ */
+function hashed() {
+    var crypto = require('crypto');
+    var path   = require('path');
+
+    return tap(file => {
+        var hash      = crypto.createHash('md5').update(file.contents).digest('hex').substr(0, 10);
+        var extension = path.extname(file.path);
+
+        file.path = file.path.substr(0, file.path.length - extension.length) + '.' + hash + extension;
+    });
+}
+
+/**
+ * Merges entries into json manifest file. Manifest is shared
+ * between all builders which are writing into the same directory.
+ *
+ * @param {string} file
+ * @param {{}} entries
+ */
+function updateManifest(file, entries) {
+    var fs       = require('fs');
+    var manifest = {};
+
+    if (fs.existsSync(file)) {
+        manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    Object.keys(entries).forEach(key => manifest[key] = entries[key]);
+
+    var result = {};
+    Object.keys(manifest).sort().forEach(key => result[key] = manifest[key]);
+
+    fs.writeFileSync(file, JSON.stringify(result, null, 4) + "\n");
+}
+
+/**
+ * Waits for all promises, even if some of them are rejected
+ *
+ * @param {Array} promises
+ * @returns {Promise}
+ */
+function settled(promises) {
+    return Promise.all(promises.map(promise => promise.then(
+        value => ({value: value, error: null}),
+        error => ({value: null, error: error})
+    )));
+}
+
+/**
+ * @param stream
+ * @returns {Promise}
+ */
+function finished(stream) {
+    return new Promise((resolve, reject) => {
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+    });
+}
+
+/**
+ * Writes files into the plugin one by one. Unlike `pipe()` it keeps writing
+ * after plugin errors, so a broken file does not stop the other files
+ * and the plugin is ended when the source is ended.
+ *
+ * @param stream
+ * @param plugin
+ * @param {Function} onError
+ * @returns {*} The plugin
+ */
+function fed(stream, plugin, onError) {
+    plugin.on('error', onError);
+
+    stream.pipe(through.obj((file, encoding, next) => {
+        plugin.write(file, () => next());
+    }, next => {
+        plugin.end();
+        next();
+    }));
+
+    return plugin;
+}
+
+/**
+ * Emits the error on the stream only when it is listened, e.g. by a task
+ * runner which consumes the stream, otherwise it is reported by `done()`.
+ *
+ * @param stream
+ * @param {Error} error
+ */
+function failed(stream, error) {
+    if (stream.listenerCount('error') > 0) {
+        stream.emit('error', error);
+    }
+}
+
+/**
+ * Passes files of the built stream and ends after its `done()` promise is settled,
+ * so the returned stream fails with the build: `return builder.build(...)` in gulp tasks.
+ *
+ * @param stream Stream with `done()` method
+ * @returns {*}
+ */
+function reported(stream) {
+    var promise = stream.done();
+    var result  = stream.pipe(through.obj((file, encoding, next) => next(null, file), next => {
+        promise.then(() => next(), error => {
+            failed(result, error);
+            next();
+        });
+    }));
+
+    result.done = () => promise;
+
+    return result;
+}
+
+/**
+ * Applies source map of the intermediate file to the map of a file which was
+ * generated from it. Positions which are not mapped to sources by the
+ * intermediate map (e.g. module wrappers) are dropped.
+ *
+ * @param {{}} map Map of generated file to the intermediate file
+ * @param {{}} intermediate Map of the intermediate file to sources
+ * @returns {{}}
+ */
+function composeMaps(map, intermediate) {
+    var sourceMap = require('source-map');
+    var sources   = new sourceMap.SourceMapConsumer(intermediate);
+    var generator = new sourceMap.SourceMapGenerator({file: map.file});
+
+    new sourceMap.SourceMapConsumer(map).eachMapping(mapping => {
+        if (mapping.originalLine === null) {
+            return;
+        }
+
+        var original = sources.originalPositionFor({line: mapping.originalLine, column: mapping.originalColumn});
+
+        if (original.source !== null) {
+            generator.addMapping({
+                generated: {line: mapping.generatedLine, column: mapping.generatedColumn},
+                original:  {line: original.line, column: original.column},
+                source:    original.source,
+                name:      original.name || mapping.name || undefined
+            });
+        }
+    });
+
+    sources.sources.forEach(source => {
+        var content = sources.sourceContentFor(source, true);
+
+        if (content !== null) {
+            generator.setSourceContent(source, content);
+        }
+    });
+
+    return JSON.parse(generator.toString());
+}
+
+/**
+ * Passes files through the minifier and maps minified files to original sources,
+ * minifiers are mapping their output only to the files which they have received.
+ *
+ * @param stream
+ * @param {Function} minify Receives and returns stream
+ * @returns {*}
+ */
+function remapped(stream, minify) {
+    var maps = {};
+
+    stream = stream.pipe(tap(file => {
+        if (file.sourceMap && file.sourceMap.mappings) {
+            maps[file.path] = file.sourceMap;
+            file.sourceMap  = {version: 3, file: file.sourceMap.file, names: [], mappings: '', sources: [], sourcesContent: []};
+        }
+    }));
+
+    return minify(stream).pipe(tap(file => {
+        if (maps[file.path] && file.sourceMap) {
+            file.sourceMap = composeMaps(file.sourceMap, maps[file.path]);
+        }
+    }));
+}
+
+/**
+ * Modules graph which is built from `require()`, `import` and
+ * `export ... from` statements of entry points.
+ *
+ * @class DependencyGraph
+ * @package lightweb-builder
+ */
+class DependencyGraph {
+    static PATTERNS = [
+        /\brequire\s*\(\s*(['"])([^'"]+)\1\s*\)/g,
+        /\bimport\s+(?:[\w$*{}\s,]+?\s*from\s*)?(['"])([^'"]+)\1/g,
+        /\bexport\s+(?:\*|\{[^}]*\})\s*from\s*(['"])([^'"]+)\1/g,
+        /\brequire\.async\s*\(\s*(['"])([^'"]+)\1\s*\)/g
+    ];
+
+    /**
+     * @type {Array}
+     * @private
+     */
+    _extensions = [];
+
+    /**
+     * @type {string}
+     * @private
+     */
+    _package = '';
+
+    /**
+     * Module name patterns and their locations: {"@app/*": ["/path/to/src/*"]}
+     *
+     * @type {{}}
+     * @private
+     */
+    _aliases = {};
+
+    /**
+     * Resolved dependencies of every module: {file: {specifier: file}}
+     *
+     * @type {{}}
+     * @private
+     */
+    _modules = {};
+
+    /**
+     * Module files without extensions, so compiled files can be found by path
+     *
+     * @type {{}}
+     * @private
+     */
+    _names = {};
+
+    /**
+     * @type {Array}
+     * @private
+     */
+    _files = [];
+
+    /**
+     * @type {string|null}
+     * @private
+     */
+    _root = null;
+
+    /**
+     * @param {Array} extensions
+     * @param {string} namespace
+     * @param {{}} aliases
+     */
+    constructor(extensions = ['.js'], namespace = '', aliases = {}) {
+        this._extensions = extensions;
+        this._package = namespace;
+        this._aliases = aliases;
+    }
+
+    /**
+     * Module files, dependencies go before modules which are requiring them
+     *
+     * @returns {Array}
+     */
+    get files() {
+        return this._files;
+    }
+
+    /**
+     * Common directory of all modules except node_modules packages
+     *
+     * @returns {string}
+     */
+    get root() {
+        if (this._root !== null) {
+            return this._root;
+        }
+
+        var path  = require('path');
+        var parts = null;
+
+        this._files
+            .filter(file => !DependencyGraph._isPackage(file))
+            .forEach(file => {
+                var dirs = path.dirname(file).split(path.sep);
+
+                if (parts === null) {
+                    return parts = dirs;
+                }
+
+                var i = 0;
+                while (i < parts.length && parts[i] === dirs[i]) {
+                    i++;
+                }
+                parts = parts.slice(0, i);
+            });
+
+        return this._root = parts === null ? process.cwd() : (parts.join(path.sep) || path.sep);
+    }
+
+    /**
+     * @param {string} entry
+     * @returns {DependencyGraph}
+     */
+    add(entry) {
+        var fs   = require('fs');
+        var path = require('path');
+        var file = path.resolve(entry);
+
+        if (!fs.existsSync(file)) {
+            throw new Error('Entry point ' + entry + ' not found');
+        }
+
+        this._visit(file);
+
+        return this;
+    }
+
+    /**
+     * @param {string} file
+     * @private
+     */
+    _visit(file) {
+        var fs   = require('fs');
+        var path = require('path');
+
+        if (this._modules[file]) {
+            return;
+        }
+
+        var dependencies = this._modules[file] = {};
+
+        DependencyGraph.dependencies(fs.readFileSync(file, 'utf8')).forEach(specifier => {
+            if (this._isDisabled(specifier, file)) {
+                return;
+            }
+
+            var resolved = this.resolve(specifier, file);
+
+            if (resolved === null && DependencyGraph.isBuiltin(specifier)) {
+                return;
+            }
+
+            if (resolved === null) {
+                throw new Error(`Cannot resolve module "${specifier}" from ${path.relative(process.cwd(), file)}`);
+            }
+
+            dependencies[specifier] = resolved;
+            this._visit(resolved);
+        });
+
+        this._names[DependencyGraph._stripExtension(file)] = file;
+        this._files.push(file);
+        this._root = null;
+    }
+
+    /**
+     * @param {string} source
+     * @returns {Array}
+     */
+    static dependencies(source) {
+        return DependencyGraph.specifiers(source)
+            .map(item => item.specifier)
+            .filter((specifier, index, specifiers) => specifiers.indexOf(specifier) === index);
+    }
+
+    /**
+     * Module names of require and import statements in order of their positions,
+     * statements inside of strings, templates and comments are skipped.
+     *
+     * @param {string} source
+     * @returns {Array} [{specifier: string, index: number}]
+     */
+    static specifiers(source) {
+        var code   = JsCompiler.maskCode(source, true);
+        var result = [];
+
+        DependencyGraph.PATTERNS.forEach(pattern => {
+            var match;
+
+            pattern.lastIndex = 0;
+            while ((match = pattern.exec(code)) !== null) {
+                var index = match.index + match[0].lastIndexOf(match[1] + match[2] + match[1]) + 1;
+
+                result.push({specifier: source.substr(index, match[2].length), index: index});
+            }
+        });
+
+        return result.sort((a, b) => a.index - b.index);
+    }
+
+    /**
+     * Replaces module names in require and import statements
+     *
+     * @param {string} source
+     * @param {Function} callback Returns new name or null to keep it as is
+     * @returns {string}
+     */
+    static replace(source, callback) {
+        DependencyGraph.specifiers(source).reverse().forEach(item => {
+            var name = callback(item.specifier);
+
+            if (name !== null) {
+                source = source.substr(0, item.index) + name + source.substr(item.index + item.specifier.length);
+            }
+        });
+
+        return source;
+    }
+
+    /**
+     * @param {string} specifier
+     * @param {string} from
+     * @returns {string|null}
+     */
+    resolve(specifier, from) {
+        var fs   = require('fs');
+        var path = require('path');
+
+        if (/^(\.{1,2}(\/|$)|\/)/.test(specifier)) {
+            return this._resolveFile(path.resolve(path.dirname(from), specifier));
+        }
+
+        var aliased = this.resolveAlias(specifier);
+        if (aliased !== null) {
+            return aliased;
+        }
+
+        var dir = path.dirname(from);
+
+        while (true) {
+            var candidate = path.join(dir, 'node_modules', specifier);
+            var resolved  = this._resolveFile(candidate);
+
+            if (resolved === null && fs.existsSync(path.join(candidate, 'package.json'))) {
+                resolved = this._resolvePackage(candidate);
+            }
+
+            if (resolved !== null || path.dirname(dir) === dir) {
+                return resolved;
+            }
+
+            dir = path.dirname(dir);
+        }
+    }
+
+    /**
+     * Resolves module name by alias patterns, "*" in pattern
+     * is replaced with the same part of locations.
+     *
+     * @param {string} specifier
+     * @returns {string|null}
+     */
+    resolveAlias(specifier) {
+        var patterns = Object.keys(this._aliases);
+
+        if (/^(\.{1,2}(\/|$)|\/)/.test(specifier)) {
+            return null;
+        }
+
+        for (var i = 0; i < patterns.length; i++) {
+            var parts = patterns[i].split('*');
+            var match = null;
+
+            if (parts.length === 1) {
+                match = specifier === parts[0] ? '' : null;
+            } else if (
+                specifier.length >= parts[0].length + parts[1].length &&
+                specifier.indexOf(parts[0]) === 0 &&
+                specifier.substr(specifier.length - parts[1].length) === parts[1]
+            ) {
+                match = specifier.substr(parts[0].length, specifier.length - parts[0].length - parts[1].length);
+            }
+
+            if (match === null) {
+                continue;
+            }
+
+            var locations = this._aliases[patterns[i]];
+
+            for (var j = 0; j < locations.length; j++) {
+                var resolved = this._resolveFile(locations[j].replace('*', match));
+
+                if (resolved !== null) {
+                    return resolved;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * @param {string} file
+     * @returns {string|null}
+     * @private
+     */
+    _resolveFile(file) {
+        var fs   = require('fs');
+        var path = require('path');
+
+        var candidates = [file]
+            .concat(this._extensions.map(extension => file + extension))
+            .concat(this._extensions.map(extension => path.join(file, 'index' + extension)));
+
+        for (var i = 0; i < candidates.length; i++) {
+            if (fs.existsSync(candidates[i]) && fs.statSync(candidates[i]).isFile()) {
+                return candidates[i];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * @param {string} dir
+     * @returns {string|null}
+     * @private
+     */
+    _resolvePackage(dir) {
+        var fs   = require('fs');
+        var path = require('path');
+        var pkg  = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+        var main = typeof pkg.browser === 'string' ? pkg.browser : pkg.main;
+
+        return main ? this._resolveFile(path.resolve(dir, main)) : null;
+    }
+
+    /**
+     * Node.js core modules are left unbundled, unless
+     * a package with the same name is installed
+     *
+     * @param {string} specifier
+     * @returns {boolean}
+     */
+    static isBuiltin(specifier) {
+        var builtins = require('module').builtinModules;
+
+        return builtins.indexOf(specifier) >= 0 || builtins.indexOf(specifier.split('/')[0]) >= 0;
+    }
+
+    /**
+     * Modules which are replaced with `false` in `browser` field
+     * of package.json are left unbundled: {"fs": false, "./lib/node.js": false}
+     *
+     * @param {string} specifier
+     * @param {string} from
+     * @returns {boolean}
+     * @private
+     */
+    _isDisabled(specifier, from) {
+        var fs   = require('fs');
+        var path = require('path');
+        var dir  = path.dirname(from);
+
+        while (!fs.existsSync(path.join(dir, 'package.json'))) {
+            if (path.dirname(dir) === dir) {
+                return false;
+            }
+            dir = path.dirname(dir);
+        }
+
+        var browser = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8')).browser;
+
+        if (!browser || typeof browser !== 'object') {
+            return false;
+        }
+
+        if (browser[specifier] === false) {
+            return true;
+        }
+
+        if (!/^\.{1,2}(\/|$)/.test(specifier)) {
+            return false;
+        }
+
+        var resolved = this._resolveFile(path.resolve(path.dirname(from), specifier));
+
+        return resolved !== null && Object.keys(browser).some(key => {
+            return browser[key] === false && /^\./.test(key) && this._resolveFile(path.resolve(dir, key)) === resolved;
+        });
+    }
+
+    /**
+     * @param {string} file Source or compiled file path
+     * @returns {boolean}
+     */
+    has(file) {
+        return this._names.hasOwnProperty(DependencyGraph._stripExtension(file));
+    }
+
+    /**
+     * Module name: "Namespace/path/to/file" for project
+     * files and "package/path/to/file" for node_modules packages
+     *
+     * @param {string} file Source or compiled file path
+     * @returns {string}
+     */
+    nameOf(file) {
+        var path = require('path');
+
+        file = this._names[DependencyGraph._stripExtension(file)] || file;
+
+        var normalized = file.replace(/\\/g, '/');
+        var index      = normalized.lastIndexOf('/node_modules/');
+
+        var name = index >= 0
+            ? normalized.substr(index + '/node_modules/'.length)
+            : this._package + path.relative(this.root, file).replace(/\\/g, '/');
+
+        return DependencyGraph._stripExtension(name);
+    }
+
+    /**
+     * Replaces relative paths and package names in require
+     * and import statements with names of bundled modules.
+     *
+     * @param {string} file Source or compiled file path
+     * @param {string} source
+     * @returns {string}
+     */
+    rewrite(file, source) {
+        var dependencies = this._modules[this._names[DependencyGraph._stripExtension(file)] || file] || {};
+
+        return DependencyGraph.replace(source, specifier => {
+            return dependencies[specifier] ? this.nameOf(dependencies[specifier]) : null;
+        });
+    }
+
+    /**
+     * @param {string} file
+     * @returns {boolean}
+     * @private
+     */
+    static _isPackage(file) {
+        return file.replace(/\\/g, '/').indexOf('/node_modules/') >= 0;
+    }
+
+    /**
+     * @param {string} file
+     * @returns {string}
+     * @private
+     */
+    static _stripExtension(file) {
+        return file.replace(/\.[a-z0-9]+$/i, '');
+    }
+}
+
+/**
+ * On-disk storage of compiled files. Entries are keyed by file
+ * contents, compiler class and compiler options, so cache directory
+ * can be shared between builds and CI jobs.
+ *
+ * @class CompilerCache
+ * @package lightweb-builder
+ */
+class CompilerCache {
+    /**
+     * @type {string}
+     * @private
+     */
+    _directory = '';
+
+    /**
+     * @param {string} directory
+     */
+    constructor(directory) {
+        this._directory = directory;
+    }
+
+    /**
+     * @returns {string}
+     */
+    get directory() {
+        return this._directory;
+    }
+
+    /**
+     * @param file
+     * @param {Compiler} compiler
+     * @returns {string}
+     */
+    key(file, compiler) {
+        var crypto = require('crypto');
+        var fs     = require('fs');
+        var path   = require('path');
+
+        var hash = crypto.createHash('md5')
+            .update(compiler.constructor.name + "\n")
+            .update(JSON.stringify(compiler.identity) + "\n")
+            .update((file.sourceMap ? 'map' : '') + "\n")
+            .update(path.relative(process.cwd(), file.path).replace(/\\/g, '/') + "\n")
+            .update(file.contents);
+
+        compiler.dependenciesOf(file).forEach(dependency => {
+            if (fs.existsSync(dependency)) {
+                hash.update("\n" + path.relative(process.cwd(), dependency).replace(/\\/g, '/') + "\n")
+                    .update(fs.readFileSync(dependency));
+            }
+        });
+
+        return hash.digest('hex');
+    }
+
+    /**
+     * Replaces file contents, extension and source map with cached ones
+     *
+     * @param {string} key
+     * @param file
+     * @returns {boolean}
+     */
+    restore(key, file) {
+        var fs   = require('fs');
+        var path = require('path');
+
+        var entry = path.join(this._directory, key + '.json');
+        if (!fs.existsSync(entry)) {
+            return false;
+        }
+
+        try {
+            var data = JSON.parse(fs.readFileSync(entry, 'utf8'));
+        } catch (e) {
+            return false;
+        }
+
+        var extension = path.extname(file.path);
+
+        file.contents = Buffer.from(data.contents);
+        file.path     = file.path.substr(0, file.path.length - extension.length) + data.extension;
+
+        if (file.sourceMap && data.sourceMap) {
+            file.sourceMap = data.sourceMap;
+        }
+
+        return true;
+    }
+
+    /**
+     * @param {string} key
+     * @param file
+     * @returns {CompilerCache}
+     */
+    save(key, file) {
+        var fs     = require('fs');
+        var path   = require('path');
+        var mkdirp = require('mkdirp');
+
+        mkdirp.sync(this._directory);
+
+        fs.writeFileSync(path.join(this._directory, key + '.json'), JSON.stringify({
+            extension: path.extname(file.path),
+            contents:  file.contents.toString(),
+            sourceMap: file.sourceMap || null
+        }));
+
+        return this;
+    }
+}
+
 /**
  * @class Compiler
  * @package lightweb-builder
  */
-class Compiler {
-    static TYPE_FILE = 'file';
-    static TYPE_DIR = 'path';
+class Compiler {
+    static TYPE_FILE = 'file';
+    static TYPE_DIR = 'path';
+
+    static KIND_SCRIPT = 'js';
+    static KIND_STYLE = 'css';
+    static KIND_PAGE = 'html';
+
+    static PIPE_BEFORE = 'before';
+    static PIPE_AFTER = 'after';
+
+    /**
+     * @type {WebBuilder}
+     * @private
+     */
+    _builder = null;
+
+    /**
+     * @type {boolean}
+     * @private
+     */
+    _syncBuilding = false;
+
+    /**
+     * @type {{}}
+     * @private
+     */
+    _files = {};
+
+    /**
+     * @type {Array}
+     * @private
+     */
+    _gulpPaths = [];
+
+    /**
+     * Exclude patterns of all paths
+     *
+     * @type {Array}
+     * @private
+     */
+    _excludes = [];
+
+    /**
+     * Exclude patterns of path globs: {glob: [patterns]}
+     *
+     * @type {{}}
+     * @private
+     */
+    _pathExcludes = {};
+
+    /**
+     * @type {{}}
+     * @private
+     */
+    _order = {};
+
+    /**
+     * @type {Array}
+     * @private
+     */
+    _errors = [];
+
+    /**
+     * Plugin factories which are applied before and after compilation
+     *
+     * @type {{before: Array, after: Array}}
+     * @private
+     */
+    _pipes = {before: [], after: []};
+
+    /**
+     * @param builder
+     */
+    constructor(builder) {
+        this._builder = builder;
+    }
+
+    /**
+     * @param enabled
+     * @returns {Compiler}
+     */
+    syncBuilding(enabled = false) {
+        this._syncBuilding = !!enabled;
+        return this;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get synced() {
+        return this._syncBuilding;
+    }
+
+    /**
+     * @returns {{}}
+     */
+    get files() {
+        return this._files;
+    }
+
+    /**
+     * @returns {Array}
+     */
+    get paths() {
+        return this._gulpPaths;
+    }
+
+    /**
+     * Errors of the last compilation
+     *
+     * @returns {Array}
+     */
+    get errors() {
+        return this._errors;
+    }
+
+    /**
+     * Options which change compiler output, they are a part of cache keys
+     *
+     * @returns {{}}
+     */
+    get identity() {
+        return {};
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get cacheable() {
+        return true;
+    }
+
+    /**
+     * Files which are not in the stream, but change compilation result
+     * of the given file (imported stylesheets, config files, etc)
+     *
+     * @param file
+     * @returns {Array}
+     */
+    dependenciesOf(file) {
+        return [];
+    }
+
+    /**
+     * Output kind, compilers of one kind are concatenated into one file
+     *
+     * @returns {string}
+     */
+    get kind() {
+        return Compiler.KIND_SCRIPT;
+    }
+
+    /**
+     * @param {string} file
+     * @returns {Compiler}
+     */
+    file(file) {
+        this._files[file] = Compiler.TYPE_FILE;
+        this._gulpPaths.push(file);
+        return this;
+    }
+
+    /**
+     * Adds files of the directory. Exclude patterns are relative to the directory.
+     *
+     * @param {string} path
+     * @param {string|{}} options Extension or {extension, exclude}
+     * @param {string} extension Default extension
+     * @returns {Compiler}
+     */
+    path(path, options = '', extension = '') {
+        var lastChar = path[path.length - 1];
+        if (lastChar !== '/' && lastChar !== '\\') {
+            throw new Error('Directory name must be ended at "/" char');
+        }
+
+        if (typeof options === 'string') {
+            options = {extension: options};
+        }
+
+        var glob = path + '**/*' + (options.extension === undefined ? extension : options.extension);
+
+        this._files[path] = Compiler.TYPE_DIR;
+        this._gulpPaths.push(glob);
+        this._pathExcludes[glob] = [].concat(options.exclude || []).map(pattern => path + pattern);
+        return this;
+    }
+
+    /**
+     * Skips files which match the patterns in all paths of the compiler
+     *
+     * @param {...string} patterns Globs relative to working directory
+     * @returns {Compiler}
+     */
+    exclude(...patterns) {
+        this._excludes = this._excludes.concat(...patterns);
+        return this;
+    }
+
+    /**
+     * Exclude patterns of the path glob
+     *
+     * @param {string} glob
+     * @returns {Array}
+     */
+    excludesOf(glob) {
+        return this._excludes.concat(this._pathExcludes[glob] || []);
+    }
+
+    /**
+     * Checks whether changed file is one of compiler paths and is not excluded
+     *
+     * @param {string} file
+     * @returns {boolean}
+     */
+    watches(file) {
+        var minimatch = require('minimatch');
+        var path      = require('path');
+
+        var relative = glob => path.relative(process.cwd(), path.resolve(glob)).replace(/\\/g, '/');
+        var matches  = glob => minimatch(relative(file), relative(glob));
+
+        return this.paths.some(glob => matches(glob) && !this.excludesOf(glob).some(matches));
+    }
+
+    /**
+     * Adds gulp plugin into compiler pipeline. Factory is called
+     * on every build and must return a new plugin stream.
+     *
+     * @param {Function} pluginFactory
+     * @param {string} when "before" or "after" compilation
+     * @returns {Compiler}
+     */
+    pipe(pluginFactory, when = Compiler.PIPE_AFTER) {
+        if (typeof pluginFactory !== 'function') {
+            throw new Error('Plugin factory must be a function');
+        }
+
+        if (when !== Compiler.PIPE_BEFORE && when !== Compiler.PIPE_AFTER) {
+            throw new Error(`Unknown pipe position "${when}", expected "before" or "after"`);
+        }
+
+        this._pipes[when].push(pluginFactory);
+        return this;
+    }
+
+    /**
+     * Identifies source file, files which are imported with
+     * media queries differ from the same files imported without them
+     *
+     * @param file
+     * @returns {string}
+     */
+    static sourceKey(file) {
+        return file.media ? `${file.history[0]} @media ${file.media}` : file.history[0];
+    }
+
+    /**
+     * Position of source file in declaration order
+     *
+     * @param file
+     * @returns {number}
+     */
+    orderOf(file) {
+        var index = this._order[Compiler.sourceKey(file)];
+        return index === undefined ? Number.MAX_VALUE : index;
+    }
+
+    /**
+     * @param a
+     * @param b
+     * @returns {number}
+     */
+    compare(a, b) {
+        return this.orderOf(a) - this.orderOf(b);
+    }
+
+    /**
+     * Reads files in order of `file()` and `path()` calls,
+     * files of one directory are sorted by name.
+     *
+     * @returns {*}
+     */
+    createSource() {
+        var index = 0;
+        this._order = {};
+
+        return merge(...this.sources())
+            .pipe(filter(file => this._order[Compiler.sourceKey(file)] === undefined))
+            .pipe(tap(file => this._order[Compiler.sourceKey(file)] = index++));
+    }
+
+    /**
+     * @returns {Array}
+     */
+    sources() {
+        return this._gulpPaths.map(glob => {
+            var excludes = this.excludesOf(glob).map(pattern => '!' + pattern);
+
+            return gulp.src([glob].concat(excludes)).pipe(sorted((a, b) => a.path < b.path ? -1 : (a.path > b.path ? 1 : 0)));
+        });
+    }
+
+    /**
+     * Creates stream of compiled files. Subclasses pass their transforms
+     * as `wrapStream`: it receives stream of source files (with initialized
+     * source maps) and the compiler and returns stream of compiled files.
+     *
+     * @param {Function|null} wrapStream
+     * @returns {*}
+     */
+    createStream(wrapStream = null) {
+        this._errors = [];
+
+        var stream = this.createSource();
+
+        if (this._builder.sourceMaps) {
+            var sourcemaps = require('gulp-sourcemaps');
+            stream = stream.pipe(sourcemaps.init({loadMaps: true}));
+        }
+
+        stream = this._pipes.before.reduce((stream, factory) => this.compile(stream, factory()), stream);
+
+        if (wrapStream) {
+            stream = this._builder.cache && this.cacheable
+                ? this.cached(stream, wrapStream)
+                : wrapStream(stream, this);
+        }
+
+        stream = this._pipes.after.reduce((stream, factory) => this.compile(stream, factory()), stream);
+
+        return stream.pipe(debug({title: '+'}));
+    }
+
+    /**
+     * Takes files which are found in cache from disk, compiles
+     * the rest and saves their results into cache.
+     *
+     * @param stream
+     * @param {Function} wrapStream
+     * @returns {*}
+     */
+    cached(stream, wrapStream) {
+        var cache = this._builder.cache;
+        var keys  = {};
+        var hits  = through.obj();
+
+        var misses = stream.pipe(through.obj((file, encoding, next) => {
+            var key = cache.key(file, this);
+
+            if (cache.restore(key, file)) {
+                hits.write(file);
+                return next();
+            }
+
+            keys[Compiler.sourceKey(file)] = key;
+            next(null, file);
+        }, next => {
+            hits.end();
+            next();
+        }));
+
+        var compiled = wrapStream(misses, this).pipe(tap(file => {
+            var key = keys[Compiler.sourceKey(file)];
+
+            if (key) {
+                cache.save(key, file);
+            }
+        }));
+
+        return merge([hits, compiled]);
+    }
+
+    /**
+     * Pipes stream through compiler plugin. Plugin errors are collected
+     * into `errors` list instead of breaking the whole build, files
+     * after a broken one are still compiled and checked.
+     *
+     * @param stream
+     * @param plugin
+     * @returns {*}
+     */
+    compile(stream, plugin) {
+        return fed(stream, plugin, error => this.report(error));
+    }
+
+    /**
+     * @param {Error} error
+     * @returns {Compiler}
+     */
+    report(error) {
+        this._errors.push(this.createError(error));
+        return this;
+    }
+
+    /**
+     * Converts errors of babel, coffee, typescript, sass, less
+     * and stylus plugins into errors with same fields:
+     * `compiler`, `plugin`, `file`, `line`, `column`, `code`, `frame`.
+     *
+     * @param {Error} error
+     * @returns {Error}
+     */
+    createError(error) {
+        var fs   = require('fs');
+        var path = require('path');
+
+        var file     = [error.fileName, error.filename, error.file, error.fullFilename].filter(item => typeof item === 'string')[0] || null;
+        var position = {line: null, column: null};
+
+        if (error.startPosition) {
+            position = {line: error.startPosition.line, column: error.startPosition.character};
+        } else if (error.loc) {
+            position = {line: error.loc.line, column: error.loc.column + 1};
+        } else if (error.location) {
+            position = {line: error.location.first_line + 1, column: error.location.first_column + 1};
+        } else if (error.lineno) {
+            position = {line: error.lineno, column: error.column};
+        } else if (error.lineNumber) {
+            position = {line: error.lineNumber, column: error.column === undefined ? null : error.column + 1};
+        } else if (error.line) {
+            position = {line: error.line, column: error.column + (error.extract ? 1 : 0)};
+        }
+
+        var frame = error.codeFrame || '';
+        if (!frame && file && position.line && fs.existsSync(file)) {
+            frame = Compiler.codeFrame(fs.readFileSync(file, 'utf8'), position.line, position.column);
+        }
+
+        var message = (error.message || String(error)).split("\n")[0];
+        if (file) {
+            message = message.replace(file + ': ', '');
+        }
+
+        var code = error.diagnostic ? 'TS' + error.diagnostic.code : null;
+        if (code && message.indexOf(code) >= 0) {
+            message = message.substr(message.indexOf(code));
+        }
+
+        var location = file
+            ? path.relative(process.cwd(), file) + (position.line ? `:${position.line}:${position.column || 1}` : '')
+            : null;
+
+        var result = new Error(
+            `${this.constructor.name}: ` + (location ? `${location}: ` : '') + message + (frame ? "\n" + frame : '')
+        );
+
+        result.compiler = this.constructor.name;
+        result.plugin   = error.plugin || null;
+        result.file     = file;
+        result.line     = position.line;
+        result.column   = position.column;
+        result.code     = code;
+        result.frame    = frame;
+        result.original = error;
+
+        return result;
+    }
+
+    /**
+     * @param {string} source
+     * @param {number} line
+     * @param {number|null} column
+     * @returns {string}
+     */
+    static codeFrame(source, line, column = null) {
+        var lines  = source.split(/\r?\n/);
+        var from   = Math.max(line - 3, 0);
+        var to     = Math.min(line + 2, lines.length);
+        var width  = String(to).length;
+        var result = [];
+
+        for (var i = from; i < to; i++) {
+            var number = String(i + 1);
+            var gutter = (i + 1 === line ? '> ' : '  ') + ' '.repeat(width - number.length) + number + ' | ';
+
+            result.push(gutter + lines[i]);
+
+            if (i + 1 === line && column) {
+                result.push('  ' + ' '.repeat(width) + ' | ' + lines[i].substr(0, column - 1).replace(/[^\t]/g, ' ') + '^');
+            }
+        }
+
+        return result.join("\n");
+    }
+
+    /**
+     * Prepares compiled files for the output directory
+     *
+     * @param stream
+     * @param {string} directory
+     * @returns {*}
+     */
+    relocate(stream, directory) {
+        return stream;
+    }
+
+    /**
+     * @param gulp
+     * @param {object} options
+     * @returns {*}
+     */
+    minify(gulp, options = {}) {
+        return gulp;
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} pkg
+     * @param {string} version
+     * @returns {Error}
+     */
+    compilerError(name, pkg, version) {
+        return new Error(`${name} compiler not defined. Please add {"${pkg}": "${version}"} in your package.json`);
+    }
+}
+
+/**
+ * @class JsCompiler
+ * @package lightweb-builder
+ */
+class JsCompiler extends Compiler {
+    /**
+     * Non-script files which are wrapped into modules: {extension: type}
+     */
+    static DATA_MODULES = {
+        '.json': 'json',
+        '.txt':  'text',
+        '.html': 'text',
+        '.htm':  'text',
+        '.svg':  'text'
+    };
+
+    /**
+     * @type {{}}
+     * @private
+     */
+    _package = '';
+
+    /**
+     * @type {Array}
+     * @private
+     */
+    _entries = [];
+
+    /**
+     * @type {DependencyGraph|null}
+     * @private
+     */
+    _graph = null;
+
+    /**
+     * Locations of lazily loaded chunks: {name: [absolute paths]}
+     *
+     * @type {{}}
+     * @private
+     */
+    _chunks = {};
+
+    /**
+     * Runtime which loads chunks by `require.async(name)`.
+     * Chunk urls are relative to the script of the bundle.
+     *
+     * @param {{}} chunks {url: [module names]}
+     * @returns {string}
+     */
+    static loader(chunks) {
+        return `(function () {
+    var require = (typeof window === 'undefined' ? global : window).require;
+    var script  = typeof document !== 'undefined' && document.currentScript;
+    var base    = script ? script.src.replace(/[^\\/]*$/, '') : '';
+    var chunks  = ${JSON.stringify(chunks)};
+
+    if (!require.async) {
+        var register = require.register;
+        var loading  = {};
+        var located  = {};
+
+        var wrap = function (definition) {
+            return function (exports, localRequire, module) {
+                localRequire.async = require.async;
+                return definition.call(this, exports, localRequire, module);
+            };
+        };
+
+        require.register = require.define = function (bundle, definition) {
+            if (typeof bundle !== 'object') {
+                return register(bundle, wrap(definition));
+            }
+
+            var result = {};
+            for (var name in bundle) {
+                if (bundle.hasOwnProperty(name)) {
+                    result[name] = wrap(bundle[name]);
+                }
+            }
+            return register(result);
+        };
+
+        require.async = function (name) {
+            var url = located[name];
+
+            if (!url || require.list().indexOf(name) >= 0) {
+                return Promise.resolve().then(function () { return require(name); });
+            }
+
+            if (!loading[url]) {
+                loading[url] = new Promise(function (resolve, reject) {
+                    var element = document.createElement('script');
+                    element.src     = url;
+                    element.async   = true;
+                    element.onload  = resolve;
+                    element.onerror = function () {
+                        delete loading[url];
+                        reject(new Error('Loading chunk ' + url + ' failed'));
+                    };
+                    document.head.appendChild(element);
+                });
+            }
+
+            return loading[url].then(function () { return require(name); });
+        };
+
+        require.async.located = located;
+    }
+
+    for (var url in chunks) {
+        for (var i = 0; i < chunks[url].length; i++) {
+            require.async.located[chunks[url][i]] = base + url;
+        }
+    }
+})();`;
+    }
+
+    /**
+     * Extensions of files which can be required without extension
+     *
+     * @returns {Array}
+     */
+    get extensions() {
+        return ['.js'];
+    }
+
+    /**
+     * Module name patterns and their locations: {"@app/*": ["/path/to/src/*"]}
+     *
+     * @returns {{}}
+     */
+    get aliases() {
+        return {};
+    }
+
+    /**
+     * Entry points and modules of the last successfully built graph,
+     * the graph is not rebuilt here, so broken imports can't throw.
+     *
+     * @returns {Array}
+     */
+    get paths() {
+        if (this._entries.length === 0) {
+            return super.paths;
+        }
+
+        return super.paths.concat(this._entries, this._graph === null ? [] : this._graph.files);
+    }
+
+    /**
+     * Files are wrapped into CommonJS modules
+     *
+     * @returns {boolean}
+     */
+    get modules() {
+        return this._package !== '' || this._entries.length > 0;
+    }
+
+    /**
+     * @returns {*}
+     */
+    get uglify() {
+        return require('gulp-uglify');
+    }
+
+    /**
+     * @param {string} name
+     * @returns {JsCompiler}
+     */
+    namespace(name) {
+        var lastChar = name[name.length - 1];
+        if (lastChar !== '/') {
+            name += '/';
+        }
+        this._package = name;
+        return this;
+    }
+
+    /**
+     * Adds entry point: the file and all modules which are required
+     * or imported by it (including node_modules packages) will be bundled.
+     *
+     * @param {string} file
+     * @returns {JsCompiler}
+     */
+    entry(file) {
+        this._entries.push(file);
+        return this;
+    }
+
+    /**
+     * Moves modules of the directory (or the file) into separate output file
+     * "<bundle>.<name>.js", which is loaded on first `require.async()` of its modules.
+     *
+     * @param {string} name
+     * @param {string} location Directory ended at "/" char or file
+     * @returns {JsCompiler}
+     */
+    chunk(name, location) {
+        var path = require('path');
+
+        if (!/^[\w-]+$/.test(name)) {
+            throw new Error(`Invalid chunk name "${name}", expected letters, digits, "_" and "-"`);
+        }
+
+        var resolved = path.resolve(location);
+        if (/[\/\\]$/.test(location)) {
+            resolved += path.sep;
+        }
+
+        (this._chunks[name] = this._chunks[name] || []).push(resolved);
+        return this;
+    }
+
+    /**
+     * @returns {Array}
+     */
+    get chunks() {
+        return Object.keys(this._chunks);
+    }
+
+    /**
+     * @param {string} file
+     * @returns {string|null}
+     */
+    chunkOf(file) {
+        var names = this.chunks.filter(name => this._chunks[name].some(location => {
+            return location === file || (/[\/\\]$/.test(location) && file.indexOf(location) === 0);
+        }));
+
+        return names.length > 0 ? names[0] : null;
+    }
+
+    /**
+     * @returns {DependencyGraph}
+     */
+    graph() {
+        var graph = new DependencyGraph(this.extensions, this._package, this.aliases);
+
+        this._entries.forEach(entry => graph.add(entry));
+
+        return this._graph = graph;
+    }
+
+    /**
+     * @param {string} text
+     * @returns {string}
+     * @private
+     */
+    static _escapeRegexp(text) {
+        return text.replace(/[\-\[\]\/\{\}\(\)\+\?\*\.\\\^\$\|]/g, "\\$&");
+    }
+
+    /**
+     * @param gulp
+     * @param options
+     * @returns {*}
+     */
+    minify(gulp, options = {}) {
+        return remapped(gulp, stream => stream.pipe(this.uglify(options)));
+    }
+
+    /**
+     * @param {string} path
+     * @param {string|{}} options Extension or {extension, exclude}
+     * @param {string} extension Default extension
+     * @returns {Compiler}
+     */
+    path(path, options = '.js', extension = '.js') {
+        return super.path(path, options, extension);
+    }
+
+    /**
+     * @returns {Array}
+     */
+    sources() {
+        var sources = super.sources();
+
+        if (this._entries.length > 0) {
+            var graph = this.graph();
+
+            sources.push(gulp.src(graph.files, {base: graph.root}));
+        }
+
+        return sources;
+    }
+
+    /**
+     * Replaces names of required modules in compiled file
+     * with names of bundled modules.
+     *
+     * @param file
+     * @returns {string}
+     */
+    rewrite(file) {
+        var source = file.contents.toString();
+        var graph  = this._graph;
+
+        if (this.dataType(file.history[0]) !== null) {
+            return source;
+        }
+
+        if (graph.has(file.history[0])) {
+            return graph.rewrite(file.history[0], source);
+        }
+
+        return DependencyGraph.replace(source, specifier => {
+            var resolved = graph.resolveAlias(specifier);
+            return resolved === null ? null : this.moduleName(resolved);
+        });
+    }
+
+    /**
+     * Wraps files into CommonJS modules. Source maps of files
+     * are shifted, so they still point to original sources.
+     *
+     * @returns {*}
+     */
+    wrap() {
+        var Concat = require('concat-with-sourcemaps');
+
+        return tap(file => {
+            var name   = this.moduleName(file.path);
+            var concat = new Concat(!!file.sourceMap, file.relative, "\n");
+
+            file.moduleName = name;
+            file.chunk      = this.chunkOf(file.history[0]);
+
+            concat.add(null, `require.register(${JSON.stringify(name)}, function(exports, require, module){`);
+            concat.add(file.relative, file.contents, file.sourceMap);
+            concat.add(null, '});');
+
+            file.contents = concat.content;
+
+            if (file.sourceMap) {
+                file.sourceMap = JSON.parse(concat.sourceMap);
+                file.sourceMap.file = file.relative;
+            }
+        });
+    }
+
+    /**
+     * @param {string} path
+     * @returns {string}
+     */
+    moduleName(path) {
+        if (this._graph && this._graph.has(path)) {
+            return this._graph.nameOf(path);
+        }
+
+        path = path.replace(/\\/g, '/');
+
+        Object.keys(this.files).forEach(item => {
+            var type   = this.files[item];
+            var isFile = type === Compiler.TYPE_FILE;
+            var regexp = isFile
+                ? new RegExp('.*?' + this.constructor._escapeRegexp(item) + '$', 'g')
+                : new RegExp('.*?' + this.constructor._escapeRegexp(item) + '.*?', 'g');
+
+            if (item.match(regexp)) {
+                path = path.replace(regexp, isFile ? item.split('/').pop() : '');
+            }
+        });
+
+        var result = this._package + path.replace(/\.[a-z0-9]+$/, '');
+
+        if (result[0] === '/') {
+            return result.substr(1);
+        }
+
+        return result;
+    }
+
+    /**
+     * Replaces strings, template literals (except `${}` expressions), regular
+     * expressions and comments of the source with spaces, so only code is left
+     * at the same positions. With `quotes` quoted strings keep their quotes
+     * and only their contents are replaced (with dashes).
+     *
+     * @param {string} source
+     * @param {boolean} quotes
+     * @returns {string}
+     */
+    static maskCode(source, quotes = false) {
+        var result    = '';
+        var templates = [];
+        var i         = 0;
+
+        var skip = (end, filler = ' ') => {
+            result += source.substring(i, end).replace(/[^\n]/g, filler);
+            i = end;
+        };
+
+        var find = (pattern, from) => {
+            pattern.lastIndex = from;
+            var match = pattern.exec(source);
+            return match === null ? source.length : match.index + match[0].length;
+        };
+
+        while (i < source.length) {
+            var char = source[i];
+            var next = source[i + 1];
+
+            if (char === '/' && next === '/') {
+                skip(find(/\n/g, i));
+            } else if (char === '/' && next === '*') {
+                skip(find(/\*\//g, i + 2));
+            } else if (char === '"' || char === "'") {
+                var close = find(char === '"' ? /(?:[^"\\\n]|\\[\s\S])*("|$)/gm : /(?:[^'\\\n]|\\[\s\S])*('|$)/gm, i + 1);
+
+                if (quotes && close - 1 > i && source[close - 1] === char) {
+                    result += char;
+                    i++;
+                    skip(close - 1, '-');
+                    result += char;
+                    i++;
+                } else {
+                    skip(close);
+                }
+            } else if (char === '`' || (char === '}' && templates[templates.length - 1] === 0)) {
+                if (char === '}') {
+                    templates.pop();
+                }
+
+                var end = find(/(?:[^`\\$]|\\[\s\S]|\$(?!\{))*(`|\$\{|$)/g, i + 1);
+                if (source.substr(end - 2, 2) === '${') {
+                    templates.push(0);
+                }
+
+                skip(end);
+            } else if (char === '/' && /(^|[(,=:[!&|?{};+\-*%<>~^]|\b(?:return|typeof|case|do|else|in|of|new|delete|void|throw))\s*$/.test(result.slice(-20))) {
+                var regexp = /(?:[^\/\\\[\n]|\\.|\[(?:[^\]\\\n]|\\.)*\])+\/[a-z]*/g;
+                regexp.lastIndex = i + 1;
+
+                var match = regexp.exec(source);
+                if (match !== null && match.index === i + 1) {
+                    skip(i + 1 + match[0].length);
+                } else {
+                    result += char;
+                    i++;
+                }
+            } else {
+                if (templates.length > 0 && (char === '{' || char === '}')) {
+                    templates[templates.length - 1] += char === '{' ? 1 : -1;
+                }
+
+                result += char;
+                i++;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Position of opening bracket which encloses the position of the code or -1
+     *
+     * @param {string} code
+     * @param {number} position
+     * @returns {number}
+     */
+    static enclosingBracket(code, position) {
+        var depth = 0;
+
+        for (var i = position - 1; i >= 0; i--) {
+            if (')]}'.indexOf(code[i]) >= 0) {
+                depth++;
+            } else if ('([{'.indexOf(code[i]) >= 0) {
+                if (depth === 0) {
+                    return i;
+                }
+                depth--;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Position of bracket which closes the opening bracket at the position or -1
+     *
+     * @param {string} code
+     * @param {number} position
+     * @returns {number}
+     */
+    static closingBracket(code, position) {
+        var depth = 0;
+
+        for (var i = position + 1; i < code.length; i++) {
+            if ('([{'.indexOf(code[i]) >= 0) {
+                depth++;
+            } else if (')]}'.indexOf(code[i]) >= 0) {
+                if (depth === 0) {
+                    return i;
+                }
+                depth--;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Checks whether the identifier at the position of the code is declared or assigned:
+     * declarations, parameters, destructuring and assignment targets.
+     *
+     * @param {string} code
+     * @param {number} start
+     * @param {number} end
+     * @returns {boolean}
+     */
+    static isBinding(code, start, end) {
+        var head = code.substring(Math.max(0, start - 100), start);
+        var tail = code.substr(end, 100);
+
+        if (/\b(var|let|const|function|class)\s*\*?\s*$/.test(head) || /(\+\+|--)\s*$/.test(head) ||
+            /^\s*(=>|\+\+|--|(\*\*|>>>|<<|>>|[-+*\/%&|^])?=(?![=>]))/.test(tail)) {
+            return true;
+        }
+
+        var position = start;
+
+        while ((position = JsCompiler.enclosingBracket(code, position)) >= 0) {
+            var before = code.substring(Math.max(0, position - 100), position);
+            var after  = code.substr(JsCompiler.closingBracket(code, position) + 1, 100);
+
+            if (code[position] === '(') {
+                return /\b(function\b[^(]*|catch\s*)$/.test(before) || /^\s*=>/.test(after) ||
+                    (/^\s*\{/.test(after) && /[\w$]\s*$/.test(before) && !/\b(if|for|while|switch|with)\s*$/.test(before));
+            }
+
+            // Blocks and member expressions are not patterns
+            if (code[position] === '{' ? !/([=(,:\[?]|\b(var|let|const|return))\s*$/.test(before) : /[\w$)\]]\s*$/.test(before)) {
+                return false;
+            }
+
+            if (/\b(var|let|const)\s*$/.test(before) || /^\s*=(?![=>])/.test(after)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Replaces defined constants of the builder in code of compiled source.
+     * Properties (`a.__VERSION__`), object keys, strings, comments, declared and
+     * assigned names are not replaced, shorthand properties (`{__VERSION__}`)
+     * are expanded. Longer names are replaced first (`process.env.NODE_ENV`
+     * before `process.env`).
+     *
+     * @param {string} source
+     * @returns {string}
+     */
+    substitute(source) {
+        var defines = this._builder.defines;
+        var code    = JsCompiler.maskCode(source);
+        var found   = [];
+
+        Object.keys(defines).sort((a, b) => b.length - a.length).forEach(name => {
+            var pattern = new RegExp(
+                '(^|[^.\\w$])' + this.constructor._escapeRegexp(name).replace(/\\\./g, '\\s*\\.\\s*') + '(?![\\w$])',
+                'g'
+            );
+            var match;
+
+            while ((match = pattern.exec(code)) !== null) {
+                var start  = match.index + match[1].length;
+                var end    = match.index + match[0].length;
+                var head   = code.substring(Math.max(0, start - 100), start);
+                var tail   = code.substr(end, 100);
+                var inList = /[{,]\s*$/.test(head) && code[JsCompiler.enclosingBracket(code, start)] === '{';
+
+                if ((inList && /^\s*:/.test(tail)) || found.some(item => start < item.end && end > item.start)) {
+                    continue;
+                }
+
+                if (JsCompiler.isBinding(code, start, end)) {
+                    continue;
+                }
+
+                var isShorthand = inList && /^\s*[,}]/.test(tail) && name.indexOf('.') < 0;
+
+                found.push({start: start, end: end, value: (isShorthand ? name + ': ' : '') + defines[name]});
+            }
+        });
+
+        return found
+            .sort((a, b) => b.start - a.start)
+            .reduce((result, item) => result.substr(0, item.start) + item.value + result.substr(item.end), source);
+    }
+
+    /**
+     * @param {string} path
+     * @returns {string|null} json, text or null for scripts
+     */
+    dataType(path) {
+        var extension = (path.match(/\.[^.\\/]*$/) || [''])[0].toLowerCase();
+
+        return JsCompiler.DATA_MODULES[extension] || null;
+    }
+
+    /**
+     * Converts json and text files into scripts which export their
+     * contents, scripts are passed to `wrapStream`.
+     *
+     * @param {Function} wrapStream
+     * @returns {Function}
+     */
+    dataModules(wrapStream) {
+        return (stream, compiler) => {
+            var scripts = stream.pipe(filter(file => this.dataType(file.path) === null));
+            var data    = stream.pipe(filter(file => this.dataType(file.path) !== null));
+
+            data = this.compile(data, through.obj((file, encoding, next) => {
+                var source = file.contents.toString();
+
+                try {
+                    var value = this.dataType(file.path) === 'json'
+                        ? JSON.stringify(JSON.parse(source))
+                        : JSON.stringify(source);
+                } catch (error) {
+                    error.fileName = file.path;
+                    return next(error);
+                }
+
+                file.contents = Buffer.from(`module.exports = ${value};`);
+                next(null, file);
+            }));
+
+            return merge([wrapStream(scripts, compiler), data]);
+        };
+    }
+
+    /**
+     * @param {Function|null} wrapStream
+     * @returns {*}
+     */
+    createStream(wrapStream = null) {
+        if (this.chunks.length > 0 && !this.modules) {
+            throw new Error('Chunks can be used only with modules, call namespace() or entry()');
+        }
+
+        var stream = super.createStream(this.modules ? this.dataModules(wrapStream || (stream => stream)) : wrapStream);
+
+        if (Object.keys(this._builder.defines).length > 0) {
+            stream = stream.pipe(tap(file => {
+                if (this.dataType(file.history[0]) === null) {
+                    file.contents = Buffer.from(this.substitute(file.contents.toString()));
+                }
+            }));
+        }
+
+        if (this.modules) {
+            if (this._entries.length === 0) {
+                this.graph();
+            }
+
+            stream = stream
+                .pipe(tap(file => file.contents = Buffer.from(this.rewrite(file))))
+                .pipe(this.wrap());
+        }
+
+        return stream;
+    }
+}
+
+/**
+ * @class CssCompiler
+ * @package lightweb-builder
+ */
+class CssCompiler extends Compiler {
+    /**
+     * @type {boolean}
+     * @private
+     */
+    _autoPrefixer = false;
+
+    /**
+     * @type {{}}
+     * @private
+     */
+    _autoPrefixerOptions = {};
+
+    /**
+     * @type {{directory: string, hash: boolean}|null}
+     * @private
+     */
+    _assets = null;
+
+    /**
+     * Files which were imported by `@import` rules during the last build
+     *
+     * @type {Array}
+     * @private
+     */
+    _imports = [];
+
+    /**
+     * @returns {string}
+     */
+    get kind() {
+        return Compiler.KIND_STYLE;
+    }
+
+    /**
+     * Local `@import` rules are replaced with imported files,
+     * preprocessors are importing files by themselves.
+     *
+     * @returns {boolean}
+     */
+    get inlineImports() {
+        return true;
+    }
+
+    /**
+     * @returns {Array}
+     */
+    get paths() {
+        return super.paths.concat(this._imports);
+    }
+
+    /**
+     * Extensions of files which can be imported without extension
+     *
+     * @returns {Array}
+     */
+    get extensions() {
+        return ['.css'];
+    }
+
+    /**
+     * @returns {{}}
+     */
+    get identity() {
+        return {
+            autoPrefixer:        this._autoPrefixer,
+            autoPrefixerOptions: this._autoPrefixerOptions
+        };
+    }
+
+    /**
+     * Stylesheets which are imported by the file, including nested imports
+     *
+     * @param file
+     * @returns {Array}
+     */
+    dependenciesOf(file) {
+        var fs   = require('fs');
+        var path = require('path');
+
+        var result = [];
+        var queue  = [file.path];
+
+        while (queue.length > 0) {
+            var current = queue.shift();
+            var source  = current === file.path ? file.contents.toString() : fs.readFileSync(current, 'utf8');
+            var pattern = /@(?:import|require)\s+([^;\n]+)/g;
+            var match;
+
+            while ((match = pattern.exec(source)) !== null) {
+                (match[1].match(/(['"])[^'"]+\1/g) || []).forEach(name => {
+                    var resolved = this._resolveImport(name.slice(1, -1), path.dirname(current));
+
+                    if (resolved !== null && resolved !== file.path && result.indexOf(resolved) < 0) {
+                        result.push(resolved);
+                        queue.push(resolved);
+                    }
+                });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} directory
+     * @returns {string|null}
+     * @private
+     */
+    _resolveImport(name, directory) {
+        var fs   = require('fs');
+        var path = require('path');
+
+        if (/^([a-z]+:)?\/\//i.test(name)) {
+            return null;
+        }
+
+        var file       = path.resolve(directory, name);
+        var base       = path.basename(file);
+        var candidates = [file];
+
+        this.extensions.forEach(extension => {
+            candidates.push(
+                file + extension,
+                path.join(path.dirname(file), '_' + base + extension),
+                path.join(file, 'index' + extension),
+                path.join(file, '_index' + extension)
+            );
+        });
+
+        return candidates.filter(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile())[0] || null;
+    }
+
+    /**
+     * @returns {*}
+     */
+    get uglify() {
+        return require('gulp-clean-css');
+    }
+
+    /**
+     * @param path
+     * @param options Extension or {extension, exclude}
+     * @param extension Default extension
+     * @returns {Compiler}
+     */
+    path(path, options = '.css', extension = '.css') {
+        return super.path(path, options, extension);
+    }
+
+    /**
+     * @returns {Array}
+     */
+    sources() {
+        var sources = super.sources();
+
+        if (!this.inlineImports) {
+            return sources;
+        }
+
+        this._imports = [];
+
+        return sources.map(source => source.pipe(this.imports()));
+    }
+
+    /**
+     * Emits files of local `@import` rules before importing files and removes these rules.
+     * Files which are imported with media queries are wrapped into `@media` blocks.
+     * Repeated imports of a file with the same media are skipped by the source stream,
+     * remote imports are kept.
+     *
+     * @returns {*}
+     */
+    imports() {
+        var fs      = require('fs');
+        var path    = require('path');
+        var gutil   = require('gulp-util');
+        var pattern = /@import\s+(?:url\(\s*(['"]?)([^'")]+)\1\s*\)|(['"])([^'"]+)\3)\s*([^;]*);/g;
+
+        var visit = (stream, file, parents) => {
+            var contents = file.contents.toString().replace(pattern, (match, q1, url1, q2, url2, media) => {
+                var url = url1 || url2;
+
+                if (/^([a-z]+:)?\/\//i.test(url)) {
+                    return match;
+                }
+
+                var imported = this._resolveImport(url, path.dirname(file.path));
+
+                if (imported === null) {
+                    gutil.log(gutil.colors.yellow(`${this.constructor.name}: ${path.relative(process.cwd(), file.path)}: ` +
+                        `imported file ${url} not found`));
+                    return match;
+                }
+
+                if (parents.indexOf(imported) >= 0 || imported === file.path) {
+                    return '';
+                }
+
+                if (this._imports.indexOf(imported) < 0) {
+                    this._imports.push(imported);
+                }
+
+                var child = new gutil.File({
+                    cwd:      file.cwd,
+                    base:     file.base,
+                    path:     imported,
+                    contents: fs.readFileSync(imported)
+                });
+
+                if (media.trim()) {
+                    child.media = media.trim();
+                    child.contents = Buffer.from(`@media ${child.media} {` + child.contents.toString() + "\n}");
+                }
+
+                visit(stream, child, parents.concat(file.path));
+
+                return '';
+            });
+
+            file.contents = Buffer.from(contents);
+            stream.push(file);
+        };
+
+        var compiler = this;
+
+        return through.obj(function (file, encoding, next) {
+            try {
+                visit(this, file, []);
+            } catch (error) {
+                compiler.report(error);
+            }
+
+            next();
+        });
+    }
+
+    /**
+     * @param enabled
+     * @param options
+     * @returns {CssCompiler}
+     */
+    autoPrefix(enabled = true, options = {}) {
+        this._autoPrefixer = !!enabled;
+        this._autoPrefixerOptions = options;
+        return this;
+    }
+
+    /**
+     * Copies files which are referenced by `url()` into the directory
+     * next to output file and rewrites urls to copied files.
+     *
+     * @param {string|boolean} directory
+     * @param {boolean} hash Add content hash into names of copied files
+     * @returns {CssCompiler}
+     */
+    assets(directory = 'assets', hash = false) {
+        if (directory === true) {
+            directory = 'assets';
+        }
+
+        this._assets = directory ? {directory: directory.replace(/[\/\\]+$/, ''), hash: !!hash} : null;
+        return this;
+    }
+
+    /**
+     * @param stream
+     * @param {string} directory
+     * @returns {*}
+     */
+    relocate(stream, directory) {
+        if (this._assets === null) {
+            return stream;
+        }
+
+        var copied = {};
+
+        return stream.pipe(tap(file => {
+            try {
+                file.contents = Buffer.from(this.rewriteUrls(file, directory, copied));
+            } catch (error) {
+                this.report(error);
+            }
+        }));
+    }
+
+    /**
+     * Urls are resolved relative to source file. Urls of imported stylesheets are
+     * inlined by preprocessors as is, so directories of imported files are checked too.
+     *
+     * @param file
+     * @param {string} output Output directory
+     * @param {{}} copied Copied files: {target: source}
+     * @returns {string}
+     */
+    rewriteUrls(file, output, copied) {
+        var fs     = require('fs');
+        var path   = require('path');
+        var crypto = require('crypto');
+        var mkdirp = require('mkdirp');
+        var gutil  = require('gulp-util');
+
+        var source      = file.history[0];
+        var directories = [path.dirname(source)];
+
+        if (fs.existsSync(source)) {
+            this.dependenciesOf({path: source, contents: fs.readFileSync(source)}).forEach(dependency => {
+                if (directories.indexOf(path.dirname(dependency)) < 0) {
+                    directories.push(path.dirname(dependency));
+                }
+            });
+        }
+
+        var css = file.contents.toString();
+
+        return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, url, offset) => {
+            if (/^([a-z]+:|\/|#)/i.test(url) || /@import\s*$/.test(css.slice(Math.max(offset - 32, 0), offset))) {
+                return match;
+            }
+
+            var suffix = url.match(/[?#].*$/);
+            var name   = suffix ? url.substr(0, url.length - suffix[0].length) : url;
+            var asset  = directories
+                .map(directory => path.resolve(directory, name))
+                .filter(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile())[0];
+
+            if (!asset) {
+                gutil.log(gutil.colors.yellow(`${this.constructor.name}: ${path.relative(process.cwd(), source)}: ` +
+                    `file of url(${url}) not found`));
+                return match;
+            }
+
+            var contents  = fs.readFileSync(asset);
+            var extension = path.extname(asset);
+            var hash      = crypto.createHash('md5').update(contents).digest('hex').substr(0, 10);
+            var target    = path.basename(asset, extension) + (this._assets.hash ? '.' + hash : '') + extension;
+
+            // Different files with the same name are not overwritten
+            if (copied[target] && copied[target] !== asset) {
+                target = path.basename(asset, extension) + '.' + hash + extension;
+            }
+
+            if (!copied[target]) {
+                mkdirp.sync(path.join(output, this._assets.directory));
+                fs.writeFileSync(path.join(output, this._assets.directory, target), contents);
+                copied[target] = asset;
+            }
+
+            return `url(${quote}${this._assets.directory}/${target}${suffix ? suffix[0] : ''}${quote})`;
+        });
+    }
+
+    /**
+     * @param gulp
+     * @param options
+     * @returns {*}
+     */
+    minify(gulp, options = {}) {
+        return gulp.pipe(this.uglify(options));
+    }
+
+    /**
+     * @param wrapStream
+     * @returns {*}
+     */
+    createStream(wrapStream = null) {
+        var build = (stream) => {
+            var autoprefixes = require('gulp-autoprefixer');
+
+            if (this._autoPrefixer) {
+                var args = this._autoPrefixerOptions;
+                stream = this.compile(stream, autoprefixes(args));
+            }
+
+            return stream;
+        };
+
+        return super.createStream(stream => {
+            stream = build(stream);
+            if (wrapStream) {
+                stream = wrapStream(stream, this);
+            }
+            return stream;
+        });
+    }
+}
+
+/**
+ * @class SassCompiler
+ * @package lightweb-builder
+ */
+class SassCompiler extends CssCompiler {
+    /**
+     * @returns {*}
+     */
+    get compiler() {
+        try {
+            return require('gulp-sass');
+        } catch (e) {
+            throw this.compilerError('Sass', 'gulp-sass', '2.2.*');
+        }
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get inlineImports() {
+        return false;
+    }
+
+    /**
+     * @returns {Array}
+     */
+    get extensions() {
+        return ['.sass', '.scss', '.css'];
+    }
+
+    /**
+     * @param path
+     * @param options Extension or {extension, exclude}
+     * @param extension Default extension
+     * @returns {*|Compiler}
+     */
+    path(path, options = '.sass', extension = '.sass') {
+        return super.path(path, options, extension);
+    }
+
+    /**
+     * @param wrapStream
+     * @returns {*}
+     */
+    createStream(wrapStream = null) {
+        var build = (stream) => {
+            return this.compile(stream, this.compiler());
+        };
+
+        return super.createStream(stream => {
+            stream = build(stream);
+            if (wrapStream) {
+                stream = wrapStream(stream, this);
+            }
+            return stream;
+        });
+    }
+}
+
+/**
+ * @class ScssCompiler
+ * @package lightweb-builder
+ */
+class ScssCompiler extends SassCompiler {
+    /**
+     * @returns {*}
+     */
+    get compiler() {
+        try {
+            return require('gulp-sass');
+        } catch (e) {
+            throw this.compilerError('Scss', 'gulp-sass', '2.2.*');
+        }
+    }
+
+    /**
+     * @returns {Array}
+     */
+    get extensions() {
+        return ['.scss', '.sass', '.css'];
+    }
+
+    /**
+     * @param path
+     * @param options Extension or {extension, exclude}
+     * @param extension Default extension
+     * @returns {*|Compiler}
+     */
+    path(path, options = '.scss', extension = '.scss') {
+        return super.path(path, options, extension);
+    }
+}
+
+/**
+ * @class LessCompiler
+ * @package lightweb-builder
+ */
+class LessCompiler extends CssCompiler {
+    /**
+     * @returns {*}
+     */
+    get compiler() {
+        try {
+            return require('gulp-less');
+        } catch (e) {
+            throw this.compilerError('Less', 'gulp-less', '3.0.*');
+        }
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get inlineImports() {
+        return false;
+    }
+
+    /**
+     * @returns {Array}
+     */
+    get extensions() {
+        return ['.less', '.css'];
+    }
+
+    /**
+     * @param path
+     * @param options Extension or {extension, exclude}
+     * @param extension Default extension
+     * @returns {*|Compiler}
+     */
+    path(path, options = '.less', extension = '.less') {
+        return super.path(path, options, extension);
+    }
+
+    /**
+     * @param wrapStream
+     * @returns {*}
+     */
+    createStream(wrapStream = null) {
+        var build = (stream) => {
+            return this.compile(stream, this.compiler());
+        };
+
+        return super.createStream(stream => {
+            stream = build(stream);
+            if (wrapStream) {
+                stream = wrapStream(stream, this);
+            }
+            return stream;
+        });
+    }
+}
+
+/**
+ * @class StylusCompiler
+ * @package lightweb-builder
+ */
+class StylusCompiler extends CssCompiler {
+    /**
+     * @returns {*}
+     */
+    get compiler() {
+        try {
+            return require('gulp-stylus');
+        } catch (e) {
+            throw this.compilerError('Stylus', 'gulp-stylus', '2.3.*');
+        }
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get inlineImports() {
+        return false;
+    }
+
+    /**
+     * @returns {Array}
+     */
+    get extensions() {
+        return ['.styl', '.css'];
+    }
+
+    /**
+     * @param {string} path
+     * @param {string|{}} options Extension or {extension, exclude}
+     * @param {string} extension Default extension
+     * @returns {*|Compiler}
+     */
+    path(path, options = '.styl', extension = '.styl') {
+        return super.path(path, options, extension);
+    }
+
+    /**
+     * @param wrapStream
+     * @returns {*}
+     */
+    createStream(wrapStream = null) {
+        var build = (stream) => {
+            return this.compile(stream, this.compiler());
+        };
+
+        return super.createStream(stream => {
+            stream = build(stream);
+            if (wrapStream) {
+                stream = wrapStream(stream, this);
+            }
+            return stream;
+        });
+    }
+}
+
+/**
+ * @class BabelCompiler
+ * @package lightweb-builder
+ */
+class BabelCompiler extends JsCompiler {
+    /**
+     * Config files which are looked up in working directory
+     */
+    static CONFIG_FILES = ['.babelrc', '.babelrc.js', 'babel.config.js', 'package.json'];
+
+    /**
+     * @type {Array}
+     * @private
+     */
+    _presets = [];
+
+    /**
+     * @type {Array}
+     * @private
+     */
+    _plugins = [];
+
+    /**
+     * @type {{}}
+     * @private
+     */
+    _options = {};
+
+    /**
+     * @type {string|null}
+     * @private
+     */
+    _config = null;
+
+    /**
+     * Options of config file, they are read once per build
+     *
+     * @type {{}|null}
+     * @private
+     */
+    _configOptions = null;
+
+    /**
+     * @param presets
+     * @returns {BabelCompiler}
+     */
+    preset(...presets) {
+        this._presets = this._presets.concat(presets);
+        return this;
+    }
+
+    /**
+     * @param plugins
+     * @returns {BabelCompiler}
+     */
+    plugin(...plugins) {
+        this._plugins = this._plugins.concat(plugins);
+        return this;
+    }
+
+    options (args = {}) {
+        this._options = args;
+        return this;
+    }
+
+    /**
+     * Takes options from babel config file (.babelrc, .babelrc.js, babel.config.js or "babel"
+     * section of package.json). Section of `env` for builder environment is merged into them.
+     * Presets, plugins and options of the compiler are added over options of the file.
+     *
+     * @param {string|null} file
+     * @returns {BabelCompiler}
+     */
+    config(file = null) {
+        var fs   = require('fs');
+        var path = require('path');
+
+        if (file === null || file === true) {
+            file = BabelCompiler.CONFIG_FILES.filter(name => {
+                var candidate = path.resolve(name);
+
+                return fs.existsSync(candidate) &&
+                    (name !== 'package.json' || JSON.parse(fs.readFileSync(candidate, 'utf8')).babel);
+            })[0];
+
+            if (!file) {
+                throw new Error('Babel config file not found. Expected one of: ' + BabelCompiler.CONFIG_FILES.join(', '));
+            }
+        }
+
+        if (!fs.existsSync(file)) {
+            throw new Error('Babel config file ' + file + ' not found');
+        }
+
+        this._config = path.resolve(file);
+        this._configOptions = null;
+        return this;
+    }
+
+    /**
+     * Options of babel config file, `env` section is merged for builder environment
+     *
+     * @returns {{}}
+     */
+    readConfig() {
+        var fs   = require('fs');
+        var path = require('path');
+
+        var environment = this._builder.environment;
+        var file        = this._config;
+        var config;
+
+        if (/\.js$/.test(file)) {
+            delete require.cache[file];
+            config = require(file);
+
+            if (typeof config === 'function') {
+                var cache = () => {};
+                cache.forever = cache.never = cache.using = cache.invalidate = () => {};
+
+                config = config({
+                    cache: cache,
+                    env:   (name = null) => name === null ? environment : [].concat(name).indexOf(environment) >= 0
+                });
+            }
+        } else {
+            var text = fs.readFileSync(file, 'utf8');
+
+            try {
+                config = require('json5').parse(text);
+            } catch (e) {
+                config = JSON.parse(text);
+            }
+
+            if (path.basename(file) === 'package.json') {
+                config = config.babel;
+            }
+        }
+
+        var result = {};
+        var env    = ((config || {}).env || {})[environment] || {};
+
+        // Relative presets and plugins are resolved from config file directory
+        var resolve = item => {
+            if (item instanceof Array) {
+                return [resolve(item[0])].concat(item.slice(1));
+            }
+
+            return typeof item === 'string' && /^\.{1,2}\//.test(item) ? path.resolve(path.dirname(file), item) : item;
+        };
+
+        [config || {}, env].forEach(options => Object.keys(options).forEach(key => {
+            if (key === 'env') {
+                return;
+            }
+
+            result[key] = key === 'presets' || key === 'plugins'
+                ? (result[key] || []).concat(options[key].map(resolve))
+                : options[key];
+        }));
+
+        return result;
+    }
+
+    /**
+     * Options which are passed into babel
+     *
+     * @returns {{}}
+     */
+    get settings() {
+        var args = {
+            presets: this._presets,
+            plugins: this._plugins
+        };
+
+        if (this._config !== null) {
+            var config = this._configOptions || (this._configOptions = this.readConfig());
+
+            Object.keys(config).forEach(key => {
+                if (key !== 'presets' && key !== 'plugins') {
+                    args[key] = config[key];
+                }
+            });
+
+            args.presets = BabelCompiler._merge(config.presets || [], this._presets, 'babel-preset-');
+            args.plugins = BabelCompiler._merge(config.plugins || [], this._plugins, 'babel-plugin-');
+
+            // Config file is already applied, do not let babel read .babelrc files again
+            args.babelrc = false;
+        }
+
+        Object.keys(this._options).forEach(key => {
+            args[key] = this._options[key];
+        });
+
+        return args;
+    }
+
+    /**
+     * Adds items which are not in the list yet: "es2015" and
+     * "babel-preset-es2015" are the same presets.
+     *
+     * @param {Array} list
+     * @param {Array} items
+     * @param {string} prefix
+     * @returns {Array}
+     * @private
+     */
+    static _merge(list, items, prefix) {
+        var nameOf = item => {
+            var name = item instanceof Array ? item[0] : item;
+            return typeof name === 'string' ? name.replace(prefix, '') : name;
+        };
+
+        var names = list.map(nameOf);
+
+        return list.concat(items.filter(item => names.indexOf(nameOf(item)) < 0));
+    }
+
+    /**
+     * @returns {*}
+     */
+    get compiler() {
+        try {
+            return require('gulp-babel');
+        } catch (e) {
+            throw this.compilerError('Babel', 'gulp-babel', '6.1.*');
+        }
+    }
+
+    /**
+     * Config file is watched too, so changes of babel options rebuild the bundle
+     *
+     * @returns {Array}
+     */
+    get paths() {
+        return this._config === null ? super.paths : super.paths.concat(this._config);
+    }
+
+    /**
+     * @returns {{}}
+     */
+    get identity() {
+        return this.settings;
+    }
+
+    /**
+     * Config file or nearest .babelrc file, babel reads it in addition to compiler options
+     *
+     * @param file
+     * @returns {Array}
+     */
+    dependenciesOf(file) {
+        var fs   = require('fs');
+        var path = require('path');
+
+        if (this._config !== null) {
+            return [this._config];
+        }
+
+        var directory = path.dirname(file.path);
+
+        while (true) {
+            var config = path.join(directory, '.babelrc');
+
+            if (fs.existsSync(config)) {
+                return [config];
+            }
+
+            if (path.dirname(directory) === directory) {
+                return [];
+            }
+
+            directory = path.dirname(directory);
+        }
+    }
+
+    /**
+     * @param wrapStream
+     * @returns {*}
+     */
+    createStream(wrapStream = null) {
+        this._configOptions = null;
+
+        var build = (stream) => {
+            return this.compile(stream, this.compiler(this.settings));
+        };
+
+        return super.createStream(stream => {
+            stream = build(stream);
+            if (wrapStream) {
+                stream = wrapStream(stream, this);
+            }
+            return stream;
+        });
+    }
+}
+
+/**
+ * @class CoffeeCompiler
+ * @package lightweb-builder
+ */
+class CoffeeCompiler extends JsCompiler {
+    /**
+     * @type {boolean}
+     * @private
+     */
+    _bare = false;
+
+    /**
+     * @param enabled
+     * @returns {CoffeeCompiler}
+     */
+    bare(enabled = true) {
+        this._bare = enabled;
+        return this;
+    }
+
+    /**
+     * @returns {*}
+     */
+    get compiler() {
+        try {
+            return require('gulp-coffee');
+        } catch (e) {
+            throw this.compilerError('CoffeeScript', 'gulp-coffee', '2.3.*');
+        }
+    }
+
+    /**
+     * @returns {{}}
+     */
+    get identity() {
+        return {bare: this._bare};
+    }
+
+    /**
+     * @returns {Array}
+     */
+    get extensions() {
+        return ['.coffee', '.js'];
+    }
+
+    /**
+     * @param {string} path
+     * @param {string|{}} options Extension or {extension, exclude}
+     * @param {string} extension Default extension
+     * @returns {Compiler}
+     */
+    path(path, options = '.coffee', extension = '.coffee') {
+        return super.path(path, options, extension);
+    }
+
+    /**
+     * @param wrapStream
+     * @returns {*}
+     */
+    createStream(wrapStream = null) {
+        var build = (stream) => {
+            var args = {};
+
+            if (this._bare) {
+                args['bare'] = true;
+            }
+
+            return this.compile(stream, this.compiler(args));
+        };
+
+        return super.createStream(stream => {
+            stream = build(stream);
+            if (wrapStream) {
+                stream = wrapStream(stream, this);
+            }
+            return stream;
+        });
+    }
+}
+
+/**
+ * @class TypeScriptCompiler
+ * @package lightweb-builder
+ */
+class TypeScriptCompiler extends JsCompiler {
+    static TYPE_CHECK_OFF = 'off';
+    static TYPE_CHECK_WARN = 'warn';
+    static TYPE_CHECK_ERROR = 'error';
+
+    /**
+     * @type {{}}
+     * @private
+     */
+    _options = {};
+
+    /**
+     * @type {string}
+     * @private
+     */
+    _typeCheck = TypeScriptCompiler.TYPE_CHECK_WARN;
+
+    /**
+     * @type {*}
+     * @private
+     */
+    _project = null;
+
+    /**
+     * @type {Array}
+     * @private
+     */
+    _warnings = [];
+
+    /**
+     * @type {string|null}
+     * @private
+     */
+    _tsconfig = null;
+
+    /**
+     * @type {string|null}
+     * @private
+     */
+    _declarations = null;
+
+    /**
+     * Compiler options, they override options of tsconfig file
+     *
+     * @param {{}} args
+     * @returns {TypeScriptCompiler}
+     */
+    options(args = {}) {
+        this._options = args;
+        this._project = null;
+        return this;
+    }
+
+    /**
+     * Takes compiler options from tsconfig file. Files of tsconfig
+     * are not used, declare them by `file()`, `path()` or `entry()`.
+     *
+     * @param {string} file
+     * @returns {TypeScriptCompiler}
+     */
+    tsconfig(file = 'tsconfig.json') {
+        var fs = require('fs');
+
+        if (!fs.existsSync(file)) {
+            throw new Error('TypeScript config file ' + file + ' not found');
+        }
+
+        this._tsconfig = file;
+        this._project = null;
+        return this;
+    }
+
+    /**
+     * Writes declaration files (.d.ts) into the directory
+     *
+     * @param {string} directory
+     * @returns {TypeScriptCompiler}
+     */
+    declarations(directory) {
+        this._declarations = directory;
+        this._project = null;
+        return this;
+    }
+
+    /**
+     * Type checking of all compiled files: "error" breaks the build on type errors,
+     * "warn" only shows them and "off" transpiles files one by one without checking.
+     *
+     * @param {string|boolean} mode
+     * @returns {TypeScriptCompiler}
+     */
+    typeCheck(mode = TypeScriptCompiler.TYPE_CHECK_WARN) {
+        if (mode === true || mode === false) {
+            mode = mode ? TypeScriptCompiler.TYPE_CHECK_ERROR : TypeScriptCompiler.TYPE_CHECK_OFF;
+        }
+
+        var modes = [TypeScriptCompiler.TYPE_CHECK_OFF, TypeScriptCompiler.TYPE_CHECK_WARN, TypeScriptCompiler.TYPE_CHECK_ERROR];
+
+        if (modes.indexOf(mode) < 0) {
+            throw new Error(`Unknown type check mode "${mode}", expected "off", "warn" or "error"`);
+        }
+
+        this._typeCheck = mode;
+        this._project = null;
+        return this;
+    }
+
+    /**
+     * Type errors of the last compilation in "warn" mode
+     *
+     * @returns {Array}
+     */
+    get warnings() {
+        return this._warnings;
+    }
+
+    /**
+     * @returns {*}
+     */
+    get compiler() {
+        try {
+            return require('gulp-typescript');
+        } catch (e) {
+            throw this.compilerError('TypeScriptCompiler', 'gulp-typescript', '2.12.*');
+        }
+    }
+
+    /**
+     * Files of TypeScript project are compiled together,
+     * so they can not be taken from cache one by one.
+     *
+     * @returns {boolean}
+     */
+    get cacheable() {
+        return false;
+    }
+
+    /**
+     * @returns {Array}
+     */
+    get extensions() {
+        return ['.ts', '.tsx', '.js'];
+    }
+
+    /**
+     * Compiler options of tsconfig file merged with `options()`,
+     * "baseUrl" is resolved to absolute path.
+     *
+     * @returns {{}}
+     */
+    get settings() {
+        var path     = require('path');
+        var settings = this._tsconfig ? this._readConfig(this._tsconfig) : {};
+
+        Object.keys(this._options).forEach(key => {
+            settings[key] = key === 'baseUrl' ? path.resolve(this._options[key]) : this._options[key];
+        });
+
+        return settings;
+    }
+
+    /**
+     * "paths" option with absolute locations
+     *
+     * @returns {{}}
+     */
+    get aliases() {
+        var path     = require('path');
+        var settings = this.settings;
+        var paths    = settings.paths || {};
+        var base     = settings.baseUrl || process.cwd();
+        var result   = {};
+
+        Object.keys(paths).forEach(pattern => {
+            result[pattern] = paths[pattern].map(location => path.resolve(base, location));
+        });
+
+        return result;
+    }
+
+    /**
+     * Reads compiler options of tsconfig file and files which are extended by it
+     *
+     * @param {string} file
+     * @returns {{}}
+     * @private
+     */
+    _readConfig(file) {
+        var fs   = require('fs');
+        var path = require('path');
+
+        try {
+            var ts = require('typescript');
+        } catch (e) {
+            throw this.compilerError('TypeScriptCompiler', 'typescript', '2.0.*');
+        }
+
+        var parsed = ts.parseConfigFileTextToJson(file, fs.readFileSync(file, 'utf8'));
+        if (parsed.error) {
+            throw new Error('Invalid TypeScript config file ' + file + ': ' +
+                ts.flattenDiagnosticMessageText(parsed.error.messageText, "\n"));
+        }
+
+        var config  = parsed.config || {};
+        var options = config.extends
+            ? this._readConfig(path.resolve(path.dirname(file), config.extends.replace(/(\.json)?$/, '.json')))
+            : {};
+
+        Object.keys(config.compilerOptions || {}).forEach(key => {
+            options[key] = config.compilerOptions[key];
+        });
+
+        if (config.compilerOptions && config.compilerOptions.baseUrl) {
+            options.baseUrl = path.resolve(path.dirname(file), config.compilerOptions.baseUrl);
+        }
+
+        return options;
+    }
+
+    /**
+     * @param {string} path
+     * @param {string|{}} options Extension or {extension, exclude}
+     * @param {string} extension Default extension
+     * @returns {Compiler}
+     */
+    path(path, options = '.ts', extension = '.ts') {
+        return super.path(path, options, extension);
+    }
+
+    /**
+     * gulp-typescript project. It is reused by next builds, so
+     * unchanged files are not parsed and checked again.
+     *
+     * @returns {*}
+     */
+    project() {
+        if (this._project !== null) {
+            return this._project;
+        }
+
+        var ts       = this.compiler;
+        var settings = this.settings;
+        var args     = {};
+
+        Object.keys(this._options).forEach(key => {
+            args[key] = this._options[key];
+        });
+
+        // Use project compiler version instead of bundled into gulp-typescript
+        if (!args.typescript) {
+            try {
+                args['typescript'] = require('typescript');
+            } catch (e) {
+                // Not installed, bundled version is used
+            }
+        }
+
+        // gulp-typescript passes these options as is, but compiler
+        // expects absolute "baseUrl" and file names of "lib" option
+        if (settings.baseUrl) {
+            args['baseUrl'] = settings.baseUrl;
+        }
+
+        if (settings.lib) {
+            args['lib'] = settings.lib.map(lib => /^lib\..*\.d\.ts$/.test(lib) ? lib : `lib.${lib.toLowerCase()}.d.ts`);
+        }
+
+        if (this._declarations) {
+            args['declaration'] = true;
+        }
+
+        // Files are transpiled one by one without type information
+        if (this._typeCheck === TypeScriptCompiler.TYPE_CHECK_OFF) {
+            args['isolatedModules'] = true;
+        }
+
+        return this._project = this._tsconfig ? ts.createProject(this._tsconfig, args) : ts.createProject(args);
+    }
+
+    /**
+     * Type errors are warnings in "warn" mode,
+     * syntax errors (TS1xxx) always break the build.
+     *
+     * @param {Error} error
+     * @returns {TypeScriptCompiler}
+     */
+    diagnostic(error) {
+        var gutil = require('gulp-util');
+        var code  = error.diagnostic ? error.diagnostic.code : null;
+
+        if (this._typeCheck !== TypeScriptCompiler.TYPE_CHECK_WARN || code === null || code < 2000) {
+            return this.report(error);
+        }
+
+        var warning = this.createError(error);
+
+        this._warnings.push(warning);
+        gutil.log(gutil.colors.yellow(warning.message));
+
+        return this;
+    }
+
+    /**
+     * @param wrapStream
+     * @returns {*}
+     */
+    createStream(wrapStream = null) {
+        this._warnings = [];
+
+        var build = (stream) => {
+            // Diagnostics are reported by the builder instead of gulp-typescript reporter
+            var plugin = this.compiler(this.project(), undefined, {});
+            var output = fed(stream, plugin, error => this.diagnostic(error));
+
+            if (!this._declarations) {
+                return output;
+            }
+
+            // Declarations are not bundled, compiled stream ends after they are written
+            var declarations = plugin.dts
+                .pipe(gulp.dest(this._declarations))
+                .on('error', error => this.report(error))
+                .pipe(filter(() => false));
+
+            return merge([output, declarations]);
+        };
+
+        return super.createStream(stream => {
+            stream = build(stream);
+            if (wrapStream) {
+                stream = wrapStream(stream, this);
+            }
+            return stream;
+        });
+    }
+}
+
+/**
+ * Precompiles template files into CommonJS modules
+ * which export render functions.
+ *
+ * @class TemplatesCompiler
+ * @package lightweb-builder
+ */
+class TemplatesCompiler extends JsCompiler {
+    /**
+     * Supported engines: {name: {package, version, extensions}}
+     */
+    static ENGINES = {
+        handlebars: {package: 'handlebars', version: '4.0.*', extensions: ['.hbs', '.handlebars']},
+        mustache:   {package: 'hogan.js', version: '3.0.*', extensions: ['.mustache']},
+        lodash:     {package: 'lodash', version: '4.*', extensions: ['.tpl']}
+    };
+
+    /**
+     * @type {string}
+     * @private
+     */
+    _engine = 'handlebars';
+
+    /**
+     * @type {{}}
+     * @private
+     */
+    _engineOptions = {};
+
+    /**
+     * Call it before `path()`, so default extension of the engine is used
+     *
+     * @param {string} name handlebars, mustache or lodash
+     * @param {{}} options Options of engine compiler
+     * @returns {TemplatesCompiler}
+     */
+    engine(name, options = {}) {
+        if (!TemplatesCompiler.ENGINES[name]) {
+            throw new Error(`Unknown template engine "${name}", expected one of: ` +
+                Object.keys(TemplatesCompiler.ENGINES).join(', '));
+        }
+
+        this._engine = name;
+        this._engineOptions = options;
+        return this;
+    }
+
+    /**
+     * @returns {*}
+     */
+    get compiler() {
+        var engine = TemplatesCompiler.ENGINES[this._engine];
+
+        try {
+            return require(engine.package);
+        } catch (e) {
+            throw this.compilerError(`Templates (${this._engine})`, engine.package, engine.version);
+        }
+    }
+
+    /**
+     * Templates are always wrapped into modules
+     *
+     * @returns {boolean}
+     */
+    get modules() {
+        return true;
+    }
+
+    /**
+     * @returns {Array}
+     */
+    get extensions() {
+        return TemplatesCompiler.ENGINES[this._engine].extensions;
+    }
+
+    /**
+     * @returns {{}}
+     */
+    get identity() {
+        return {
+            engine:  this._engine,
+            options: this._engineOptions
+        };
+    }
+
+    /**
+     * Adds files with all extensions of the engine by default
+     *
+     * @param {string} path
+     * @param {string|{}|null} options Extension or {extension, exclude}
+     * @returns {Compiler}
+     */
+    path(path, options = null) {
+        var extensions = this.extensions.map(extension => extension.substr(1));
+
+        return super.path(
+            path, options === null ? {} : options, extensions.length > 1 ? `.{${extensions.join(',')}}` : `.${extensions[0]}`
+        );
+    }
+
+    /**
+     * Module code of the template, global runtime of
+     * the engine is used if it is loaded on the page.
+     *
+     * @param {string} source
+     * @returns {string}
+     */
+    precompile(source) {
+        var engine  = this.compiler;
+        var options = this._engineOptions;
+
+        switch (this._engine) {
+            case 'handlebars':
+                return [
+                    "var Handlebars = typeof window !== 'undefined' && window.Handlebars",
+                    "    ? window.Handlebars : require('handlebars/runtime')['default'];",
+                    `module.exports = Handlebars.template(${engine.precompile(source, options)});`
+                ].join("\n");
+
+            case 'mustache':
+                var settings = {asString: true};
+                Object.keys(options).forEach(key => settings[key] = options[key]);
+
+                return [
+                    "var Hogan = typeof window !== 'undefined' && window.Hogan ? window.Hogan : require('hogan.js');",
+                    `var template = new Hogan.Template(${engine.compile(source, settings)});`,
+                    'module.exports = function (context, partials) { return template.render(context, partials); };'
+                ].join("\n");
+
+            case 'lodash':
+                return [
+                    "var _ = typeof window !== 'undefined' && window._ ? window._ : require('lodash');",
+                    `module.exports = ${engine.template(source, options).source};`
+                ].join("\n");
+        }
+    }
+
+    /**
+     * @param wrapStream
+     * @returns {*}
+     */
+    createStream(wrapStream = null) {
+        var build = (stream) => {
+            return this.compile(stream, through.obj((file, encoding, next) => {
+                try {
+                    file.contents = Buffer.from(this.precompile(file.contents.toString()));
+                    file.path = file.path.replace(/\.[^.\\/]*$/, '') + '.js';
+                } catch (error) {
+                    error.fileName = file.path;
+                    return next(error);
+                }
+
+                next(null, file);
+            }));
+        };
+
+        return super.createStream(stream => {
+            stream = build(stream);
+            if (wrapStream) {
+                stream = wrapStream(stream, this);
+            }
+            return stream;
+        });
+    }
+}
+
+/**
+ * Copies html pages into output directory and replaces bundle
+ * markers with paths of built (and hashed) bundles.
+ *
+ * @class HtmlCompiler
+ * @package lightweb-builder
+ */
+class HtmlCompiler extends Compiler {
+    /**
+     * @type {string}
+     * @private
+     */
+    _manifest = 'manifest.json';
+
+    /**
+     * @returns {string}
+     */
+    get kind() {
+        return Compiler.KIND_PAGE;
+    }
+
+    /**
+     * @returns {*}
+     */
+    get uglify() {
+        try {
+            return require('gulp-htmlmin');
+        } catch (e) {
+            throw this.compilerError('HTML minifier', 'gulp-htmlmin', '2.0.*');
+        }
+    }
+
+    /**
+     * Manifest file name of hashed bundles, see `withHash()`
+     *
+     * @param {string} name
+     * @returns {HtmlCompiler}
+     */
+    manifest(name = 'manifest.json') {
+        this._manifest = name;
+        return this;
+    }
+
+    /**
+     * @param {string} path
+     * @param {string|{}} options Extension or {extension, exclude}
+     * @param {string} extension Default extension
+     * @returns {Compiler}
+     */
+    path(path, options = '.html', extension = '.html') {
+        return super.path(path, options, extension);
+    }
+
+    /**
+     * @param gulp
+     * @param options
+     * @returns {*}
+     */
+    minify(gulp, options = {}) {
+        return gulp.pipe(this.uglify(Object.keys(options).length > 0 ? options : {collapseWhitespace: true}));
+    }
+
+    /**
+     * @param stream
+     * @param {string} directory
+     * @returns {*}
+     */
+    relocate(stream, directory) {
+        return stream.pipe(tap(file => {
+            file.contents = Buffer.from(this.inject(file, directory));
+        }));
+    }
+
+    /**
+     * Replaces `<script data-bundle="js/app.js"></script>`, `<link data-bundle="css/app.css">`
+     * and `<!-- bundle: js/app.js -->` markers with tags of bundles. Bundle names are
+     * paths relative to output directory, hashed names are taken from manifest files.
+     *
+     * @param file
+     * @param {string} directory
+     * @returns {string}
+     */
+    inject(file, directory) {
+        var path = require('path');
+
+        var page = path.dirname(path.join(directory, file.relative));
+        var url  = name => {
+            var bundle = this.resolveBundle(name, directory);
+
+            if (bundle === null) {
+                var error = new Error(`Bundle ${name} not found in ${directory}`);
+                error.fileName = file.history[0];
+                this.report(error);
+
+                return name;
+            }
+
+            return path.relative(page, bundle).replace(/\\/g, '/');
+        };
+
+        return file.contents.toString()
+            .replace(/<script\b([^>]*?)\s+data-bundle=(["'])([^"']+)\2([^>]*)>\s*<\/script>/gi, (match, before, quote, name, after) => {
+                var attributes = (before + after).replace(/\s+src=(["'])[^"']*\1/gi, '');
+
+                return `<script${attributes} src="${url(name)}"></script>`;
+            })
+            .replace(/<link\b([^>]*?)\s+data-bundle=(["'])([^"']+)\2([^>]*?)\s*\/?>/gi, (match, before, quote, name, after) => {
+                var attributes = (before + after).replace(/\s+href=(["'])[^"']*\1/gi, '');
+
+                if (!/\srel=/i.test(attributes)) {
+                    attributes = ' rel="stylesheet"' + attributes;
+                }
+
+                return `<link${attributes} href="${url(name)}">`;
+            })
+            .replace(/<!--\s*bundle:\s*(\S+)\s*-->/gi, (match, name) => {
+                return path.extname(name) === '.css'
+                    ? `<link rel="stylesheet" href="${url(name)}">`
+                    : `<script src="${url(name)}"></script>`;
+            });
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} directory
+     * @returns {string|null}
+     */
+    resolveBundle(name, directory) {
+        var fs   = require('fs');
+        var path = require('path');
+
+        var file     = path.join(directory, name);
+        var manifest = path.join(path.dirname(file), this._manifest);
+
+        if (fs.existsSync(manifest)) {
+            var entries = JSON.parse(fs.readFileSync(manifest, 'utf8'));
+
+            if (entries[path.basename(file)]) {
+                file = path.join(path.dirname(file), entries[path.basename(file)]);
+            }
+        }
+
+        return fs.existsSync(file) ? file : null;
+    }
+}
+
+/**
+ * @class BuildStats
+ * @package lightweb-builder
+ */
+class BuildStats {
+    /**
+     * @type {number}
+     * @private
+     */
+    _started = 0;
+
+    /**
+     * @type {number}
+     * @private
+     */
+    _time = 0;
+
+    /**
+     * @type {Array}
+     * @private
+     */
+    _outputs = [];
+
+    /**
+     * @type {Array}
+     * @private
+     */
+    _compilers = [];
+
+    /**
+     * @type {{original: number, minified: number, gzip: number}}
+     * @private
+     */
+    _size = {original: 0, minified: 0, gzip: 0};
+
+    constructor() {
+        this._started = Date.now();
+    }
+
+    /**
+     * Written files: bundle, source map and gzip archive
+     *
+     * @returns {Array}
+     */
+    get outputs() {
+        return this._outputs;
+    }
+
+    /**
+     * Per compiler files list and elapsed time
+     *
+     * @returns {Array}
+     */
+    get compilers() {
+        return this._compilers;
+    }
+
+    /**
+     * Bundle size in bytes after concatenation, minification and gzip
+     *
+     * @returns {{original: number, minified: number, gzip: number}}
+     */
+    get size() {
+        return this._size;
+    }
+
+    /**
+     * @returns {number}
+     */
+    get time() {
+        return this._time;
+    }
+
+    /**
+     * Converts result of `build()` into list of stats
+     *
+     * @param {BuildStats|{}} stats
+     * @returns {Array}
+     */
+    static list(stats) {
+        return stats instanceof BuildStats ? [stats] : Object.keys(stats).map(kind => stats[kind]);
+    }
+
+    /**
+     * @param {Compiler} compiler
+     * @returns {*}
+     */
+    track(compiler) {
+        var path  = require('path');
+        var entry = {name: compiler.constructor.name, files: [], time: 0};
+
+        this._compilers.push(entry);
+
+        return tap(file => {
+            entry.files.push(path.relative(process.cwd(), file.history[0]));
+        }, () => {
+            entry.time = Date.now() - this._started;
+        });
+    }
+
+    /**
+     * @param {string} type
+     * @returns {*}
+     */
+    measure(type) {
+        var path = require('path');
+
+        return tap(file => {
+            if (path.extname(file.path) !== '.map') {
+                this._size[type] += file.contents.length;
+            }
+        });
+    }
+
+    /**
+     * @param {string} dist
+     * @returns {*}
+     */
+    output(dist) {
+        var path = require('path');
+
+        return tap(file => {
+            this._outputs.push({
+                path: path.join(dist, file.relative),
+                size: file.contents.length
+            });
+        });
+    }
+
+    /**
+     * @returns {BuildStats}
+     */
+    finish() {
+        this._time = Date.now() - this._started;
+        return this;
+    }
+
+    /**
+     * @returns {string}
+     */
+    toString() {
+        var result = this._outputs.map(output => `${output.path}: ${output.size} bytes`);
+
+        this._compilers.forEach(compiler => {
+            result.push(`${compiler.name}: ${compiler.files.length} files in ${compiler.time} ms`);
+        });
+
+        result.push(`Total: ${this._time} ms`);
+
+        return result.join("\n");
+    }
+}
+
+/**
+ * Static http server which notifies connected pages about rebuilds
+ * through EventSource.
+ *
+ * @class DevServer
+ * @package lightweb-builder
+ */
+class DevServer {
+    static CLIENT_URL = '/__lightweb/client.js';
+    static EVENTS_URL = '/__lightweb/events';
+
+    static CLIENT = `(function () {
+    var source = new EventSource('${DevServer.EVENTS_URL}');
+
+    source.onmessage = function (event) {
+        var data = JSON.parse(event.data);
+        if (data.type !== 'css') {
+            return window.location.reload();
+        }
+
+        var links = document.querySelectorAll('link[rel="stylesheet"]');
+        for (var i = 0; i < links.length; i++) {
+            var name = links[i].href.split('?')[0].split('/').pop().replace(/\\.[0-9a-f]{10}(\\.css)$/, '$1');
+
+            for (var j = 0; j < data.files.length; j++) {
+                if (data.files[j].name === name) {
+                    links[i].href = data.files[j].url + '?' + Date.now();
+                }
+            }
+        }
+    };
+})();`;
+
+    static TYPES = {
+        '.html': 'text/html',
+        '.htm':  'text/html',
+        '.js':   'application/javascript',
+        '.css':  'text/css',
+        '.json': 'application/json',
+        '.map':  'application/json',
+        '.svg':  'image/svg+xml',
+        '.png':  'image/png',
+        '.jpg':  'image/jpeg',
+        '.jpeg': 'image/jpeg',
+        '.gif':  'image/gif',
+        '.ico':  'image/x-icon',
+        '.woff': 'application/font-woff',
+        '.woff2': 'font/woff2',
+        '.ttf':  'application/x-font-ttf',
+        '.eot':  'application/vnd.ms-fontobject',
+        '.txt':  'text/plain'
+    };
 
     /**
-     * @type {WebBuilder}
+     * @type {{}}
      * @private
      */
-    _builder = null;
+    static _servers = {};
 
     /**
-     * @type {boolean}
+     * @type {string}
      * @private
      */
-    _syncBuilding = false;
+    _root = '';
 
     /**
-     * @type {{}}
+     * @type {Array}
      * @private
      */
-    _files = {};
+    _clients = [];
 
     /**
      * @type {Array}
      * @private
      */
-    _gulpPaths = [];
+    _watchers = [];
 
     /**
-     * @param builder
+     * @type {*}
+     * @private
      */
-    constructor(builder) {
-        this._builder = builder;
-    }
+    _server = null;
 
     /**
-     * @param enabled
-     * @returns {Compiler}
+     * Builders with the same port share one server
+     *
+     * @param {number} port
+     * @param {string} root
+     * @returns {DevServer}
      */
-    syncBuilding(enabled = false) {
-        this._syncBuilding = !!enabled;
-        return this;
+    static get(port, root) {
+        if (!DevServer._servers[port]) {
+            DevServer._servers[port] = new DevServer(port, root);
+        }
+
+        return DevServer._servers[port];
     }
 
     /**
-     * @returns {boolean}
+     * @param {number} port
+     * @param {string} root
      */
-    get synced() {
-        return this._syncBuilding;
+    constructor(port, root) {
+        var http  = require('http');
+        var path  = require('path');
+        var gutil = require('gulp-util');
+
+        this._root   = path.resolve(root);
+        this._server = http.createServer((request, response) => this.handle(request, response));
+        this._server.on('error', error => {
+            gutil.log(gutil.colors.red(`Server at port ${port} failed: ${error.message}`));
+        });
+        this._server.listen(port);
+
+        gutil.log('Serving', gutil.colors.cyan(root), 'at', gutil.colors.magenta('http://localhost:' + port));
     }
 
     /**
-     * @returns {{}}
+     * @param request
+     * @param response
      */
-    get files() {
-        return this._files;
+    handle(request, response) {
+        var fs   = require('fs');
+        var path = require('path');
+        var url;
+
+        try {
+            url = decodeURIComponent(require('url').parse(request.url).pathname);
+        } catch (error) {
+            response.writeHead(400, {'Content-Type': DevServer.TYPES['.txt']});
+            return response.end('Bad request: ' + request.url);
+        }
+
+        if (url === DevServer.EVENTS_URL) {
+            return this.subscribe(request, response);
+        }
+
+        if (url === DevServer.CLIENT_URL) {
+            response.writeHead(200, {'Content-Type': DevServer.TYPES['.js']});
+            return response.end(DevServer.CLIENT);
+        }
+
+        var file     = path.join(this._root, url);
+        var relative = path.relative(this._root, file);
+
+        if (relative.split(path.sep)[0] === '..' || path.isAbsolute(relative)) {
+            response.writeHead(403);
+            return response.end();
+        }
+
+        if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+            file = path.join(file, 'index.html');
+        }
+
+        fs.readFile(file, (error, contents) => {
+            if (error) {
+                response.writeHead(404, {'Content-Type': DevServer.TYPES['.txt']});
+                return response.end('Not found: ' + url);
+            }
+
+            var extension = path.extname(file).toLowerCase();
+
+            if (DevServer.TYPES[extension] === DevServer.TYPES['.html']) {
+                contents = this.inject(contents.toString());
+            }
+
+            response.writeHead(200, {
+                'Content-Type':  DevServer.TYPES[extension] || 'application/octet-stream',
+                'Cache-Control': 'no-cache'
+            });
+            response.end(contents);
+        });
     }
 
     /**
-     * @param {string} file
-     * @returns {Compiler}
+     * @param {string} html
+     * @returns {string}
      */
-    file(file) {
-        this._files[file] = Compiler.TYPE_FILE;
-        this._gulpPaths.push(file);
-        return this;
+    inject(html) {
+        var script = `<script src="${DevServer.CLIENT_URL}"></script>`;
+        var index  = html.lastIndexOf('</body>');
+
+        return index < 0
+            ? html + script
+            : html.substr(0, index) + script + html.substr(index);
     }
 
     /**
-     * @param {string} path
-     * @param {string} extension
-     * @returns {Compiler}
+     * @param request
+     * @param response
      */
-    path(path, extension = '') {
-        var lastChar = path[path.length - 1];
-        if (lastChar !== '/' && lastChar !== '\\') {
-            throw new Error('Directory name must be ended at "/" char');
-        }
+    subscribe(request, response) {
+        response.writeHead(200, {
+            'Content-Type':  'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection':    'keep-alive'
+        });
+        response.write("retry: 1000\n\n");
 
-        this._files[path] = Compiler.TYPE_DIR;
-        this._gulpPaths.push(path + '**/*' + extension);
-        return this;
+        this._clients.push(response);
+
+        request.on('close', () => {
+            this._clients = this._clients.filter(client => client !== response);
+        });
     }
 
     /**
-     * @param {Function|null} wrapStream
-     * @returns {*}
+     * @param {{}} event
      */
-    createStream(wrapStream = null) {
-        var stream = gulp.src(this._gulpPaths);
+    notify(event) {
+        var message = 'data: ' + JSON.stringify(event) + "\n\n";
+        this._clients.forEach(client => client.write(message));
+    }
 
-        if (wrapStream) {
-            stream = wrapStream(stream, this);
+    /**
+     * Reloads stylesheets in place for css only builds and whole page otherwise
+     *
+     * @param {BuildStats|{}} stats
+     * @param {boolean} stylesOnly
+     */
+    reload(stats, stylesOnly = false) {
+        var path = require('path');
+
+        if (!stylesOnly) {
+            return this.notify({type: 'reload'});
         }
 
-        return stream.pipe(debug({title: '+'}));
+        var files = BuildStats.list(stats)
+            .reduce((outputs, item) => outputs.concat(item.outputs), [])
+            .filter(output => path.extname(output.path) === '.css')
+            .map(output => ({
+                name: path.basename(output.path).replace(/\.[0-9a-f]{10}(\.css)$/, '$1'),
+                url:  '/' + path.relative(this._root, path.resolve(output.path)).replace(/\\/g, '/')
+            }));
+
+        this.notify({type: 'css', files: files});
     }
 
     /**
-     * @param gulp
-     * @param {object} options
-     * @returns {*}
+     * Watcher is closed together with the server
+     *
+     * @param {*} watcher
+     * @returns {DevServer}
      */
-    minify(gulp, options = {}) {
-        return gulp;
+    watch(watcher) {
+        this._watchers.push(watcher);
+        return this;
     }
 
     /**
-     * @param {string} name
-     * @param {string} pkg
-     * @param {string} version
-     * @returns {Error}
+     * @returns {DevServer}
      */
-    compilerError(name, pkg, version) {
-        return new Error(`${name} compiler not defined. Please add {"${pkg}": "${version}"} in your package.json`);
+    close() {
+        this._watchers.forEach(watcher => watcher.end());
+        this._watchers = [];
+        this._clients.forEach(client => client.end());
+        this._server.close();
+
+        Object.keys(DevServer._servers).forEach(port => {
+            if (DevServer._servers[port] === this) {
+                delete DevServer._servers[port];
+            }
+        });
+
+        return this;
     }
 }
 
 /**
- * @class JsCompiler
+ * Builders which are built together. Files which are included by
+ * several builders can be moved into one shared bundle.
+ *
+ * @class BuilderGroup
  * @package lightweb-builder
  */
-class JsCompiler extends Compiler {
+class BuilderGroup {
     /**
-     * @type {{}}
+     * @type {Array}
      * @private
      */
-    _package = '';
+    _builders = [];
 
     /**
-     * @returns {*}
+     * Outputs of shared bundles by kind: {js: 'vendor.js'}
+     *
+     * @type {{}}
+     * @private
      */
-    get wrapper() {
-        return require('gulp-wrap-commonjs');
-    }
+    _common = {};
 
     /**
-     * @returns {*}
+     * @type {number}
+     * @private
      */
-    get uglify() {
-        return require('gulp-uglify');
-    }
+    _minUsage = 2;
 
     /**
-     * @param {string} name
-     * @returns {JsCompiler}
+     * @param {Array} builders
      */
-    namespace(name) {
-        var lastChar = name[name.length - 1];
-        if (lastChar !== '/') {
-            name += '/';
+    constructor(builders) {
+        if (!(builders instanceof Array) || builders.length === 0) {
+            throw new Error('Builders group must contain at least one builder');
         }
-        this._package = name;
-        return this;
+
+        this._builders = builders;
     }
 
     /**
-     * @param {string} text
-     * @returns {string}
-     * @private
+     * @returns {Array}
      */
-    static _escapeRegexp(text) {
-        return text.replace(/[\-\[\]\/\{\}\(\)\+\?\*\.\\\^\$\|]/g, "\\$&");
+    get builders() {
+        return this._builders;
     }
 
     /**
-     * @param gulp
-     * @param options
-     * @returns {*}
+     * Moves files which are included by at least `minUsage` builders
+     * into the output (`{js: '...', css: '...'}` for several kinds)
+     *
+     * @param {string|{}} output
+     * @param {{minUsage: number}} options
+     * @returns {BuilderGroup}
      */
-    minify(gulp, options = {}) {
-        return gulp.pipe(this.uglify(options));
+    extractCommon(output, options = {}) {
+        this._common   = typeof output === 'object' ? output : {[Compiler.KIND_SCRIPT]: output};
+        this._minUsage  = options.minUsage || 2;
+        return this;
     }
 
     /**
-     * @param {string} path
-     * @param {string} extension
-     * @returns {Compiler}
+     * Files of shared bundles: {kind: [files]}
+     *
+     * @returns {Promise}
      */
-    path(path, extension = '.js') {
-        return super.path(path, extension);
+    commonFiles() {
+        return Promise.all(this._builders.map(builder => builder.sourceFiles())).then(lists => {
+            var result = {};
+
+            Object.keys(this._common).forEach(kind => {
+                var usage = {};
+
+                lists.forEach(files => (files[kind] || []).forEach(file => usage[file] = (usage[file] || 0) + 1));
+
+                result[kind] = Object.keys(usage).filter(file => usage[file] >= this._minUsage);
+            });
+
+            return result;
+        });
     }
 
     /**
-     * @param {Function|null} wrapStream
+     * Builds every builder into output with the same index and writes shared bundles.
+     * The promise is resolved with `{common: {kind: BuildStats}, builds: [stats]}`.
+     *
+     * @param {Array} outputs
      * @returns {*}
      */
-    createStream(wrapStream = null) {
-        var stream = super.createStream(wrapStream);
+    build(outputs) {
+        if (!(outputs instanceof Array) || outputs.length !== this._builders.length) {
+            throw new Error('Building error. Output must be defined for every builder of the group');
+        }
 
-        if (this._package !== '') {
-            stream = stream.pipe(this.wrapper({
-                pathModifier: path => {
-                    path = path.replace(/\\/g, '/');
+        var stream    = through.obj();
+        var collected = [];
 
-                    Object.keys(this.files).forEach(item => {
-                        var type   = this.files[item];
-                        var isFile = type === Compiler.TYPE_FILE;
-                        var regexp = isFile
-                            ? new RegExp('.*?' + this.constructor._escapeRegexp(item) + '$', 'g')
-                            : new RegExp('.*?' + this.constructor._escapeRegexp(item) + '.*?', 'g');
+        var promise = this.commonFiles().then(common => {
+            this._builders.forEach((builder, index) => builder.share(common, (kind, file) => {
+                collected.push({kind: kind, index: index, order: collected.length, file: file});
+            }));
 
-                        if (item.match(regexp)) {
-                            path = path.replace(regexp, isFile ? item.split('/').pop() : '');
-                        }
-                    });
+            return settled(this._builders.map((builder, index) => {
+                return new Promise(resolve => resolve(builder.build(outputs[index]).done()));
+            }));
+        }).then(results => {
+            this._builders.forEach(builder => builder.share(null));
 
-                    var result = this._package + path.replace(/\.[a-z0-9]+$/, '');
+            var failures = results.filter(result => result.error);
 
-                    if (result[0] === '/') {
-                        return result.substr(1);
-                    }
+            if (failures.length === 1) {
+                throw failures[0].error;
+            }
 
-                    return result;
-                }
-            }));
-        }
+            if (failures.length > 1) {
+                var error = new Error(`Building failed with ${failures.length} failed builder(s)`);
+                error.errors = failures.reduce((errors, result) => errors.concat(result.error.errors || [result.error]), []);
+                throw error;
+            }
+
+            var kinds = Object.keys(this._common);
+
+            return Promise.all(kinds.map(kind => this._writeCommon(kind, collected))).then(stats => {
+                var common = {};
+                kinds.forEach((kind, index) => common[kind] = stats[index]);
+
+                return {common: common, builds: results.map(result => result.value)};
+            });
+        });
+
+        promise.then(() => stream.end(), error => {
+            failed(stream, error);
+            stream.end();
+        });
+
+        stream.done = () => promise;
 
         return stream;
     }
+
+    /**
+     * Writes collected files of the kind in order of builders,
+     * builder of the first file writes the bundle with its options.
+     *
+     * @param {string} kind
+     * @param {Array} collected
+     * @returns {Promise}
+     * @private
+     */
+    _writeCommon(kind, collected) {
+        var written = {};
+        var files   = collected
+            .filter(item => item.kind === kind)
+            .sort((a, b) => a.index - b.index || a.order - b.order)
+            .filter(item => written[Compiler.sourceKey(item.file)] ? false : (written[Compiler.sourceKey(item.file)] = true));
+
+        if (files.length === 0) {
+            return Promise.resolve(null);
+        }
+
+        return this._builders[files[0].index]
+            .buildFiles(files.map(item => item.file), this._common[kind], kind)
+            .done();
+    }
 }
 
 /**
- * @class CssCompiler
+ * @class WebBuilder
  * @package lightweb-builder
  */
-class CssCompiler extends Compiler {
+export default class WebBuilder {
     /**
-     * @type {boolean}
-     * @private
+     * Config file names which are looked up in working directory
      */
-    _autoPrefixer = false;
+    static CONFIG_FILES = ['lightweb.config.js', 'lightweb.config.json'];
 
     /**
-     * @type {{}}
-     * @private
+     * Compiler types of config files
      */
-    _autoPrefixerOptions = {};
+    static CONFIG_COMPILERS = [
+        'babel', 'es6', 'es7', 'coffee', 'js', 'ts', 'templates', 'sass', 'scss', 'less', 'stylus', 'css', 'html'
+    ];
 
     /**
-     * @returns {*}
+     * Builder options of config files: {option: method}
      */
-    get uglify() {
-        return require('gulp-clean-css');
-    }
+    static CONFIG_OPTIONS = {
+        commonJs:    'withCommonJs',
+        polyfill:    'withPolyfill',
+        sourceMaps:  'withSourceMaps',
+        minify:      'withMinify',
+        gzip:        'withGzip',
+        hash:        'withHash',
+        randomOrder: 'withRandomOrder',
+        cache:       'withCache',
+        define:      'define'
+    };
 
     /**
-     * @param path
-     * @param extension
-     * @returns {Compiler}
+     * Compiler options of config files which are lists: {option: method}
      */
-    path(path, extension = '.css') {
-        return super.path(path, extension);
-    }
+    static CONFIG_LISTS = {
+        files:   'file',
+        paths:   'path',
+        entry:   'entry',
+        presets: 'preset',
+        plugins: 'plugin'
+    };
 
     /**
-     * @param enabled
-     * @param options
-     * @returns {CssCompiler}
+     * @type {Array}
+     * @private
      */
-    autoPrefix(enabled = true, options = {}) {
-        this._autoPrefixer = !!enabled;
-        this._autoPrefixerOptions = options;
-        return this;
-    }
+    _compilers = [];
 
     /**
-     * @param gulp
-     * @param options
-     * @returns {*}
+     * @type {string}
+     * @private
      */
-    minify(gulp, options = {}) {
-        return gulp.pipe(this.uglify(options));
-    }
+    _environment = process.env.NODE_ENV || 'development';
 
     /**
-     * @param wrapStream
-     * @returns {*}
+     * @type {boolean}
+     * @private
      */
-    createStream(wrapStream = null) {
-        var build = (stream) => {
-            var autoprefixes = require('gulp-autoprefixer');
+    _sourceMaps = false;
 
-            if (this._autoPrefixer) {
-                var args = this._autoPrefixerOptions;
-                stream = stream.pipe(autoprefixes(args));
-            }
+    /**
+     * @type {boolean}
+     * @private
+     */
+    _minify = false;
 
-            return stream;
-        };
+    /**
+     * @type {{}}
+     * @private
+     */
+    _minifyOptions = {};
 
-        return super.createStream(stream => {
-            stream = build(stream);
-            if (wrapStream) {
-                stream = wrapStream(stream, this);
-            }
-            return stream;
-        });
-    }
-}
+    /**
+     * @type {boolean}
+     * @private
+     */
+    _compress = false;
 
-/**
- * @class SassCompiler
- * @package lightweb-builder
- */
-class SassCompiler extends CssCompiler {
     /**
-     * @returns {*}
+     * @type {boolean}
+     * @private
+     */
+    _syncBuildingNext = false;
+
+    /**
+     * @type {boolean}
+     * @private
      */
-    get compiler() {
-        try {
-            return require('gulp-sass');
-        } catch (e) {
-            throw this.compilerError('Sass', 'gulp-sass', '2.2.*');
-        }
-    }
+    _randomOrder = false;
 
     /**
-     * @param path
-     * @param extension
-     * @returns {*|Compiler}
+     * @type {boolean}
+     * @private
      */
-    path(path, extension = '.sass') {
-        return super.path(path, extension);
-    }
+    _hash = false;
 
     /**
-     * @param wrapStream
-     * @returns {*}
+     * @type {string}
+     * @private
      */
-    createStream(wrapStream = null) {
-        var build = (stream) => {
-            return stream.pipe(this.compiler());
-        };
+    _manifest = 'manifest.json';
 
-        return super.createStream(stream => {
-            stream = build(stream);
-            if (wrapStream) {
-                stream = wrapStream(stream, this);
-            }
-            return stream;
-        });
-    }
-}
+    /**
+     * @type {CompilerCache|null}
+     * @private
+     */
+    _cache = null;
 
-/**
- * @class ScssCompiler
- * @package lightweb-builder
- */
-class ScssCompiler extends SassCompiler {
     /**
-     * @returns {*}
+     * Plugin factories which are applied to concatenated file
+     *
+     * @type {Array}
+     * @private
      */
-    get compiler() {
-        try {
-            return require('gulp-sass');
-        } catch (e) {
-            throw this.compilerError('Scss', 'gulp-sass', '2.2.*');
-        }
-    }
+    _pipes = [];
 
     /**
-     * @param path
-     * @param extension
-     * @returns {*|Compiler}
+     * Constants which replace expressions of compiled scripts: {expression: code}
+     *
+     * @type {{}}
+     * @private
      */
-    path(path, extension = '.scss') {
-        return super.path(path, extension);
-    }
-}
+    _defines = {};
 
-/**
- * @class LessCompiler
- * @package lightweb-builder
- */
-class LessCompiler extends CssCompiler {
     /**
-     * @returns {*}
+     * Files which are moved into shared bundle of builders group
+     *
+     * @type {{files: {}, collect: Function}|null}
+     * @private
      */
-    get compiler() {
-        try {
-            return require('gulp-less');
-        } catch (e) {
-            throw this.compilerError('Less', 'gulp-less', '3.0.*');
-        }
-    }
+    _shared = null;
 
     /**
-     * @param path
-     * @param extension
-     * @returns {*|Compiler}
+     * Creates group of builders, see `BuilderGroup.extractCommon()`
+     *
+     * @param {Array} builders
+     * @returns {BuilderGroup}
      */
-    path(path, extension = '.less') {
-        return super.path(path, extension);
+    static group(builders) {
+        return new BuilderGroup(builders);
     }
 
     /**
-     * @param wrapStream
-     * @returns {*}
+     * Loads bundle definitions from config file. Config exports bundles array,
+     * `{bundles: [...]}` object or function which receives environment name
+     * and returns one of them. Bundle `env` sections are merged into bundle
+     * for the given environment.
+     *
+     * @param {string|null} file
+     * @param {string} environment
+     * @returns {Array}
      */
-    createStream(wrapStream = null) {
-        var build = (stream) => {
-            return stream.pipe(this.compiler());
-        };
+    static config(file = null, environment = 'development') {
+        var fs   = require('fs');
+        var path = require('path');
 
-        return super.createStream(stream => {
-            stream = build(stream);
-            if (wrapStream) {
-                stream = wrapStream(stream, this);
+        if (file === null) {
+            file = WebBuilder.CONFIG_FILES.filter(name => fs.existsSync(path.resolve(name)))[0];
+
+            if (!file) {
+                throw new Error('Config file not found. Expected one of: ' + WebBuilder.CONFIG_FILES.join(', '));
             }
-            return stream;
+        }
+
+        var config = require(path.resolve(file));
+
+        if (typeof config === 'function') {
+            config = config(environment);
+        }
+
+        var bundles = config instanceof Array ? config : (config.bundles || []);
+
+        return bundles.map(bundle => {
+            var result = {};
+            var env    = (bundle.env || {})[environment] || {};
+
+            Object.keys(bundle).forEach(key => result[key] = bundle[key]);
+            Object.keys(env).forEach(key => result[key] = env[key]);
+            delete result.env;
+
+            if (!result.output) {
+                throw new Error('Bundle output is not defined in ' + file);
+            }
+
+            return result;
         });
     }
-}
 
-/**
- * @class StylusCompiler
- * @package lightweb-builder
- */
-class StylusCompiler extends CssCompiler {
     /**
-     * @returns {*}
+     * Adds builder method for the compiler class: after `WebBuilder.register('pug', PugCompiler)`
+     * compiler can be declared by `.pug(...)` call or by `{type: 'pug'}` in config files.
+     * Built-in compilers can be replaced the same way.
+     *
+     * @param {string} name
+     * @param {Function} compilerClass
+     * @returns {WebBuilder}
      */
-    get compiler() {
-        try {
-            return require('gulp-stylus');
-        } catch (e) {
-            throw this.compilerError('Stylus', 'gulp-stylus', '2.3.*');
+    static register(name, compilerClass) {
+        if (typeof name !== 'string' || !/^[a-z_$][\w$]*$/i.test(name)) {
+            throw new Error('Invalid compiler name "' + name + '"');
+        }
+
+        if (typeof compilerClass !== 'function' || !(compilerClass.prototype instanceof Compiler)) {
+            throw new Error('Compiler "' + name + '" must extend Compiler class');
+        }
+
+        if (name in WebBuilder.prototype && WebBuilder.CONFIG_COMPILERS.indexOf(name) < 0) {
+            throw new Error('Can not register compiler "' + name + '", builder method with this name already exists');
+        }
+
+        WebBuilder.prototype[name] = function (callback = function () {}) {
+            return this._make(compilerClass, callback);
+        };
+
+        if (WebBuilder.CONFIG_COMPILERS.indexOf(name) < 0) {
+            WebBuilder.CONFIG_COMPILERS.push(name);
         }
+
+        return WebBuilder;
     }
 
     /**
-     * @param {string} path
-     * @param {string} extension
-     * @returns {*|Compiler}
+     * @param {{}} bundle
+     * @param {string} environment
+     * @returns {WebBuilder}
      */
-    path(path, extension = '.styl') {
-        return super.path(path, extension);
+    static fromConfig(bundle, environment = 'development') {
+        var builder = (new WebBuilder).withEnvironment(environment);
+
+        Object.keys(WebBuilder.CONFIG_OPTIONS).forEach(option => {
+            var method = WebBuilder.CONFIG_OPTIONS[option];
+            var value  = bundle[option];
+
+            if (value === undefined || value === null) {
+                return;
+            }
+
+            if (option === 'commonJs' || option === 'polyfill') {
+                if (value) {
+                    builder[method]();
+                }
+            } else if (option === 'cache' || option === 'define') {
+                builder[method](value);
+            } else if (typeof value === 'boolean') {
+                builder[method](value);
+            } else {
+                builder[method](true, value);
+            }
+        });
+
+        (bundle.compilers || []).forEach(definition => {
+            if (WebBuilder.CONFIG_COMPILERS.indexOf(definition.type) < 0) {
+                throw new Error('Unknown compiler type "' + definition.type + '"');
+            }
+
+            if (definition.then) {
+                builder = builder.then;
+            }
+
+            builder[definition.type](compiler => WebBuilder._configure(compiler, definition.type, definition));
+        });
+
+        return builder;
     }
 
     /**
-     * @param wrapStream
-     * @returns {*}
+     * Calls methods of the compiler with options of compiler definition
+     *
+     * @param {Compiler} compiler
+     * @param {string} type
+     * @param {{}} definition
+     * @private
      */
-    createStream(wrapStream = null) {
-        var build = (stream) => {
-            return stream.pipe(this.compiler());
-        };
+    static _configure(compiler, type, definition) {
+        Object.keys(definition).forEach(option => {
+            if (option === 'type' || option === 'then') {
+                return;
+            }
 
-        return super.createStream(stream => {
-            stream = build(stream);
-            if (wrapStream) {
-                stream = wrapStream(stream, this);
+            var value  = definition[option];
+            var method = WebBuilder.CONFIG_LISTS[option] || option;
+
+            if (typeof compiler[method] !== 'function') {
+                throw new Error('Unknown option "' + option + '" of "' + type + '" compiler');
+            }
+
+            if (WebBuilder.CONFIG_LISTS[option]) {
+                (value instanceof Array ? value : [value]).forEach(item => {
+                    compiler[method](...(item instanceof Array ? item : [item]));
+                });
+            } else {
+                compiler[method](...(value instanceof Array ? value : [value]));
             }
-            return stream;
         });
     }
-}
 
-/**
- * @class BabelCompiler
- * @package lightweb-builder
- */
-class BabelCompiler extends JsCompiler {
     /**
-     * @type {Array}
-     * @private
+     * Source files of all compilers by kind: {js: [files], css: [files]}
+     *
+     * @returns {Promise}
      */
-    _presets = [];
+    sourceFiles() {
+        var files = {};
+
+        return Promise.all(this._compilers.map(compiler => new Promise((resolve, reject) => {
+            var list   = files[compiler.kind] = files[compiler.kind] || [];
+            var stream = compiler.createSource();
+
+            stream.on('data', file => list.indexOf(file.path) < 0 && list.push(file.path));
+            stream.on('end', resolve);
+            stream.on('error', reject);
+        }))).then(() => files);
+    }
 
     /**
-     * @type {Array}
-     * @private
+     * Files of the kind which are listed in `files` are not written into bundles,
+     * compiled files are passed to the callback instead.
+     *
+     * @param {{}|null} files {kind: [files]}
+     * @param {Function} collect Receives kind and compiled file
+     * @returns {WebBuilder}
      */
-    _plugins = [];
+    share(files, collect = function () {}) {
+        this._shared = files === null ? null : {files: files, collect: collect};
+        return this;
+    }
 
     /**
-     * @type {{}}
-     * @private
+     * @returns {string}
      */
-    _options = {};
+    get environment() {
+        return this._environment;
+    }
 
     /**
-     * @param presets
-     * @returns {BabelCompiler}
+     * @returns {boolean}
      */
-    preset(...presets) {
-        this._presets = this._presets.concat(presets);
-        return this;
+    get sourceMaps() {
+        return this._sourceMaps;
     }
 
     /**
-     * @param plugins
-     * @returns {BabelCompiler}
+     * @returns {CompilerCache|null}
      */
-    plugin(...plugins) {
-        this._plugins = this._plugins.concat(plugins);
-        return this;
+    get cache() {
+        return this._cache;
     }
 
-    options (args = {}) {
-        this._options = args;
-        return this;
+    /**
+     * @returns {{}}
+     */
+    get defines() {
+        return this._defines;
     }
 
     /**
-     * @returns {*}
+     * @returns {WebBuilder}
      */
-    get compiler() {
-        try {
-            return require('gulp-babel');
-        } catch (e) {
-            throw this.compilerError('Babel', 'gulp-babel', '6.1.*');
+    get then() {
+        this._syncBuildingNext = true;
+
+        if (this._compilers.length > 0) {
+            var lastCompiler = this._compilers[this._compilers.length - 1];
+            lastCompiler.syncBuilding(true);
         }
+
+        return this;
     }
 
     /**
-     * @param wrapStream
-     * @returns {*}
+     * @param {Function} callback
+     * @returns {WebBuilder}
      */
-    createStream(wrapStream = null) {
-        var build = (stream) => {
-            var args = {
-                presets: this._presets,
-                plugins: this._plugins
-            };
-
-            Object.keys(this._options).forEach(key => {
-                args[key] = this._options[key];
-            });
+    babel(callback = function () {}) {
+        return this._make(BabelCompiler, callback);
+    }
 
-            return stream.pipe(this.compiler(args));
-        };
+    /**
+     * @param {Function} callback
+     * @returns {WebBuilder}
+     */
+    es6(callback = function () {}) {
+        return this._make(BabelCompiler, callback, (compiler) => {
+            return compiler.preset('es2015');
+        });
+    }
 
-        return super.createStream(stream => {
-            stream = build(stream);
-            if (wrapStream) {
-                stream = wrapStream(stream, this);
-            }
-            return stream;
+    /**
+     * @param {Function} callback
+     * @returns {WebBuilder}
+     */
+    es7(callback = function () {}) {
+        return this._make(BabelCompiler, callback, (compiler) => {
+            return compiler.preset('es2015', 'stage-0');
         });
     }
-}
 
-/**
- * @class CoffeeCompiler
- * @package lightweb-builder
- */
-class CoffeeCompiler extends JsCompiler {
     /**
-     * @type {boolean}
-     * @private
+     * @param {Function} callback
+     * @returns {WebBuilder}
      */
-    _bare = false;
+    coffee(callback = function () {}) {
+        return this._make(CoffeeCompiler, callback);
+    }
+
+    /**
+     * @param {Function} callback
+     * @returns {WebBuilder}
+     */
+    js(callback = function () {}) {
+        return this._make(JsCompiler, callback);
+    }
 
     /**
-     * @param enabled
-     * @returns {CoffeeCompiler}
+     * @param {Function} callback
+     * @returns {WebBuilder}
      */
-    bare(enabled = true) {
-        this._bare = enabled;
-        return this;
+    ts(callback = function () {}) {
+        return this._make(TypeScriptCompiler, callback);
     }
 
     /**
-     * @returns {*}
+     * Options object is applied like compiler definition of config files,
+     * engine is selected first: `{engine: 'handlebars', namespace: 'App', paths: 'src/templates/'}`
+     *
+     * @param {Function|{}} callback
+     * @returns {WebBuilder}
      */
-    get compiler() {
-        try {
-            return require('gulp-coffee');
-        } catch (e) {
-            throw this.compilerError('CoffeeScript', 'gulp-coffee', '2.3.*');
+    templates(callback = function () {}) {
+        if (callback !== null && typeof callback === 'object' && !(callback instanceof Array)) {
+            var options = callback.engine === undefined ? callback : Object.assign({engine: callback.engine}, callback);
+
+            callback = compiler => WebBuilder._configure(compiler, 'templates', options);
         }
+
+        return this._make(TemplatesCompiler, callback);
     }
 
     /**
-     * @param {string} path
-     * @param {string} extension
-     * @returns {Compiler}
+     * @param {Function} callback
+     * @returns {WebBuilder}
      */
-    path(path, extension = '.coffee') {
-        return super.path(path, extension);
+    sass(callback = function () {}) {
+        return this._make(SassCompiler, callback);
     }
 
     /**
-     * @param wrapStream
-     * @returns {*}
+     * @param {Function} callback
+     * @returns {WebBuilder}
      */
-    createStream(wrapStream = null) {
-        var build = (stream) => {
-            var args = {};
-
-            if (this._bare) {
-                args['bare'] = true;
-            }
+    scss(callback = function () {}) {
+        return this._make(ScssCompiler, callback);
+    }
 
-            return stream.pipe(this.compiler(args));
-        };
+    /**
+     * @param {Function} callback
+     * @returns {WebBuilder}
+     */
+    less(callback = function () {}) {
+        return this._make(LessCompiler, callback);
+    }
 
-        return super.createStream(stream => {
-            stream = build(stream);
-            if (wrapStream) {
-                stream = wrapStream(stream, this);
-            }
-            return stream;
-        });
+    /**
+     * @param {Function} callback
+     * @returns {WebBuilder}
+     */
+    stylus(callback = function () {}) {
+        return this._make(StylusCompiler, callback);
     }
-}
 
-/**
- * @class TypeScriptCompiler
- * @package lightweb-builder
- */
-class TypeScriptCompiler extends JsCompiler {
     /**
-     * @returns {*}
+     * @param {Function} callback
+     * @returns {WebBuilder}
      */
-    get compiler() {
-        try {
-            return require('gulp-typescript');
-        } catch (e) {
-            throw this.compilerError('TypeScriptCompiler', 'gulp-typescript', '2.12.*');
-        }
+    css(callback = function () {}) {
+        return this._make(CssCompiler, callback);
     }
 
     /**
-     * @param {string} path
-     * @param {string} extension
-     * @returns {Compiler}
+     * @param {Function} callback
+     * @returns {WebBuilder}
      */
-    path(path, extension = '.ts') {
-        return super.path(path, extension);
+    html(callback = function () {}) {
+        return this._make(HtmlCompiler, callback);
     }
 
     /**
-     * @param wrapStream
-     * @returns {*}
+     * @param {Function} compilerClass
+     * @param {Function|string|Array} callback
+     * @param {Function|null} before
+     * @returns {WebBuilder}
+     * @private
      */
-    createStream(wrapStream = null) {
-        var build = (stream) => {
-            var args = {
+    _make(compilerClass, callback = function(){}, before = null) {
+        var compiler = new compilerClass(this);
+
+        if (this._syncBuildingNext) {
+            compiler.syncBuilding(true);
+            this._syncBuildingNext = false;
+        }
 
+        if (typeof callback === 'string') {
+            let file = callback;
+            callback = (compiler) => {
+                return compiler.file(file);
             };
 
-            return stream.pipe(this.compiler(args));
-        };
+        } else if (callback instanceof Array) {
+            let files = callback;
+            callback = (compiler) => {
+                for (var i = 0; i < files.length; i++) {
+                    compiler.file(files[i]);
+                }
+            };
+        }
 
-        return super.createStream(stream => {
-            stream = build(stream);
-            if (wrapStream) {
-                stream = wrapStream(stream, this);
-            }
-            return stream;
-        });
+        if (before) {
+            compiler = before(compiler);
+        }
+
+        this._compilers.push(compiler);
+
+        callback(compiler);
+
+        return this;
     }
-}
 
-/**
- * @class WebBuilder
- * @package lightweb-builder
- */
-export default class WebBuilder {
     /**
-     * @type {Array}
-     * @private
+     * @returns {WebBuilder}
      */
-    _compilers = [];
+    withCommonJs() {
+        return this.then.js(compiler => {
+            compiler.file(require.resolve('commonjs-require/commonjs-require'));
+        });
+    }
 
     /**
-     * @type {boolean}
-     * @private
+     * @returns {WebBuilder}
      */
-    _sourceMaps = false;
+    withPolyfill() {
+        return this.then.js(compiler => {
+            compiler.file(require.resolve('babel-polyfill/dist/polyfill'));
+        });
+    }
 
     /**
-     * @type {boolean}
-     * @private
+     * @param {string} name
+     * @returns {WebBuilder}
      */
-    _minify = false;
+    withEnvironment(name) {
+        this._environment = name;
+        return this;
+    }
 
     /**
-     * @type {{}}
-     * @private
+     * @param {boolean} enabled
+     * @returns {WebBuilder}
      */
-    _minifyOptions = {};
+    withSourceMaps(enabled = true) {
+        this._sourceMaps = !!enabled;
+        return this;
+    }
 
     /**
-     * @type {boolean}
-     * @private
+     * @param {boolean} enabled
+     * @param {object} options
+     * @returns {WebBuilder}
      */
-    _compress = false;
+    withMinify(enabled = true, options = {}) {
+        this._minify = !!enabled;
+        this._minifyOptions = options;
+        return this;
+    }
 
     /**
-     * @type {boolean}
-     * @private
+     * @param {boolean} enabled
+     * @returns {WebBuilder}
      */
-    _syncBuildingNext = false;
+    withGzip(enabled = true) {
+        this._compress = !!enabled;
+        return this;
+    }
 
     /**
+     * Add content hash into output file names and write
+     * names mapping into manifest file of output directory
+     *
+     * @param {boolean} enabled
+     * @param {string} manifest
      * @returns {WebBuilder}
      */
-    get then() {
-        this._syncBuildingNext = true;
+    withHash(enabled = true, manifest = 'manifest.json') {
+        this._hash = !!enabled;
+        this._manifest = manifest;
+        return this;
+    }
 
-        if (this._compilers.length > 0) {
-            var lastCompiler = this._compilers[this._compilers.length - 1];
-            lastCompiler.syncBuilding(true);
+    /**
+     * Store compiled files in the directory, so unchanged files
+     * are not compiled again by next builds
+     *
+     * @param {string|boolean} directory
+     * @returns {WebBuilder}
+     */
+    withCache(directory = '.lightweb-cache') {
+        if (directory === true) {
+            directory = '.lightweb-cache';
         }
 
+        this._cache = directory ? new CompilerCache(directory) : null;
         return this;
     }
 
     /**
-     * @param {Function} callback
+     * Replaces identifiers and member expressions (`__VERSION__`, `process.env.NODE_ENV`)
+     * in compiled scripts. String values are inserted as code, other values as JSON.
+     *
+     * @param {{}} definitions
      * @returns {WebBuilder}
      */
-    babel(callback = function () {}) {
-        return this._make(BabelCompiler, callback);
+    define(definitions) {
+        Object.keys(definitions).forEach(name => {
+            if (!/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(name)) {
+                throw new Error(`Invalid define "${name}", expected identifier or member expression`);
+            }
+
+            var value = definitions[name];
+
+            this._defines[name] = typeof value === 'string' ? value : JSON.stringify(value);
+        });
+
+        return this;
     }
 
     /**
-     * @param {Function} callback
+     * Defines `process.env.NAME` with values of environment variables.
+     * Object argument contains default values of variables.
+     *
+     * @param {Array|{}} names
      * @returns {WebBuilder}
      */
-    es6(callback = function () {}) {
-        return this._make(BabelCompiler, callback, (compiler) => {
-            return compiler.preset('es2015');
+    env(names) {
+        var defaults = names instanceof Array ? {} : names;
+        var result   = {};
+
+        Object.keys(defaults).concat(names instanceof Array ? names : []).forEach(name => {
+            var value = process.env[name] === undefined ? defaults[name] : process.env[name];
+
+            if (value === undefined) {
+                throw new Error(`Environment variable "${name}" is not defined`);
+            }
+
+            result['process.env.' + name] = JSON.stringify(String(value));
         });
+
+        return this.define(result);
     }
 
     /**
-     * @param {Function} callback
+     * Adds gulp plugin which is applied to concatenated file before minification.
+     * Factory is called on every build and must return a new plugin stream.
+     *
+     * @param {Function} pluginFactory
      * @returns {WebBuilder}
      */
-    es7(callback = function () {}) {
-        return this._make(BabelCompiler, callback, (compiler) => {
-            return compiler.preset('es2015', 'stage-0');
-        });
+    pipe(pluginFactory) {
+        if (typeof pluginFactory !== 'function') {
+            throw new Error('Plugin factory must be a function');
+        }
+
+        this._pipes.push(pluginFactory);
+        return this;
     }
 
     /**
-     * @param {Function} callback
+     * Concatenate files in order of compilation instead of declaration order
+     *
+     * @param {boolean} enabled
      * @returns {WebBuilder}
      */
-    coffee(callback = function () {}) {
-        return this._make(CoffeeCompiler, callback);
+    withRandomOrder(enabled = true) {
+        this._randomOrder = !!enabled;
+        return this;
     }
 
-    /**
-     * @param {Function} callback
-     * @returns {WebBuilder}
-     */
-    js(callback = function () {}) {
-        return this._make(JsCompiler, callback);
-    }
+    /**
+     * @param {string} output
+     * @param {object} options
+     * @returns {*}
+     */
+    watch(output = './compiled', options = {}) {
+        var gutil    = require('gulp-util');
+        var path     = require('path');
+
+        var delay    = options.delay || 100;
+        var changes  = {};
+        var timer    = null;
+        var building = false;
+        var watcher  = null;
+        var paths    = this._watchPaths();
+
+        var names = kinds => typeof output === 'object'
+            ? Object.keys(output).filter(kind => !kinds || kinds.indexOf(kind) >= 0).map(kind => output[kind]).join(', ')
+            : output;
+
+        var build = (kinds = null) => {
+            building = true;
+
+            return new Promise(resolve => resolve(this._build(output, kinds).done()))
+                .then(stats => {
+                    var added = this._watchPaths().filter(path => paths.indexOf(path) < 0);
+                    if (added.length > 0) {
+                        paths = paths.concat(added);
+                        watcher.add(added);
+                    }
+
+                    var time = Math.max(...BuildStats.list(stats).map(item => item.time));
+
+                    gutil.log('Finished', gutil.colors.cyan(names(kinds)), 'after', gutil.colors.magenta(time + ' ms'));
+
+                    if (options.onBuild) {
+                        options.onBuild(stats);
+                    }
+                }, error => {
+                    gutil.log(gutil.colors.red(error.message));
+                })
+                .then(() => building = false);
+        };
+
+        var rebuild = () => {
+            if (building) {
+                timer = setTimeout(rebuild, delay);
+                return;
+            }
+
+            var files = changes;
+            changes = {};
+            timer   = null;
+
+            var kinds = null;
+
+            if (typeof output === 'object') {
+                kinds = this._compilers
+                    .filter(compiler => Object.keys(files).some(file => compiler.watches(file)))
+                    .map(compiler => compiler.kind)
+                    .filter((kind, index, all) => all.indexOf(kind) === index);
+
+                // Pages refer to hashed names of rebuilt bundles
+                if (this._hash && kinds.indexOf(Compiler.KIND_PAGE) < 0) {
+                    kinds.push(Compiler.KIND_PAGE);
+                }
+            }
+
+            gutil.log('Rebuilding', gutil.colors.cyan(names(kinds)), 'after changes in:');
+            Object.keys(files).forEach(file => {
+                gutil.log('  ' + files[file] + ' ' + gutil.colors.magenta(path.relative(process.cwd(), file)));
+            });
+
+            build(kinds);
+        };
+
+        watcher = gulp.watch(paths, event => {
+            if (!this._compilers.some(compiler => compiler.watches(event.path))) {
+                return;
+            }
+
+            changes[event.path] = event.type;
+
+            clearTimeout(timer);
+            timer = setTimeout(rebuild, delay);
+        });
 
-    /**
-     * @param {Function} callback
-     * @returns {WebBuilder}
-     */
-    ts(callback = function () {}) {
-        return this._make(TypeScriptCompiler, callback);
+        build();
+
+        return watcher;
     }
 
     /**
-     * @param {Function} callback
-     * @returns {WebBuilder}
+     * Errors of all compilers of the last build
+     *
+     * @returns {Array}
      */
-    sass(callback = function () {}) {
-        return this._make(SassCompiler, callback);
+    get errors() {
+        return this._compilers.reduce((errors, compiler) => errors.concat(compiler.errors), []);
     }
 
     /**
-     * @param {Function} callback
-     * @returns {WebBuilder}
+     * Logs compiler errors and creates one error for all of them
+     *
+     * @param {string} output
+     * @param {Array} errors
+     * @returns {Error}
+     * @private
      */
-    scss(callback = function () {}) {
-        return this._make(ScssCompiler, callback);
+    _buildError(output, errors) {
+        var gutil = require('gulp-util');
+
+        errors.forEach(error => gutil.log(gutil.colors.red(error.message)));
+
+        var result = new Error(`Building ${output} failed with ${errors.length} error(s)`);
+        result.errors = errors;
+
+        return result;
     }
 
     /**
-     * @param {Function} callback
-     * @returns {WebBuilder}
+     * @returns {Array}
+     * @private
      */
-    less(callback = function () {}) {
-        return this._make(LessCompiler, callback);
+    _watchPaths() {
+        var paths = [];
+
+        for (var i = 0; i < this._compilers.length; i++) {
+            paths = paths.concat(this._compilers[i].paths);
+        }
+
+        return paths;
     }
 
     /**
-     * @param {Function} callback
-     * @returns {WebBuilder}
+     * Serves output directory (or `options.root`) over http and reloads
+     * connected pages after every rebuild
+     *
+     * @param {string} output
+     * @param {object} options
+     * @returns {DevServer}
      */
-    stylus(callback = function () {}) {
-        return this._make(StylusCompiler, callback);
+    serve(output = './compiled', options = {}) {
+        var path   = require('path');
+
+        var first  = typeof output === 'object' ? output[Object.keys(output)[0]] : output;
+        var pages  = typeof output === 'object'
+            ? output[Compiler.KIND_PAGE]
+            : (this._compilers.every(compiler => compiler.kind === Compiler.KIND_PAGE) ? output : null);
+        var root   = options.root || (pages ? pages.toString() : path.dirname(first.toString()));
+        var server = DevServer.get(options.port || 3000, root);
+
+        // Stylesheets are reloaded in place when no other output group is rebuilt
+        var styles = stats => typeof output === 'object'
+            ? Object.keys(stats).every(kind => kind === Compiler.KIND_STYLE)
+            : this._compilers.every(compiler => compiler.kind === Compiler.KIND_STYLE);
+
+        return server.watch(this.watch(output, {
+            delay:   options.delay,
+            onBuild: stats => server.reload(stats, styles(stats))
+        }));
     }
 
     /**
-     * @param {Function} callback
-     * @returns {WebBuilder}
+     * Returns gulp stream. Call `.done()` on it to get a promise
+     * which is resolved with {@see BuildStats} after all files are written.
+     * If any compiler fails nothing is written, errors are logged and
+     * the promise is rejected with error which contains `errors` list,
+     * the stream emits this error when it is listened (gulp tasks).
+     *
+     * Scripts and stylesheets can be built into separate files with
+     * `{js: 'app.js', css: 'app.css'}` output, the promise is resolved with
+     * `{js: BuildStats, css: BuildStats}` in this case. Html pages are
+     * written into `html` directory after other files are built.
+     *
+     * @param {string|{}} output
+     * @returns {*}
      */
-    css(callback = function () {}) {
-        return this._make(CssCompiler, callback);
+    build(output = './compiled') {
+        return this._build(output);
     }
 
     /**
-     * @param {Function} compilerClass
-     * @param {Function|string|Array} callback
-     * @param {Function|null} before
-     * @returns {WebBuilder}
+     * Builds only groups of given kinds when output is an object
+     *
+     * @param {string|{}} output
+     * @param {Array|null} kinds
+     * @returns {*}
      * @private
      */
-    _make(compilerClass, callback = function(){}, before = null) {
-        var compiler = new compilerClass(this);
-
-        if (this._syncBuildingNext) {
-            compiler.syncBuilding(true);
-            this._syncBuildingNext = false;
+    _build(output, kinds = null) {
+        if (this._compilers.length === 0) {
+            throw new Error('Building error. Empty sources list');
         }
 
-        if (typeof callback === 'string') {
-            let file = callback;
-            callback = (compiler) => {
-                return compiler.file(file);
-            };
+        var groups = this._groups(output).filter(group => !kinds || kinds.indexOf(group.kind) >= 0);
 
-        } else if (callback instanceof Array) {
-            let files = callback;
-            callback = (compiler) => {
-                for (var i = 0; i < files.length; i++) {
-                    compiler.file(files[i]);
-                }
-            };
+        if (typeof output !== 'object') {
+            return reported(this._bundle(groups[0].compilers, groups[0].output));
         }
 
-        if (before) {
-            compiler = before(compiler);
-        }
+        var built   = [];
+        var bundles = groups.map(group => {
+            if (group.kind === Compiler.KIND_PAGE) {
+                return this._bundle(group.compilers, group.output, settled(built));
+            }
 
-        this._compilers.push(compiler);
+            var bundle = this._bundle(group.compilers, group.output);
+            built.push(bundle.done());
 
-        callback(compiler);
+            return bundle;
+        });
+        var stream  = merge(bundles);
 
-        return this;
-    }
+        var promise = settled(bundles.map(bundle => bundle.done())).then(results => {
+            var failures = results.filter(result => result.error);
 
-    /**
-     * @returns {WebBuilder}
-     */
-    withCommonJs() {
-        return this.then.js(compiler => {
-            compiler.file(require.resolve('commonjs-require/commonjs-require'));
+            if (failures.length === 1) {
+                throw failures[0].error;
+            }
+
+            if (failures.length > 1) {
+                var errors = groups.reduce((errors, group) => errors.concat(...group.compilers.map(compiler => compiler.errors)), []);
+                var error  = new Error(`Building failed with ${errors.length} error(s)`);
+                error.errors = errors;
+                throw error;
+            }
+
+            var stats = {};
+            results.forEach((result, index) => stats[groups[index].kind] = result.value);
+
+            return stats;
         });
+
+        stream.done = () => promise;
+
+        return reported(stream);
     }
 
     /**
-     * @returns {WebBuilder}
+     * Groups compilers by output kind
+     *
+     * @param {string|{}} output
+     * @returns {Array}
+     * @private
      */
-    withPolyfill() {
-        return this.then.js(compiler => {
-            compiler.file(require.resolve('babel-polyfill/dist/polyfill'));
+    _groups(output) {
+        var groups = {};
+
+        this._compilers.forEach(compiler => {
+            (groups[compiler.kind] = groups[compiler.kind] || []).push(compiler);
         });
-    }
 
-    /**
-     * @param {boolean} enabled
-     * @returns {WebBuilder}
-     */
-    withSourceMaps(enabled = true) {
-        this._sourceMaps = !!enabled;
-        return this;
-    }
+        // Pages are built after bundles which they are referencing
+        var kinds = Object.keys(groups).sort((a, b) => (a === Compiler.KIND_PAGE) - (b === Compiler.KIND_PAGE));
 
-    /**
-     * @param {boolean} enabled
-     * @param {object} options
-     * @returns {WebBuilder}
-     */
-    withMinify(enabled = true, options = {}) {
-        this._minify = !!enabled;
-        this._minifyOptions = options;
-        return this;
-    }
+        if (typeof output === 'object') {
+            return kinds.map(kind => {
+                if (!output[kind]) {
+                    throw new Error(`Building error. Output file for ${kind} compilers is not defined`);
+                }
 
-    /**
-     * @param {boolean} enabled
-     * @returns {WebBuilder}
-     */
-    withGzip(enabled = true) {
-        this._compress = !!enabled;
-        return this;
+                return {kind: kind, output: output[kind], compilers: groups[kind]};
+            });
+        }
+
+        if (kinds.length > 1) {
+            throw new Error(
+                `Building error. Can not build ${kinds.join(' and ')} compilers into one file ${output}. ` +
+                'Use separate outputs: build({' + kinds.map(kind => `${kind}: '...'`).join(', ') + '})'
+            );
+        }
+
+        return [{kind: kinds[0], output: output, compilers: this._compilers}];
     }
 
     /**
-     * @param output
+     * @param {Array} compilers
+     * @param {string} output
+     * @param {Promise} after
      * @returns {*}
+     * @private
      */
-    build(output = './compiled') {
-        if (this._compilers.length === 0) {
-            throw new Error('Building error. Empty sources list');
+    _bundle(compilers, output, after = Promise.resolve()) {
+        if (compilers[0].kind === Compiler.KIND_PAGE) {
+            return this._pages(compilers, output, after);
         }
 
-        var sourcemaps   = require('gulp-sourcemaps');
-        var concat       = require('gulp-concat');
-        var gzip         = require('gulp-gzip');
-
+        var stats        = new BuildStats();
         var streams      = [];
         var asyncStreams = [];
+        var sources      = [];
+
+        var target   = this._target(output);
+        var fileName = target.fileName;
+        var dist     = target.dist;
+
+        for (var i = 0; i < compilers.length; i++) {
+            var compiler = compilers[i];
+            var compilerStream;
+
+            try {
+                compilerStream = compiler.createStream();
+            } catch (error) {
+                compiler.report(error);
+                compilerStream = through.obj();
+                compilerStream.end();
+            }
 
-        for (var i = 0; i < this._compilers.length; i++) {
-            var compiler = this._compilers[i];
-            var compilerStream = compiler.createStream();
+            sources.push(compilerStream);
+            compilerStream = compiler.relocate(compilerStream, dist)
+                .pipe(stats.track(compiler))
+                .pipe(sorted(compiler.compare.bind(compiler)));
 
-            if (compiler.synced) {
+            if (compiler.synced || !this._randomOrder) {
                 streams.push(compilerStream);
             } else {
                 asyncStreams.push(compilerStream);
             }
         }
 
-        var stream  = merge(...streams, asyncStreams);
+        var stream = (this._randomOrder ? merge(...streams, asyncStreams) : ordered(streams))
+            .pipe(guarded(() => compilers.every(compiler => compiler.errors.length === 0)));
 
-        if (this._sourceMaps) {
-            stream = stream.pipe(sourcemaps.init());
+        var kind   = compilers[0].kind;
+        var shared = this._shared;
+
+        if (shared !== null && shared.files[kind]) {
+            stream = stream.pipe(filter(file => {
+                if (shared.files[kind].indexOf(file.history[0]) < 0) {
+                    return true;
+                }
+
+                shared.collect(kind, file);
+                return false;
+            }));
+        }
+
+        if (kind === Compiler.KIND_STYLE) {
+            stream = stream.pipe(hoisted());
+        }
+
+        var pipeErrors = [];
+        var chunks     = kind !== Compiler.KIND_SCRIPT ? [] : compilers.reduce((names, compiler) => {
+            return names.concat((compiler.chunks || []).filter(name => names.indexOf(name) < 0));
+        }, []);
+
+        var chunkFiles = chunks.map(name => {
+            var modules = [];
+            var result  = this._write(
+                stream.pipe(filter(file => file.chunk === name)).pipe(tap(file => modules.push(file.moduleName))),
+                fileName.replace(/(\.[^.]*)?$/, `.${name}$1`), dist, compilers[0], stats, pipeErrors
+            );
+
+            result.modules = modules;
+            return result;
+        });
+
+        if (chunkFiles.length > 0) {
+            var chunksWritten = Promise.all(chunkFiles.map(result => result.done));
+
+            stream = stream
+                .pipe(filter(file => !file.chunk))
+                .pipe(inserted(chunksWritten, file => !!file.moduleName, files => this._loader(files, chunkFiles)));
+        }
+
+        var written = [this._write(stream, fileName, dist, compilers[0], stats, pipeErrors)].concat(chunkFiles);
+
+        var promise = new Promise((resolve, reject) => {
+            sources.forEach(source => source.on('error', reject));
+
+            Promise.all(written.map(result => result.done))
+                .then(() => {
+                    var errors = compilers.reduce((errors, compiler) => errors.concat(compiler.errors), []).concat(pipeErrors);
+
+                    if (errors.length > 0) {
+                        return reject(this._buildError(output, errors));
+                    }
+
+                    if (this._hash) {
+                        var entries = {};
+                        written.forEach(result => entries[result.fileName] = result.outputName());
+
+                        updateManifest(dist + this._manifest, entries);
+                    }
+
+                    resolve(stats.finish());
+                })
+                .catch(reject);
+        });
+
+        promise.catch(() => {});
+
+        stream = written.length > 1 ? merge(written.map(result => result.stream)) : written[0].stream;
+
+        stream.done = () => promise;
+
+        return stream;
+    }
+
+    /**
+     * Writes already compiled files into the output with options of the builder
+     *
+     * @param {Array} files
+     * @param {string} output
+     * @param {string} kind
+     * @returns {*}
+     */
+    buildFiles(files, output, kind = Compiler.KIND_SCRIPT) {
+        var compiler = this._compilers.filter(compiler => compiler.kind === kind)[0];
+
+        if (!compiler) {
+            throw new Error(`Building error. Builder has no ${kind} compilers for ${output}`);
         }
 
+        var target     = this._target(output);
+        var fileName   = target.fileName;
+        var dist       = target.dist;
+
+        var stats      = new BuildStats();
+        var pipeErrors = [];
+        var stream     = through.obj();
+
+        files.forEach(file => stream.write(file));
+        stream.end();
+
+        if (kind === Compiler.KIND_STYLE) {
+            stream = stream.pipe(hoisted());
+        }
+
+        var result  = this._write(stream, fileName, dist, compiler, stats, pipeErrors);
+        var promise = result.done.then(() => {
+            if (pipeErrors.length > 0) {
+                throw this._buildError(output, pipeErrors);
+            }
+
+            if (this._hash) {
+                updateManifest(dist + this._manifest, {[fileName]: result.outputName()});
+            }
+
+            return stats.finish();
+        });
+
+        promise.catch(() => {});
+
+        result.stream.done = () => promise;
+
+        return result.stream;
+    }
+
+    /**
+     * @param {string} output
+     * @returns {{fileName: string, dist: string}}
+     * @private
+     */
+    _target(output) {
         var parts    = output.toString().split('/');
         var fileName = parts.pop();
         var dist     = (parts.length > 0 ? parts.join('/') : '.') + '/';
+
         if (!fileName.trim()) {
             throw new Error('Invalid output path ' + output);
         }
 
+        return {fileName: fileName, dist: dist};
+    }
+
+    /**
+     * Concatenates files into the output file, applies builder plugins,
+     * minification and hash, writes the file with source map and gzip archive.
+     *
+     * @param stream
+     * @param {string} fileName
+     * @param {string} dist
+     * @param {Compiler} compiler
+     * @param {BuildStats} stats
+     * @param {Array} pipeErrors
+     * @returns {{stream: *, done: Promise, fileName: string, outputName: Function}}
+     * @private
+     */
+    _write(stream, fileName, dist, compiler, stats, pipeErrors) {
+        var sourcemaps = require('gulp-sourcemaps');
+        var concat     = require('gulp-concat');
+        var gzip       = require('gulp-gzip');
+
         stream = stream.pipe(concat(fileName));
 
+        this._pipes.forEach(factory => {
+            stream = fed(stream, factory(), error => pipeErrors.push(error));
+        });
+
+        stream = stream.pipe(stats.measure('original'));
+
         if (this._minify) {
-            stream = this._compilers[0].minify(stream, this._minifyOptions);
+            stream = compiler.minify(stream, this._minifyOptions)
+                .pipe(stats.measure('minified'));
+        }
+
+        var outputName = fileName;
+
+        if (this._hash) {
+            stream = stream
+                .pipe(hashed())
+                .pipe(tap(file => outputName = file.relative));
         }
 
         if (this._sourceMaps) {
             stream = stream.pipe(sourcemaps.write('.'));
         }
 
+        var destinations = [];
+
+        if (this._compress) {
+            destinations.push(stream
+                .pipe(filter(file => file.relative === outputName))
+                .pipe(cloned())
+                .pipe(gzip())
+                .pipe(stats.measure('gzip'))
+                .pipe(stats.output(dist))
+                .pipe(gulp.dest(dist)));
+        }
+
+        stream = stream
+            .pipe(stats.output(dist))
+            .pipe(gulp.dest(dist));
+
+        destinations.push(stream);
+
+        return {
+            stream:     stream,
+            done:       Promise.all(destinations.map(finished)),
+            fileName:   fileName,
+            outputName: () => outputName
+        };
+    }
+
+    /**
+     * Creates file with chunks loader for the main bundle
+     *
+     * @param {Array} files Files of the main bundle
+     * @param {Array} chunks Written chunks
+     * @returns {*}
+     * @private
+     */
+    _loader(files, chunks) {
+        var gutil = require('gulp-util');
+        var path  = require('path');
+
+        var urls = {};
+        chunks
+            .filter(chunk => chunk.modules.length > 0)
+            .forEach(chunk => urls[chunk.outputName()] = chunk.modules);
+
+        if (files.length === 0) {
+            return null;
+        }
+
+        var loader = new gutil.File({
+            cwd:      files[0].cwd,
+            base:     files[0].base,
+            path:     path.join(files[0].base, 'chunks.js'),
+            contents: Buffer.from(JsCompiler.loader(urls))
+        });
+
+        if (files.some(file => file.sourceMap)) {
+            loader.sourceMap = {version: 3, file: loader.relative, names: [], mappings: '', sources: [], sourcesContent: []};
+        }
+
+        return loader;
+    }
+
+    /**
+     * Writes html pages into output directory, pages are not concatenated.
+     * Pages are processed after the promise is settled.
+     *
+     * @param {Array} compilers
+     * @param {string} output Directory
+     * @param {Promise} after
+     * @returns {*}
+     * @private
+     */
+    _pages(compilers, output, after = Promise.resolve()) {
+        var gzip = require('gulp-gzip');
+
+        var stats   = new BuildStats();
+        var sources = [];
+        var dist    = output.toString().replace(/[\/\\]*$/, '/');
+
+        var streams = compilers.map(compiler => {
+            var compilerStream;
+
+            try {
+                compilerStream = compiler.createStream();
+            } catch (error) {
+                compiler.report(error);
+                compilerStream = through.obj();
+                compilerStream.end();
+            }
+
+            sources.push(compilerStream);
+
+            return compiler.relocate(compilerStream.pipe(delayed(after)), dist)
+                .pipe(stats.track(compiler));
+        });
+
+        var stream = merge(streams)
+            .pipe(guarded(() => compilers.every(compiler => compiler.errors.length === 0)))
+            .pipe(stats.measure('original'));
+
+        if (this._minify) {
+            stream = compilers[0].minify(stream, this._minifyOptions)
+                .pipe(stats.measure('minified'));
+        }
+
+        var destinations = [];
+
         if (this._compress) {
-            stream
-                .pipe(concat(fileName))
+            destinations.push(stream
+                .pipe(cloned())
                 .pipe(gzip())
-                .pipe(gulp.dest(dist));
+                .pipe(stats.measure('gzip'))
+                .pipe(stats.output(dist))
+                .pipe(gulp.dest(dist)));
         }
 
-        return stream.pipe(gulp.dest(dist));
+        stream = stream
+            .pipe(stats.output(dist))
+            .pipe(gulp.dest(dist));
+
+        destinations.push(stream);
+
+        var promise = new Promise((resolve, reject) => {
+            sources.forEach(source => source.on('error', reject));
+
+            Promise.all(destinations.map(finished))
+                .then(() => {
+                    var errors = compilers.reduce((errors, compiler) => errors.concat(compiler.errors), []);
 
+                    if (errors.length > 0) {
+                        return reject(this._buildError(output, errors));
+                    }
+
+                    resolve(stats.finish());
+                })
+                .catch(reject);
+        });
+
+        promise.catch(() => {});
+
+        stream.done = () => promise;
+
+        return stream;
     }
 }
+
+export {Compiler, JsCompiler, CssCompiler, HtmlCompiler};
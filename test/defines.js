@@ -0,0 +1,63 @@
+"use strict";
+
+var assert     = require('assert');
+var WebBuilder = require('../index').default;
+var JsCompiler = require('../index').JsCompiler;
+
+describe('Defines', function () {
+    function substitute(defines, source) {
+        return (new JsCompiler((new WebBuilder).define(defines))).substitute(source);
+    }
+
+    var version = {__VERSION__: '"1.0"'};
+
+    it('replaces constants in code', function () {
+        assert.equal(substitute(version, 'log(__VERSION__, [__VERSION__], a[__VERSION__]);'), 'log("1.0", ["1.0"], a["1.0"]);');
+        assert.equal(substitute(version, 'if (__VERSION__) {}'), 'if ("1.0") {}');
+        assert.equal(substitute(version, 'var a = {v: __VERSION__}, b = () => __VERSION__;'), 'var a = {v: "1.0"}, b = () => "1.0";');
+    });
+
+    it('skips strings, templates, comments and properties', function () {
+        var source = [
+            'var a = "__VERSION__" + \'__VERSION__\';',
+            'var b = `__VERSION__ ${__VERSION__}`;',
+            '// __VERSION__',
+            '/* __VERSION__ */',
+            'var c = d.__VERSION__ + {__VERSION__: 1};'
+        ].join("\n");
+
+        assert.equal(substitute(version, source), source.replace('${__VERSION__}', '${"1.0"}'));
+    });
+
+    it('expands shorthand properties', function () {
+        assert.equal(substitute(version, 'var a = {b, __VERSION__};'), 'var a = {b, __VERSION__: "1.0"};');
+    });
+
+    it('replaces longer names first without overlapping', function () {
+        var defines = {'process.env': '{}', 'process.env.NODE_ENV': '"production"'};
+
+        assert.equal(
+            substitute(defines, 'if (process.env.NODE_ENV !== "production") { log(process.env); }'),
+            'if ("production" !== "production") { log({}); }'
+        );
+    });
+
+    it('skips declarations, parameters and assignment targets', function () {
+        var source = [
+            'var __VERSION__ = 1;',
+            'function __VERSION__() {}',
+            'function f(a, __VERSION__) {}',
+            'var g = function ({__VERSION__}) {};',
+            'var h = (__VERSION__) => 1, i = __VERSION__ => 2;',
+            'var {__VERSION__} = obj, {a: __VERSION__} = obj, [__VERSION__] = list;',
+            '[__VERSION__] = list;',
+            '({__VERSION__} = obj);',
+            '__VERSION__ = 2;',
+            '__VERSION__ += 2;',
+            'try {} catch (__VERSION__) {}',
+            'class A { method(__VERSION__) {} }'
+        ].join("\n");
+
+        assert.equal(substitute(version, source), source);
+    });
+});
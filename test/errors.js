@@ -0,0 +1,79 @@
+"use strict";
+
+var assert     = require('assert');
+var fs         = require('fs');
+var path       = require('path');
+var helpers    = require('./helpers');
+var WebBuilder = require('../index').default;
+var Compiler   = require('../index').Compiler;
+
+describe('Errors', function () {
+    var fixture = helpers.fixture('errors');
+
+    it('collects errors of all broken files of a compiler', function () {
+        var output = helpers.output();
+        var build  = (new WebBuilder)
+            .es7(function (compiler) {
+                compiler.file(path.join(fixture, 'first.js'))
+                    .file(path.join(fixture, 'valid.js'))
+                    .file(path.join(fixture, 'second.js'));
+            })
+            .build(path.join(output, 'app.js'));
+
+        return helpers.rejection(build.done()).then(function (error) {
+            assert.deepEqual(error.errors.map(function (item) { return path.basename(item.file); }), ['first.js', 'second.js']);
+            assert.ok(!fs.existsSync(path.join(output, 'app.js')));
+        });
+    });
+
+    it('finishes async compilers after a broken file', function () {
+        var build = (new WebBuilder)
+            .less(['broken.less', 'valid.less', 'other.less'].map(function (file) { return path.join(fixture, file); }))
+            .build(path.join(helpers.output(), 'app.css'));
+
+        return helpers.rejection(build.done()).then(function (error) {
+            assert.deepEqual(error.errors.map(function (item) { return path.basename(item.file) + ':' + item.line; }), ['broken.less:2', 'other.less:2']);
+        });
+    });
+
+    it('emits the build error on the listened stream before it ends', function (done) {
+        var stream = (new WebBuilder)
+            .es7([path.join(fixture, 'valid.js'), path.join(fixture, 'first.js')])
+            .build({js: path.join(helpers.output(), 'app.js')});
+
+        var failure = null;
+
+        stream.on('error', function (error) {
+            failure = error;
+        });
+
+        stream.on('end', function () {
+            assert.ok(failure instanceof Error);
+            assert.equal(failure.errors.length, 1);
+            done();
+        });
+
+        stream.resume();
+    });
+
+    it('keeps the whole message of a diagnostic without its code', function () {
+        var error = (new Compiler).createError({message: 'Cannot find module', diagnostic: {code: 2307}});
+
+        assert.ok(error.message.indexOf('Cannot find module') >= 0);
+    });
+
+    it('resolves stats and ends the stream of a valid build', function () {
+        var output = helpers.output();
+        var stream = (new WebBuilder)
+            .es7(path.join(fixture, 'valid.js'))
+            .build(path.join(output, 'app.js'));
+
+        stream.on('error', function (error) {
+            throw error;
+        });
+
+        return stream.done().then(function () {
+            assert.ok(helpers.read(output, 'app.js').indexOf('var valid = 1;') >= 0);
+        });
+    });
+});
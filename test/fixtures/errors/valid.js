@@ -0,0 +1 @@
+var valid = 1;
@@ -0,0 +1,7 @@
+var files = 'lib/*.js'; /* globbed by the task */
+var a = require('./lib/a');
+var help = "call require('missing-pkg')";
+// var legacy = require('./legacy');
+var path = require('path');
+
+module.exports = {a: a, help: help, files: files, path: path};
@@ -0,0 +1,7 @@
+function greet(name) {
+    var message = 'Hello, ' + name;
+
+    return message;
+}
+
+module.exports = greet;
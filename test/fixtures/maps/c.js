@@ -0,0 +1,7 @@
+var counter = 0;
+
+module.exports = function count() {
+    counter = counter + 1;
+
+    return counter;
+};
@@ -0,0 +1,47 @@
+"use strict";
+
+var assert     = require('assert');
+var path       = require('path');
+var helpers    = require('./helpers');
+var WebBuilder = require('../index').default;
+
+describe('Dependency graph', function () {
+    var fixture = helpers.fixture('graph');
+    var output;
+    var bundle;
+
+    before(function () {
+        output = helpers.output();
+
+        return (new WebBuilder)
+            .es7(function (compiler) {
+                compiler.namespace('App').entry(path.join(fixture, 'main.js'));
+            })
+            .build(path.join(output, 'app.js'))
+            .done()
+            .then(function () {
+                bundle = helpers.read(output, 'app.js');
+            });
+    });
+
+    it('bundles dependencies in order of requiring', function () {
+        var modules = bundle.match(/require\.register\("[^"]+"/g).map(function (item) { return item.slice(18, -1); });
+
+        assert.deepEqual(modules, ['App/lib/b', 'App/lib/a', 'App/main']);
+    });
+
+    it('rewrites required names after strings and comments', function () {
+        assert.ok(bundle.indexOf("var a = require('App/lib/a');") >= 0);
+        assert.ok(bundle.indexOf("var _b = require('App/lib/b');") >= 0);
+    });
+
+    it('skips statements inside strings, templates and comments', function () {
+        assert.ok(bundle.indexOf("var help = \"call require('missing-pkg')\";") >= 0);
+        assert.ok(bundle.indexOf("// var legacy = require('./legacy');") >= 0);
+        assert.ok(bundle.indexOf("and require(\\'./c\\')") >= 0);
+    });
+
+    it('leaves node core modules unbundled', function () {
+        assert.ok(bundle.indexOf("var path = require('path');") >= 0);
+    });
+});
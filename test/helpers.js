@@ -0,0 +1,45 @@
+"use strict";
+
+var fs   = require('fs');
+var os   = require('os');
+var path = require('path');
+
+/**
+ * @param {string} name
+ * @returns {string}
+ */
+exports.fixture = function (name) {
+    return path.join(__dirname, 'fixtures', name);
+};
+
+/**
+ * Creates empty temporary directory for build outputs
+ *
+ * @returns {string}
+ */
+exports.output = function () {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'lightweb-'));
+};
+
+/**
+ * @param {string} directory
+ * @param {string} file
+ * @returns {string}
+ */
+exports.read = function (directory, file) {
+    return fs.readFileSync(path.join(directory, file), 'utf8');
+};
+
+/**
+ * Resolves with the rejection error of the promise, fails if it is resolved
+ *
+ * @param {Promise} promise
+ * @returns {Promise}
+ */
+exports.rejection = function (promise) {
+    return promise.then(function () {
+        throw new Error('Expected the promise to be rejected');
+    }, function (error) {
+        return error;
+    });
+};
@@ -0,0 +1,69 @@
+"use strict";
+
+var assert     = require('assert');
+var path       = require('path');
+var sourceMap  = require('source-map');
+var helpers    = require('./helpers');
+var WebBuilder = require('../index').default;
+
+describe('Source maps', function () {
+    var fixture = helpers.fixture('maps');
+
+    /**
+     * Builds the builder and resolves with original position of the text of the output
+     */
+    function original(builder, file, text) {
+        var output = helpers.output();
+
+        return builder.build(path.join(output, file)).done().then(function () {
+            var code     = helpers.read(output, file);
+            var map      = JSON.parse(helpers.read(output, file + '.map'));
+            var lines    = code.substr(0, code.indexOf(text)).split("\n");
+            var consumer = new sourceMap.SourceMapConsumer(map);
+            var position = consumer.originalPositionFor({line: lines.length, column: lines[lines.length - 1].length});
+
+            return {sources: map.sources, source: position.source && path.basename(position.source), line: position.line};
+        });
+    }
+
+    function scripts(builder) {
+        return builder.withSourceMaps().js(function (compiler) {
+            compiler.file(path.join(fixture, 'a.js')).file(path.join(fixture, 'c.js'));
+        });
+    }
+
+    it('maps concatenated scripts to original files', function () {
+        return original(scripts(new WebBuilder), 'app.js', 'counter + 1').then(function (result) {
+            assert.deepEqual(result.sources, ['a.js', 'c.js']);
+            assert.deepEqual([result.source, result.line], ['c.js', 4]);
+        });
+    });
+
+    it('maps minified scripts to original files', function () {
+        return original(scripts((new WebBuilder).withMinify()), 'app.js', '"Hello, "').then(function (result) {
+            assert.deepEqual(result.sources, ['a.js', 'c.js']);
+            assert.deepEqual([result.source, result.line], ['a.js', 2]);
+        });
+    });
+
+    it('maps minified modules to original files instead of the bundle', function () {
+        var builder = (new WebBuilder).withMinify().withSourceMaps().js(function (compiler) {
+            compiler.namespace('App').file(path.join(fixture, 'a.js')).file(path.join(fixture, 'c.js'));
+        });
+
+        return original(builder, 'app.js', '"Hello, "').then(function (result) {
+            assert.deepEqual(result.sources, ['a.js', 'c.js']);
+            assert.deepEqual([result.source, result.line], ['a.js', 2]);
+        });
+    });
+
+    it('maps minified stylesheets to original files', function () {
+        var builder = (new WebBuilder).withMinify().withSourceMaps()
+            .css([path.join(fixture, 'a.css'), path.join(fixture, 'b.css')]);
+
+        return original(builder, 'app.css', '.b').then(function (result) {
+            assert.deepEqual(result.sources, ['a.css', 'b.css']);
+            assert.deepEqual([result.source, result.line], ['b.css', 2]);
+        });
+    });
+});
@@ -0,0 +1,56 @@
+"use strict";
+
+var assert     = require('assert');
+var fs         = require('fs');
+var http       = require('http');
+var path       = require('path');
+var helpers    = require('./helpers');
+var WebBuilder = require('../index').default;
+
+describe('Development server', function () {
+    var server = null;
+
+    afterEach(function () {
+        if (server) {
+            server.close();
+            server = null;
+        }
+    });
+
+    it('reloads stylesheets in place when only the css group is rebuilt', function (done) {
+        var sources = helpers.output();
+        var output  = helpers.output();
+
+        fs.writeFileSync(path.join(sources, 'app.js'), 'module.exports = 1;\n');
+        fs.writeFileSync(path.join(sources, 'app.css'), 'body { color: red; }\n');
+
+        server = (new WebBuilder)
+            .js(path.join(sources, 'app.js'))
+            .css(path.join(sources, 'app.css'))
+            .serve({js: path.join(output, 'app.js'), css: path.join(output, 'app.css')}, {port: 38123, delay: 50});
+
+        var events = [];
+
+        http.get('http://localhost:38123/__lightweb/events', function (response) {
+            response.setEncoding('utf8');
+            response.on('data', function (chunk) {
+                chunk.split("\n\n").filter(function (message) {
+                    return message.indexOf('data: ') === 0;
+                }).forEach(function (message) {
+                    events.push(JSON.parse(message.substr(6)));
+
+                    if (events.length === 1) {
+                        setTimeout(function () {
+                            fs.writeFileSync(path.join(sources, 'app.css'), 'body { color: blue; }\n');
+                        }, 500);
+                        return;
+                    }
+
+                    assert.deepEqual(events.map(function (event) { return event.type; }), ['reload', 'css']);
+                    assert.deepEqual(events[1].files.map(function (file) { return file.name; }), ['app.css']);
+                    done();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,48 @@
+"use strict";
+
+var assert     = require('assert');
+var fs         = require('fs');
+var path       = require('path');
+var helpers    = require('./helpers');
+var WebBuilder = require('../index').default;
+
+describe('Watching', function () {
+    var watcher = null;
+
+    afterEach(function () {
+        if (watcher) {
+            watcher.end();
+            watcher = null;
+        }
+    });
+
+    it('rebuilds only output groups of the changed file', function (done) {
+        var sources = helpers.output();
+        var output  = helpers.output();
+        var builds  = [];
+
+        fs.writeFileSync(path.join(sources, 'app.js'), 'module.exports = 1;\n');
+        fs.writeFileSync(path.join(sources, 'app.css'), 'body { color: red; }\n');
+
+        watcher = (new WebBuilder)
+            .js(path.join(sources, 'app.js'))
+            .css(path.join(sources, 'app.css'))
+            .watch({js: path.join(output, 'app.js'), css: path.join(output, 'app.css')}, {
+                delay:   50,
+                onBuild: function (stats) {
+                    builds.push(Object.keys(stats).sort());
+
+                    if (builds.length === 1) {
+                        setTimeout(function () {
+                            fs.writeFileSync(path.join(sources, 'app.css'), 'body { color: blue; }\n');
+                        }, 500);
+                        return;
+                    }
+
+                    assert.deepEqual(builds, [['css', 'js'], ['css']]);
+                    assert.ok(helpers.read(output, 'app.css').indexOf('blue') >= 0);
+                    done();
+                }
+            });
+    });
+});